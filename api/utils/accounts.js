@@ -0,0 +1,81 @@
+// Sign-up and sign-in for the /api/auth routes. Customers are active straight away and get a token;
+// restaurants and delivery agents wait for admin approval. A customer may sign up with a referral code.
+const bcrypt = require('bcryptjs');
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { signToken } = require('./auth');
+const { ensureReferralSchema, normalizePhone, normalizeDevice, attachReferral } = require('./referrals');
+
+const ROLES = ['customer', 'restaurant', 'delivery_agent'];
+
+const publicUser = ({ password: _pw, ...user }) => user;
+
+// { name, email, phone, password, role, referral_code, device_id } plus
+// { restaurant_name, description, cuisine, eta, image_url } for restaurants
+async function registerUser(body) {
+    await ensureReferralSchema();
+    const b = body || {};
+    const name = String(b.name || '').trim();
+    const email = String(b.email || '').trim().toLowerCase();
+    const password = String(b.password || '');
+    const role = String(b.role || 'customer').toLowerCase();
+    if (!name) throw new HttpError('name is required');
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw new HttpError('A valid email is required');
+    if (password.length < 6) throw new HttpError('Password must be at least 6 characters');
+    if (!ROLES.includes(role)) throw new HttpError(`role must be one of ${ROLES.join(', ')}`);
+    const phone = b.phone ? normalizePhone(b.phone) : null;
+    if (b.phone && !phone) throw new HttpError('Enter a valid mobile number');
+
+    const hashed = await bcrypt.hash(password, 10);
+    const conn = await db.getConnection();
+    let user;
+    let referral = null;
+    try {
+        await conn.beginTransaction();
+        const [[taken]] = await conn.execute('SELECT id FROM users WHERE email = ? FOR UPDATE', [email]);
+        if (taken) throw new HttpError('An account with this email already exists', 409);
+
+        let restaurantId = null;
+        if (role === 'restaurant') {
+            const [res] = await conn.execute(
+                "INSERT INTO restaurants (name, description, cuisine, eta, image_url, status, created_at) VALUES (?, ?, ?, ?, ?, 'pending', NOW())",
+                [String(b.restaurant_name || name).trim(), b.description || null, b.cuisine || null, Number(b.eta) || 30, b.image_url || null]
+            );
+            restaurantId = res.insertId;
+        }
+        const status = role === 'customer' ? 'active' : 'pending';
+        const [res] = await conn.execute(
+            `INSERT INTO users (name, email, password, role, status, restaurant_id, phone, signup_device, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [name, email, hashed, role, status, restaurantId, phone, normalizeDevice(b.device_id)]
+        );
+        user = { id: res.insertId, name, email, role, status, restaurant_id: restaurantId, phone, signup_device: normalizeDevice(b.device_id) };
+        if (role === 'delivery_agent') {
+            await conn.execute("INSERT INTO agents (user_id, name, phone, status) VALUES (?, ?, ?, 'Pending')", [user.id, name, phone]);
+        }
+        if (b.referral_code) referral = await attachReferral(conn, user, b.referral_code);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        if (err && err.code === 'ER_DUP_ENTRY') throw new HttpError('An account with this email already exists', 409);
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    const { signup_device: _device, ...shown } = user;
+    if (role !== 'customer') return { message: 'Registration submitted for approval', id: user.id };
+    return { token: signToken(user), user: shown, referral };
+}
+
+async function loginUser(body) {
+    const email = String((body && body.email) || '').trim().toLowerCase();
+    const password = String((body && body.password) || '');
+    if (!email || !password) throw new HttpError('email and password are required');
+    const [[user]] = await db.execute('SELECT * FROM users WHERE email = ?', [email]);
+    if (!user || !(await bcrypt.compare(password, user.password))) throw new HttpError('Invalid email or password', 401);
+    const { signup_device: _device, ...shown } = publicUser(user);
+    return { token: signToken(user), user: shown };
+}
+
+module.exports = { registerUser, loginUser };
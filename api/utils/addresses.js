@@ -0,0 +1,85 @@
+// Saved delivery addresses for /api/user-addresses. Once delivery zones are set up an address
+// is only saved when its map pin falls inside one of them.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { once } = require('./schema');
+const { toCoord } = require('./geo');
+const { assertAddressServiceable, zoneSummary } = require('./deliveryZones');
+
+const ADDRESS_TYPES = ['Home', 'Work', 'Other'];
+const REQUIRED = ['name', 'phone', 'house', 'street', 'city', 'state', 'pincode'];
+
+const ensureAddressSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS user_addresses (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            phone VARCHAR(20) NOT NULL,
+            email VARCHAR(150) NULL,
+            house VARCHAR(150) NOT NULL,
+            street VARCHAR(200) NOT NULL,
+            landmark VARCHAR(150) NULL,
+            city VARCHAR(100) NOT NULL,
+            state VARCHAR(100) NOT NULL,
+            pincode VARCHAR(10) NOT NULL,
+            country VARCHAR(60) NOT NULL DEFAULT 'India',
+            address_type VARCHAR(10) NOT NULL DEFAULT 'Home',
+            latitude DECIMAL(10,7) NULL,
+            longitude DECIMAL(10,7) NULL,
+            delivery_zone_id INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_address_user (user_id)
+        )
+    `);
+});
+
+async function listAddresses(userId) {
+    await ensureAddressSchema();
+    const [rows] = await db.execute('SELECT * FROM user_addresses WHERE user_id = ? ORDER BY created_at DESC, id DESC', [userId]);
+    return rows;
+}
+
+// { name, phone, email, house, street, landmark, city, state, pincode, country, address_type, latitude, longitude }
+async function saveAddress(userId, body) {
+    await ensureAddressSchema();
+    const b = body || {};
+    const text = (key, max) => String(b[key] ?? '').trim().slice(0, max);
+    const missing = REQUIRED.filter((key) => !text(key, 200));
+    if (missing.length) throw new HttpError(`Please fill in ${missing.join(', ')}`);
+    if (!/^\d{6}$/.test(text('pincode', 10))) throw new HttpError('pincode must be 6 digits');
+    const latitude = toCoord(b.latitude ?? b.lat);
+    const longitude = toCoord(b.longitude ?? b.lng);
+    if ((latitude === null) !== (longitude === null)) throw new HttpError('latitude and longitude go together');
+    const type = ADDRESS_TYPES.find((t) => t.toLowerCase() === text('address_type', 10).toLowerCase()) || 'Home';
+
+    const zone = await assertAddressServiceable(latitude, longitude);
+    const row = {
+        user_id: userId,
+        name: text('name', 100),
+        phone: text('phone', 20),
+        email: text('email', 150) || null,
+        house: text('house', 150),
+        street: text('street', 200),
+        landmark: text('landmark', 150) || null,
+        city: text('city', 100),
+        state: text('state', 100),
+        pincode: text('pincode', 10),
+        country: text('country', 60) || 'India',
+        address_type: type,
+        latitude,
+        longitude,
+        delivery_zone_id: zone ? zone.id : null
+    };
+    const [res] = await db.query('INSERT INTO user_addresses SET ?', [row]);
+    return { id: res.insertId, ...row, delivery_zone: zoneSummary(zone) };
+}
+
+async function deleteAddress(userId, id) {
+    await ensureAddressSchema();
+    const [res] = await db.execute('DELETE FROM user_addresses WHERE id = ? AND user_id = ?', [id, userId]);
+    if (!res.affectedRows) throw new HttpError('Address not found', 404);
+    return { deleted: true, id: Number(id) };
+}
+
+module.exports = { ensureAddressSchema, listAddresses, saveAddress, deleteAddress };
@@ -0,0 +1,65 @@
+// Bearer-token auth for the modular routes (same JWT the login endpoint hands out)
+const jwt = require('jsonwebtoken');
+
+// No default: a secret anyone can read from the repo would let them sign an admin token
+const JWT_SECRET = process.env.JWT_SECRET || '';
+const TOKEN_TTL = process.env.JWT_EXPIRES_IN || '7d';
+
+function readToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    // Multipart uploads from the restaurant dashboard send ?token= as a fallback
+    return (req.query && req.query.token) || null;
+}
+
+// Called at startup, like the payment gateway check
+function assertAuthConfigured() {
+    if (!JWT_SECRET) throw new Error('JWT_SECRET is not set; refusing to start without a token signing secret');
+}
+
+function verifyToken(token) {
+    if (!token || !JWT_SECRET) return null;
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch (_) {
+        return null;
+    }
+}
+
+function decodeUser(req) {
+    return verifyToken(readToken(req));
+}
+
+// The claims every route reads from req.user
+function signToken(user) {
+    assertAuthConfigured();
+    return jwt.sign(
+        { id: user.id, email: user.email, role: user.role, restaurant_id: user.restaurant_id || null },
+        JWT_SECRET,
+        { expiresIn: TOKEN_TTL }
+    );
+}
+
+module.exports = {
+    JWT_SECRET,
+    assertAuthConfigured,
+    verifyToken,
+    signToken,
+    authMiddleware: (req, res, next) => {
+        const user = decodeUser(req);
+        if (!user) return res.status(401).json({ error: 'Authentication required' });
+        req.user = user;
+        next();
+    },
+    // Attaches req.user when a valid token is present, never rejects
+    optionalAuth: (req, _res, next) => {
+        const user = decodeUser(req);
+        if (user) req.user = user;
+        next();
+    },
+    requireRole: (...roles) => (req, res, next) => {
+        const role = req.user && req.user.role;
+        if (!role || !roles.includes(role)) return res.status(403).json({ error: 'Forbidden' });
+        next();
+    }
+};
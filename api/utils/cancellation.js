@@ -0,0 +1,147 @@
+// Order cancellation: stage-based windows, cancellation fees and refund records
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { once } = require('./schema');
+const { round2 } = require('./pricing');
+const { normalizeStatus, ownsOrder, partyRoom, transitionOrder } = require('./orderLifecycle');
+const { isCashPayment } = require('./codLedger');
+
+// Share of the food value (items + tax) kept once the restaurant has accepted
+const CANCEL_FEE_RATE = Number(process.env.ORDER_CANCEL_FEE_RATE ?? 0.2);
+
+const ensureRefundSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS refunds (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            payment_method VARCHAR(30) NULL,
+            order_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+            cancellation_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+            amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            reason VARCHAR(255) NULL,
+            initiated_by VARCHAR(30) NULL,
+            gateway_refund_id VARCHAR(64) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_refunds_order (order_id)
+        )
+    `);
+});
+
+// What cancelling now would cost; `force` (admin) waives the fee and the pickup cut-off
+function cancellationTerms(order, { force = false } = {}) {
+    const stage = normalizeStatus(order.status) || 'Pending';
+    const total = round2(order.total_price);
+    if (['Delivered', 'Rejected', 'Cancelled'].includes(stage)) {
+        return { allowed: false, stage, reason: `Order is already ${stage}` };
+    }
+    if (stage === 'Picked Up' && !force) {
+        return { allowed: false, stage, reason: 'Order has already been picked up and can no longer be cancelled' };
+    }
+    let fee = 0;
+    // free until the restaurant has accepted (a pre-order not yet released or an unpaid order counts as not accepted)
+    if (!force && !['Awaiting Payment', 'Pending', 'Scheduled'].includes(stage)) {
+        const foodValue = Number(order.subtotal ?? total) + Number(order.tax_amount || 0);
+        fee = Math.min(total, round2(foodValue * CANCEL_FEE_RATE));
+    }
+    // Only a captured online payment has anything to send back (cash is never collected up front)
+    const paid = !isCashPayment(order.payment_method) && order.payment_status === 'paid';
+    return {
+        allowed: true,
+        stage,
+        order_total: total,
+        cancellation_fee: fee,
+        refund_amount: paid ? round2(total - fee) : 0,
+        refund_status: paid ? 'pending' : 'not_required'
+    };
+}
+
+// Refund whatever of a captured online payment is not already being refunded, for an order that
+// ended without a customer cancellation (rejected, or paid after it was cancelled). Runs inside the
+// caller's transaction; pass the returned id to payments.refundPayment once committed.
+async function recordFullRefund(conn, order, reason, initiatedBy) {
+    if (isCashPayment(order.payment_method) || order.payment_status !== 'paid') return null;
+    const [[{ refunded }]] = await conn.execute(
+        "SELECT COALESCE(SUM(amount), 0) AS refunded FROM refunds WHERE order_id = ? AND status IN ('pending', 'initiated', 'processed')",
+        [order.id]
+    );
+    const total = round2(order.total_price);
+    const amount = round2(total - Number(refunded));
+    if (amount <= 0) return null;
+    const [ins] = await conn.execute(
+        `INSERT INTO refunds (order_id, payment_method, order_total, cancellation_fee, amount, status, reason, initiated_by)
+         VALUES (?, ?, ?, 0, ?, 'pending', ?, ?)`,
+        [order.id, order.payment_method, total, amount, String(reason).slice(0, 255), initiatedBy]
+    );
+    return ins.insertId;
+}
+
+// Load an order the actor is allowed to cancel, with the terms that would apply
+async function previewCancellation(orderId, actor, { force = false } = {}) {
+    const [rows] = await db.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [Number(orderId) || 0]);
+    if (!rows.length) throw new HttpError('Order not found', 404);
+    if (!['customer', 'admin'].includes(actor.role) || !ownsOrder(actor, rows[0])) {
+        throw new HttpError('Not allowed to cancel this order', 403);
+    }
+    return { order: rows[0], terms: cancellationTerms(rows[0], { force: actor.role === 'admin' && force }) };
+}
+
+async function cancelOrder(orderId, actor, { io, reason, force = false } = {}) {
+    await ensureRefundSchema();
+    const byAdmin = actor.role === 'admin';
+    // Fail early with the window-specific message; the check is repeated under the row lock
+    const { terms: preview } = await previewCancellation(orderId, actor, { force });
+    if (!preview.allowed) throw new HttpError(preview.reason, 409, { status: preview.stage });
+
+    const result = await transitionOrder(orderId, 'Cancelled', actor, {
+        io,
+        note: reason || (byAdmin && force ? 'Force-cancelled by admin' : 'Cancelled by customer'),
+        beforeCommit: async (conn, order) => {
+            const terms = cancellationTerms(order, { force: byAdmin && force });
+            if (!terms.allowed) throw new HttpError(terms.reason, 409, { status: terms.stage });
+            const [ins] = await conn.execute(
+                `INSERT INTO refunds (order_id, payment_method, order_total, cancellation_fee, amount, status, reason, initiated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    order.id, order.payment_method || 'Cash', terms.order_total, terms.cancellation_fee,
+                    terms.refund_amount, terms.refund_status, reason ? String(reason).slice(0, 255) : null, actor.role
+                ]
+            );
+            return {
+                refund: {
+                    id: ins.insertId,
+                    amount: terms.refund_amount,
+                    cancellation_fee: terms.cancellation_fee,
+                    status: terms.refund_status,
+                    payment_method: order.payment_method || 'Cash'
+                }
+            };
+        }
+    });
+
+    // Hand the refund to the gateway; a failure here leaves it 'pending' for a retry.
+    // Required lazily because payments.js depends on this module.
+    if (result.refund && result.refund.status === 'pending') {
+        require('./payments').refundPayment(result.refund.id)
+            .catch((err) => console.error(`Refund for order ${result.id} failed:`, err?.message || err));
+    }
+
+    // Per-role channels the dashboards already listen on
+    try {
+        if (io && result.agent_id) io.to(partyRoom.agent(result.agent_id)).emit(`orderCanceled_${result.agent_id}`, { id: result.id, reason: reason || null });
+        // An unpaid order never reached the restaurant
+        if (io && result.restaurant_id && preview.stage !== 'Awaiting Payment') io.to(partyRoom.restaurant(result.restaurant_id)).emit(`orderCanceledForRestaurant_${result.restaurant_id}`, { id: result.id, reason: reason || null });
+    } catch (_) {}
+    return result;
+}
+
+module.exports = {
+    CANCEL_FEE_RATE,
+    ensureRefundSchema,
+    isCashPayment,
+    cancellationTerms,
+    recordFullRefund,
+    previewCancellation,
+    cancelOrder
+};
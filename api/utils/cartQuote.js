@@ -0,0 +1,128 @@
+// Checkout pricing: menu prices, restaurant offers, the coupon and fees. createOrder and the
+// cart quote both go through priceOrder, so the page shows exactly what the order will charge.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const {
+    round2, ensurePricingSchema, pricingRules, loadOrderableRestaurant, resolveCartLines, deliveryDistance, computeTotals
+} = require('./pricing');
+const { ensureCouponSchema, normalizeCode, evaluateCoupon } = require('./coupons');
+const { ensureOfferSchema, applyOffers } = require('./offers');
+const { RULES: TOKEN_RULES, redemptionQuote } = require('./tokenSystem');
+const { ensureDeliveryZoneSchema, resolveDeliveryZone, assertZoneMinimum, zoneSummary } = require('./deliveryZones');
+const { toCoord } = require('./geo');
+
+// Schema the pricing below reads; run it before opening a transaction
+async function ensureCheckoutSchema() {
+    await ensurePricingSchema();
+    await ensureCouponSchema();
+    await ensureOfferSchema();
+    await ensureDeliveryZoneSchema();
+}
+
+// Price a checkout payload ({ restaurant_id, items, lat, lng, coupon_code, scheduled_for }).
+// The delivery address's lat/lng are required: without them there is no distance to check
+// against the fee tiers and the delivery radius. For the same reason a restaurant that has not
+// set its own location cannot take delivery orders.
+// Once delivery zones exist the address must be in one the restaurant covers, open at delivery
+// time; that zone's minimum order and fee tiers apply.
+// Offers apply automatically; the coupon is checked against the cart as the customer sent it.
+// With `lock` (inside the order's transaction) the coupon row is locked for its usage limits.
+// `strict` turns an unusable coupon into an error; otherwise it is dropped and reported as coupon_error.
+async function priceOrder(conn, body, user, { lock = false, strict = true } = {}) {
+    const payload = body || {};
+    const restaurant = await loadOrderableRestaurant(payload.restaurant_id, conn);
+    const cartLines = await resolveCartLines(restaurant.id, payload.items, conn);
+    if (toCoord(payload.lat) === null || toCoord(payload.lng) === null) {
+        throw new HttpError('Pick a delivery address with its location on the map to see delivery fees', 422, { code: 'location_required' });
+    }
+    const distanceKm = deliveryDistance(restaurant, payload.lat, payload.lng);
+    if (distanceKm === null) {
+        throw new HttpError('This restaurant has not set its location yet and cannot deliver to you', 422, { code: 'restaurant_location_missing' });
+    }
+    const deliverAt = payload.scheduled_for && !Number.isNaN(new Date(payload.scheduled_for).getTime()) ? new Date(payload.scheduled_for) : new Date();
+    const zone = await resolveDeliveryZone(restaurant, payload.lat, payload.lng, deliverAt);
+    assertZoneMinimum(zone, cartLines.reduce((s, l) => s + l.line_total, 0));
+    const offers = await applyOffers(restaurant.id, cartLines, conn);
+    let coupon = null;
+    let couponError = null;
+    if (normalizeCode(payload.coupon_code)) {
+        try {
+            coupon = await evaluateCoupon(conn, payload.coupon_code, { user, restaurant, lines: cartLines, lock });
+        } catch (err) {
+            if (strict || !(err instanceof HttpError)) throw err;
+            couponError = err.message;
+        }
+    }
+    const totals = computeTotals(offers.lines, {
+        distanceKm, discount: offers.discount + (coupon ? coupon.discount : 0), tiers: (zone && zone.tiers) || undefined
+    });
+    // computeTotals caps the discount at the food value; offers take their share first
+    const offerDiscount = Math.min(offers.discount, totals.discount);
+    if (coupon) coupon.discount = round2(totals.discount - offerDiscount);
+    const restaurantFunded = offerDiscount + (coupon && coupon.funded_by === 'restaurant' ? coupon.discount : 0);
+    return {
+        restaurant,
+        lines: offers.lines,
+        totals,
+        offers: offers.offers,
+        offer_discount: offerDiscount,
+        coupon,
+        coupon_error: couponError,
+        restaurant_discount: round2(restaurantFunded),
+        zone
+    };
+}
+
+// Rows the pages render in order; zero-value optional rows are left out
+function breakdownRows(totals, offers, offerDiscount, coupon) {
+    const rows = [
+        { key: 'subtotal', label: 'Item total', amount: totals.subtotal },
+        ...offers.map((o) => (o.offer_type === 'free_item'
+            ? { key: 'free_item', label: `${o.free_item} free (${o.title})`, amount: 0 }
+            : { key: 'offer', label: `Offer: ${o.title}`, amount: -Math.min(o.discount, offerDiscount) })),
+        { key: 'coupon', label: coupon ? `Coupon ${coupon.code}` : 'Coupon', amount: coupon ? -coupon.discount : 0, optional: true },
+        { key: 'packaging_charge', label: 'Packaging', amount: totals.packaging_charge, optional: true },
+        { key: 'small_order_fee', label: 'Small order fee', amount: totals.small_order_fee, optional: true },
+        { key: 'delivery_fee', label: totals.distance_km === null ? 'Delivery fee' : `Delivery fee (${totals.distance_km} km)`, amount: totals.delivery_fee },
+        { key: 'tax', label: 'Taxes (GST)', amount: totals.tax }
+    ];
+    return rows.filter((r) => !r.optional || r.amount !== 0).map(({ optional, ...r }) => r);
+}
+
+// { restaurant_id, items, lat, lng, coupon_code, redeem_tokens } -> priced lines, totals and display rows.
+// `user` (optional) lets the quote show what their Tindo Tokens would take off.
+// An unusable coupon is reported as coupon_error unless `strictCoupon` (the apply endpoint) is set.
+async function quoteCart(body, user, { strictCoupon = false } = {}) {
+    await ensureCheckoutSchema();
+    const payload = body || {};
+    const {
+        restaurant, lines, totals, offers, offer_discount: offerDiscount, coupon, coupon_error: couponError, zone
+    } = await priceOrder(db, payload, user, { strict: strictCoupon });
+    const rules = pricingRules();
+    const quote = {
+        restaurant: { id: restaurant.id, name: restaurant.name },
+        items: lines,
+        ...totals,
+        offers,
+        coupon,
+        coupon_error: couponError,
+        breakdown: breakdownRows(totals, offers, offerDiscount, coupon),
+        delivery: {
+            distance_km: totals.distance_km,
+            zone: zoneSummary(zone),
+            free_delivery_above: rules.free_delivery_above,
+            add_for_free_delivery: totals.subtotal > rules.free_delivery_above ? 0 : round2(rules.free_delivery_above - totals.subtotal + 1)
+        },
+        payable: totals.total
+    };
+    if (user && user.id && Number(payload.redeem_tokens) > 0) {
+        const tokens = await redemptionQuote(user.id, totals.total);
+        const used = Math.min(Math.floor(Number(payload.redeem_tokens)), tokens.max_tokens);
+        const discount = round2(used * TOKEN_RULES.token_value);
+        quote.tokens = { requested: Number(payload.redeem_tokens), used, discount };
+        quote.payable = round2(totals.total - discount);
+    }
+    return quote;
+}
+
+module.exports = { ensureCheckoutSchema, priceOrder, quoteCart };
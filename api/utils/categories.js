@@ -0,0 +1,269 @@
+// Managed dish categories behind the "What's on your mind?" tiles and GET /api/menu?category=.
+// menu.category stays the free text owners type; menu.category_id maps it onto a canonical category
+// by name or synonym, falling back to the dish name ("Chicken Biryani" under "Main Course" is Biryani).
+// The mapping is recomputed whenever the taxonomy changes and once per process for older rows.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { terms } = require('./searchText');
+const { listRestaurants } = require('./restaurantListing');
+
+const MAX_SYNONYMS = 30;
+const DEFAULT_ITEMS_LIMIT = 100;
+const MAX_ITEMS_LIMIT = 200;
+
+// The tiles the home page used to hardcode, seeded the first time the table is created
+const DEFAULT_CATEGORIES = [
+    { name: 'Biryani', description: 'Spicy, Aromatic, Rice', image_url: 'assets/biryani.gif', synonyms: 'biriyani,dum biryani,pulao' },
+    { name: 'Pizza', description: 'Cheesy, Italian, Crust', image_url: 'assets/pizza.png', synonyms: 'pizzas' },
+    { name: 'Burger', description: 'Juicy, American, Fast Food', image_url: 'assets/burger.png', synonyms: 'burgers' },
+    { name: 'Shawarma', description: 'Arabic, Wrap, Grilled', image_url: 'assets/shewaram.png', synonyms: 'shawarmas,shawerma,shwarma' },
+    { name: 'Dosa', description: 'South Indian, Crispy, Savory', image_url: 'assets/dosa.png', synonyms: 'dosas,uttapam' },
+    { name: 'Puffs', description: 'Veg, Egg, Chicken', image_url: 'assets/puffs.png', synonyms: 'puff' },
+    { name: 'Parotta', description: 'Kerala, Ceylon, Flaky', image_url: 'assets/parotta.png', synonyms: 'porotta,parotha,barotta' }
+];
+
+const ensureCategorySchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS menu_categories (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(60) NOT NULL,
+            slug VARCHAR(60) NOT NULL,
+            description VARCHAR(150) NULL,
+            image_url VARCHAR(255) NULL,
+            synonyms TEXT NULL,
+            sort_order INT NOT NULL DEFAULT 0,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_category_slug (slug)
+        )
+    `);
+    await ensureColumn('menu', 'category_id', 'INT NULL');
+    const [[{ n }]] = await db.query('SELECT COUNT(*) AS n FROM menu_categories');
+    if (!Number(n)) {
+        await db.query(
+            'INSERT INTO menu_categories (name, slug, description, image_url, synonyms, sort_order) VALUES ?',
+            [DEFAULT_CATEGORIES.map((c, i) => [c.name, slugify(c.name), c.description, c.image_url, c.synonyms, (i + 1) * 10])]
+        );
+    }
+    await remapMenuCategories();
+});
+
+const slugify = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+// Canonical words, so "Biriyani", "BIRYANI!" and "బిర్యానీ" are one key
+const keyOf = (text) => terms(text).join(' ');
+
+const synonymList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((s) => String(s).trim().slice(0, 40))
+    .filter(Boolean);
+
+function hydrate(row) {
+    return { ...row, synonyms: synonymList(row.synonyms), is_active: Boolean(row.is_active) };
+}
+
+async function loadCategories({ includeInactive = false } = {}) {
+    const [rows] = await db.query(
+        `SELECT * FROM menu_categories ${includeInactive ? '' : 'WHERE is_active = 1'} ORDER BY sort_order ASC, name ASC`
+    );
+    return rows.map(hydrate);
+}
+
+// Name, slug and synonym keys of every category, longest first so "dum biryani" beats "biryani"
+function keyTable(categories) {
+    const keys = [];
+    categories.forEach((c) => {
+        new Set([c.name, c.slug.replace(/-/g, ' '), ...c.synonyms].map(keyOf).filter(Boolean))
+            .forEach((key) => keys.push({ key, category: c }));
+    });
+    return keys.sort((a, b) => b.key.length - a.key.length);
+}
+
+// The category a dish belongs to: its category text first, then its name; null when neither matches
+function matchCategory(keys, categoryText, itemName) {
+    const byText = keyOf(categoryText);
+    const exact = byText && keys.find((k) => k.key === byText);
+    if (exact) return exact.category;
+    const name = ` ${keyOf(itemName)} `;
+    const inName = keys.find((k) => name.includes(` ${k.key} `));
+    return inName ? inName.category : null;
+}
+
+// For new menu rows: POST /api/menu stores this next to the free text
+async function categoryIdFor(categoryText, itemName) {
+    await ensureCategorySchema();
+    const category = matchCategory(keyTable(await loadCategories({ includeInactive: true })), categoryText, itemName);
+    return category ? category.id : null;
+}
+
+// Re-points every menu row after the taxonomy changes; inactive categories keep their dishes
+async function remapMenuCategories() {
+    const keys = keyTable(await loadCategories({ includeInactive: true }));
+    const [menu] = await db.query('SELECT id, item_name, category, category_id FROM menu');
+    const moves = new Map();
+    menu.forEach((m) => {
+        const category = matchCategory(keys, m.category, m.item_name);
+        const id = category ? category.id : null;
+        if (id === (m.category_id === null ? null : Number(m.category_id))) return;
+        moves.set(id, [...(moves.get(id) || []), m.id]);
+    });
+    for (const [categoryId, ids] of moves) {
+        await db.query('UPDATE menu SET category_id = ? WHERE id IN (?)', [categoryId, ids]);
+    }
+    return [...moves.values()].reduce((n, ids) => n + ids.length, 0);
+}
+
+// Restaurants that deliver to ?lat=&lng= (same zone and distance rules as the listing), keyed by id
+async function deliverableRestaurants(query) {
+    if (query.lat === undefined && query.lng === undefined) return null;
+    const list = await listRestaurants({ lat: query.lat, lng: query.lng });
+    return new Map(list.map((r) => [r.id, r]));
+}
+
+// GET /api/categories: ?lat=&lng= counts only dishes from restaurants that deliver there
+async function listCategories(query = {}, { includeInactive = false } = {}) {
+    await ensureCategorySchema();
+    const categories = await loadCategories({ includeInactive });
+    const nearby = await deliverableRestaurants(query);
+    const ids = nearby ? [...nearby.keys()] : null;
+    const [counts] = ids && !ids.length ? [[]] : await db.query(`
+        SELECT m.category_id, COUNT(*) AS item_count, COUNT(DISTINCT m.restaurant_id) AS restaurant_count
+        FROM menu m
+        JOIN restaurants r ON r.id = m.restaurant_id AND r.status = 'approved'
+        WHERE m.category_id IS NOT NULL ${ids ? 'AND m.restaurant_id IN (?)' : ''}
+        GROUP BY m.category_id
+    `, ids ? [ids] : []);
+    const countOf = new Map(counts.map((c) => [Number(c.category_id), c]));
+    return categories.map((c) => {
+        const count = countOf.get(c.id) || {};
+        return { ...c, item_count: Number(count.item_count || 0), restaurant_count: Number(count.restaurant_count || 0) };
+    });
+}
+
+async function getCategory(id) {
+    const [[row]] = await db.execute('SELECT * FROM menu_categories WHERE id = ?', [id]);
+    if (!row) throw new HttpError('Category not found', 404);
+    return hydrate(row);
+}
+
+// Validated columns from a create (name required) or update (only what was sent) payload.
+// A name or synonym may only point at one category, otherwise dishes would map at random.
+async function categoryFields(body, image, { partial = false, id = null } = {}) {
+    const b = body || {};
+    const fields = {};
+    if (!partial || b.name !== undefined) {
+        fields.name = String(b.name || '').trim().slice(0, 60);
+        fields.slug = slugify(fields.name);
+        if (!fields.slug) throw new HttpError('name is required');
+    }
+    if (b.description !== undefined) fields.description = String(b.description || '').trim().slice(0, 150) || null;
+    if (b.synonyms !== undefined) {
+        const synonyms = synonymList(b.synonyms);
+        if (synonyms.length > MAX_SYNONYMS) throw new HttpError(`At most ${MAX_SYNONYMS} synonyms`);
+        fields.synonyms = synonyms.join(',') || null;
+    }
+    if (b.sort_order !== undefined && b.sort_order !== '') {
+        const order = Number(b.sort_order);
+        if (!Number.isInteger(order)) throw new HttpError('sort_order must be a whole number');
+        fields.sort_order = order;
+    }
+    if (b.is_active !== undefined) fields.is_active = ['0', 'false', ''].includes(String(b.is_active)) ? 0 : 1;
+    if (image) fields.image_url = image;
+    else if (b.image_url !== undefined) fields.image_url = String(b.image_url || '').trim().slice(0, 255) || null;
+
+    const others = (await loadCategories({ includeInactive: true })).filter((c) => c.id !== Number(id));
+    const taken = new Map(keyTable(others).map((k) => [k.key, k.category.name]));
+    const mine = [fields.name, ...synonymList(fields.synonyms)].map(keyOf).filter(Boolean);
+    const clash = mine.find((key) => taken.has(key));
+    if (clash) throw new HttpError(`"${clash}" already belongs to ${taken.get(clash)}`, 409, { code: 'category_conflict' });
+    if (fields.slug && others.some((c) => c.slug === fields.slug)) {
+        throw new HttpError('A category with this name already exists', 409, { code: 'category_conflict' });
+    }
+    return fields;
+}
+
+// { name, description, synonyms: "biriyani,pulao", sort_order, is_active, image_url } plus an uploaded image
+async function createCategory(body, image) {
+    await ensureCategorySchema();
+    const [res] = await db.query('INSERT INTO menu_categories SET ?', [await categoryFields(body, image)]);
+    const remapped = await remapMenuCategories();
+    return { ...(await getCategory(res.insertId)), remapped };
+}
+
+async function updateCategory(id, body, image) {
+    await ensureCategorySchema();
+    const category = await getCategory(id);
+    const changes = await categoryFields(body, image, { partial: true, id: category.id });
+    if (!Object.keys(changes).length) throw new HttpError('Nothing to update');
+    await db.query('UPDATE menu_categories SET ? WHERE id = ?', [changes, category.id]);
+    const remapped = await remapMenuCategories();
+    return { ...(await getCategory(category.id)), remapped };
+}
+
+// Dishes keep their free-text category and are mapped again without this one
+async function deleteCategory(id) {
+    await ensureCategorySchema();
+    const category = await getCategory(id);
+    await db.execute('DELETE FROM menu_categories WHERE id = ?', [category.id]);
+    const remapped = await remapMenuCategories();
+    return { deleted: true, id: category.id, remapped };
+}
+
+// The active category a ?category= value names: id, slug, name or synonym
+function findCategory(categories, value) {
+    const text = String(value || '').trim();
+    const key = keyOf(text);
+    return categories.find((c) => String(c.id) === text || c.slug === text.toLowerCase())
+        || (key && keyTable(categories).find((k) => k.key === key)?.category)
+        || null;
+}
+
+// GET /api/menu?category=: ?lat=&lng= keeps dishes from restaurants that deliver there, open and
+// nearest first. A value that is not in the taxonomy matches the free-text category as before.
+async function categoryItems(query = {}) {
+    await ensureCategorySchema();
+    const value = String(query.category || '').trim();
+    if (!value) throw new HttpError('category is required');
+    const limit = Math.min(MAX_ITEMS_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_ITEMS_LIMIT));
+    const category = findCategory(await loadCategories(), value);
+    const nearby = await deliverableRestaurants(query);
+    if (nearby && !nearby.size) return [];
+
+    const [rows] = await db.query(`
+        SELECT m.*, r.name AS restaurant_name, r.address AS restaurant_address, r.eta AS restaurant_eta
+        FROM menu m
+        JOIN restaurants r ON r.id = m.restaurant_id AND r.status = 'approved'
+        WHERE ${category ? 'm.category_id = ?' : 'LOWER(TRIM(m.category)) = LOWER(?)'}
+        ${nearby ? 'AND m.restaurant_id IN (?)' : ''}
+        ORDER BY m.item_name ASC, m.id ASC
+    `, nearby ? [category ? category.id : value, [...nearby.keys()]] : [category ? category.id : value]);
+
+    const items = rows.map((m) => {
+        const r = nearby && nearby.get(m.restaurant_id);
+        return {
+            ...m,
+            price: round2(m.price),
+            category_name: category ? category.name : m.category,
+            distance_km: r ? r.distance_km : null,
+            eta_minutes: r ? r.eta_minutes : null,
+            is_open: r ? r.is_open : null
+        };
+    });
+    if (nearby) {
+        items.sort((a, b) => (b.is_open - a.is_open) || ((a.distance_km ?? Infinity) - (b.distance_km ?? Infinity)));
+    }
+    return items.slice(0, limit);
+}
+
+module.exports = {
+    ensureCategorySchema,
+    categoryIdFor,
+    remapMenuCategories,
+    listCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    categoryItems
+};
@@ -0,0 +1,217 @@
+// Cash-on-delivery ledger: what each agent collected, confirmed and deposited.
+// agents.cash_in_hand is the running balance; every change to it has a cod_ledger row.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+
+const CASH_METHODS = ['cash', 'cod'];
+// Cash an agent may hold (including COD orders still on the way) before new COD orders are blocked
+const COD_CASH_LIMIT = Number(process.env.COD_CASH_LIMIT || 5000);
+
+const isCashPayment = (method) => !method || CASH_METHODS.includes(String(method).toLowerCase());
+
+const ensureCodSchema = once(async () => {
+    await ensureColumn('agents', 'cash_in_hand', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS cod_ledger (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            agent_id INT NOT NULL,
+            order_id INT NULL,
+            entry_type VARCHAR(20) NOT NULL,
+            expected_amount DECIMAL(10,2) NULL,
+            collected_amount DECIMAL(10,2) NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            balance_after DECIMAL(10,2) NOT NULL,
+            note VARCHAR(255) NULL,
+            recorded_by_role VARCHAR(30) NULL,
+            recorded_by_id INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_cod_order_entry (order_id, entry_type),
+            INDEX idx_cod_agent (agent_id, created_at)
+        )
+    `);
+});
+
+// Apply a signed change to an agent's cash and write the matching ledger row (inside `conn`'s transaction)
+async function postEntry(conn, agentId, entry, actor) {
+    const [agents] = await conn.execute('SELECT id, cash_in_hand FROM agents WHERE id = ? FOR UPDATE', [agentId]);
+    if (!agents.length) throw new HttpError('Agent not found', 404);
+    const balance = round2(Number(agents[0].cash_in_hand) + entry.amount);
+    await conn.execute(
+        `INSERT INTO cod_ledger
+           (agent_id, order_id, entry_type, expected_amount, collected_amount, amount, balance_after, note, recorded_by_role, recorded_by_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            agentId, entry.orderId || null, entry.type, entry.expected ?? null, entry.collected ?? null,
+            entry.amount, balance, entry.note ? String(entry.note).slice(0, 255) : null,
+            actor ? actor.role : null, actor ? (actor.agentId || actor.id || null) : null
+        ]
+    );
+    await conn.execute('UPDATE agents SET cash_in_hand = ? WHERE id = ?', [balance, agentId]);
+    return balance;
+}
+
+async function inTransaction(work) {
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await work(conn);
+        await conn.commit();
+        return result;
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+// Called from transitionOrder when an order becomes Delivered: the agent now holds the order total.
+// ensureCodSchema must already have run (DDL would commit the caller's transaction).
+async function recordCodCollection(conn, order, actor) {
+    if (!isCashPayment(order.payment_method) || !order.agent_id) return null;
+    const expected = round2(order.total_price);
+    const [existing] = await conn.execute(
+        "SELECT id FROM cod_ledger WHERE order_id = ? AND entry_type = 'collection' LIMIT 1",
+        [order.id]
+    );
+    if (existing.length) return null;
+    return postEntry(conn, order.agent_id, {
+        type: 'collection', orderId: order.id, expected, amount: expected, note: 'Cash due on delivery'
+    }, actor);
+}
+
+// Agent (or admin) confirms what was actually collected; the difference is booked as an adjustment
+async function confirmCollection(orderId, collectedAmount, actor, note) {
+    await ensureCodSchema();
+    const collected = round2(collectedAmount);
+    if (!Number.isFinite(Number(collectedAmount)) || collected < 0) throw new HttpError('collected_amount must be a positive number');
+
+    return inTransaction(async (conn) => {
+        const [rows] = await conn.execute(
+            `SELECT l.*, o.status FROM cod_ledger l JOIN orders o ON o.id = l.order_id
+             WHERE l.order_id = ? AND l.entry_type = 'collection' LIMIT 1 FOR UPDATE`,
+            [Number(orderId) || 0]
+        );
+        if (!rows.length) throw new HttpError('No cash collection recorded for this order', 404);
+        const collection = rows[0];
+        if (actor.role !== 'admin' && !(actor.role === 'delivery_agent' && Number(actor.agentId) === Number(collection.agent_id))) {
+            throw new HttpError('Not allowed to confirm this collection', 403);
+        }
+        const [done] = await conn.execute(
+            "SELECT id FROM cod_ledger WHERE order_id = ? AND entry_type = 'adjustment' LIMIT 1",
+            [collection.order_id]
+        );
+        if (done.length) throw new HttpError('Collection already confirmed for this order', 409);
+
+        const expected = round2(collection.expected_amount);
+        const difference = round2(collected - expected);
+        const balance = await postEntry(conn, collection.agent_id, {
+            type: 'adjustment',
+            orderId: collection.order_id,
+            expected,
+            collected,
+            amount: difference,
+            note: note || (difference === 0 ? 'Collected as expected' : `Collected ₹${collected} against ₹${expected}`)
+        }, actor);
+        return { order_id: collection.order_id, agent_id: collection.agent_id, expected, collected, difference, cash_in_hand: balance };
+    });
+}
+
+// Admin records cash handed over by an agent
+async function recordDeposit(agentId, amount, actor, note) {
+    await ensureCodSchema();
+    if (actor.role !== 'admin') throw new HttpError('Only admins can record deposits', 403);
+    const value = round2(amount);
+    if (!Number.isFinite(Number(amount)) || value <= 0) throw new HttpError('amount must be greater than zero');
+
+    return inTransaction(async (conn) => {
+        const [agents] = await conn.execute('SELECT cash_in_hand FROM agents WHERE id = ? FOR UPDATE', [Number(agentId) || 0]);
+        if (!agents.length) throw new HttpError('Agent not found', 404);
+        if (value > round2(agents[0].cash_in_hand)) {
+            throw new HttpError('Deposit is more than the cash the agent holds', 409, { cash_in_hand: round2(agents[0].cash_in_hand) });
+        }
+        const balance = await postEntry(conn, Number(agentId), { type: 'deposit', amount: -value, note: note || 'Cash deposited' }, actor);
+        return { agent_id: Number(agentId), deposited: value, cash_in_hand: balance };
+    });
+}
+
+// Cash an agent holds plus COD orders assigned but not yet delivered
+async function projectedCash(agentId, conn = db, excludeOrderId = null) {
+    const [[agent]] = await conn.execute('SELECT cash_in_hand FROM agents WHERE id = ?', [agentId]);
+    if (!agent) return null;
+    const [open] = await conn.execute(
+        `SELECT id, total_price, payment_method FROM orders
+         WHERE agent_id = ? AND status NOT IN ('Delivered', 'Cancelled', 'Rejected') AND id <> ?`,
+        [agentId, excludeOrderId || 0]
+    );
+    const pending = open.filter((o) => isCashPayment(o.payment_method)).reduce((s, o) => s + Number(o.total_price || 0), 0);
+    return round2(Number(agent.cash_in_hand) + pending);
+}
+
+// Used by assignAgent: refuse a COD order that would push the agent over the limit
+async function assertCanCarryCash(conn, order, agentId) {
+    if (!isCashPayment(order.payment_method)) return;
+    const projected = await projectedCash(agentId, conn, order.id);
+    if (projected === null) return;
+    const after = round2(projected + Number(order.total_price || 0));
+    if (after > COD_CASH_LIMIT) {
+        throw new HttpError(`Agent #${agentId} would hold ₹${after} in cash (limit ₹${COD_CASH_LIMIT}); settle before assigning COD orders`, 409, {
+            cash_limit: COD_CASH_LIMIT, projected_cash: after
+        });
+    }
+}
+
+async function agentStatement(agentId, actor, { page, limit } = {}) {
+    await ensureCodSchema();
+    const id = Number(agentId) || 0;
+    if (actor.role !== 'admin' && !(actor.role === 'delivery_agent' && Number(actor.agentId) === id)) {
+        throw new HttpError('Not allowed to view this statement', 403);
+    }
+    const [agents] = await db.execute('SELECT id, name, cash_in_hand FROM agents WHERE id = ? LIMIT 1', [id]);
+    if (!agents.length) throw new HttpError('Agent not found', 404);
+    const size = Math.min(200, Math.max(1, Number(limit) || 50));
+    const current = Math.max(1, Number(page) || 1);
+
+    const [entries] = await db.query(
+        'SELECT * FROM cod_ledger WHERE agent_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+        [id, size, (current - 1) * size]
+    );
+    const [totals] = await db.execute(
+        'SELECT entry_type, COUNT(*) AS cnt, COALESCE(SUM(amount), 0) AS total FROM cod_ledger WHERE agent_id = ? GROUP BY entry_type',
+        [id]
+    );
+    const [unconfirmed] = await db.execute(
+        `SELECT c.order_id, c.expected_amount, c.created_at FROM cod_ledger c
+         LEFT JOIN cod_ledger a ON a.order_id = c.order_id AND a.entry_type = 'adjustment'
+         WHERE c.agent_id = ? AND c.entry_type = 'collection' AND a.id IS NULL
+         ORDER BY c.created_at`,
+        [id]
+    );
+    const sum = (type) => round2((totals.find((t) => t.entry_type === type) || {}).total || 0);
+    return {
+        agent_id: id,
+        name: agents[0].name,
+        cash_in_hand: round2(agents[0].cash_in_hand),
+        cash_limit: COD_CASH_LIMIT,
+        projected_cash: await projectedCash(id),
+        totals: { collected: sum('collection'), adjustments: sum('adjustment'), deposited: round2(-sum('deposit')) },
+        unconfirmed: unconfirmed.map((u) => ({ order_id: u.order_id, expected: round2(u.expected_amount), delivered_at: u.created_at })),
+        page: current,
+        limit: size,
+        entries
+    };
+}
+
+module.exports = {
+    COD_CASH_LIMIT,
+    isCashPayment,
+    ensureCodSchema,
+    recordCodCollection,
+    confirmCollection,
+    recordDeposit,
+    projectedCash,
+    assertCanCarryCash,
+    agentStatement
+};
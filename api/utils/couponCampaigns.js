@@ -0,0 +1,286 @@
+// Personalized coupon campaigns. A job reads each customer's delivered orders (recency, frequency,
+// favourite cuisine), picks the first matching rule below and issues a single-use personal coupon,
+// announced in the customer's notification feed. Everything is deterministic — no outside service.
+// Spend is capped per calendar month by the worst case of every coupon issued (its max discount).
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { round2 } = require('./pricing');
+const { generateCouponCode } = require('./couponGenerator');
+const { ensureCouponSchema } = require('./coupons');
+const { ensureNotificationSchema, notify } = require('./notifications');
+
+const MONTHLY_BUDGET = Number(process.env.COUPON_CAMPAIGN_MONTHLY_BUDGET ?? 20000);
+const JOB_INTERVAL_MS = Number(process.env.COUPON_CAMPAIGN_INTERVAL_MS || 24 * 60 * 60 * 1000);
+// No new campaign coupon for a customer who got one recently, and never the same rule twice in this window
+const COOLDOWN_DAYS = Number(process.env.COUPON_CAMPAIGN_COOLDOWN_DAYS ?? 14);
+const RULE_REPEAT_DAYS = 60;
+const LAPSED_AFTER_DAYS = Number(process.env.COUPON_CAMPAIGN_LAPSED_DAYS ?? 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In priority order: a customer gets the first rule they match
+const RULES = [
+    {
+        key: 'lapsed',
+        label: 'Lapsed customers',
+        title: 'We miss you! Here is 20% off',
+        prefix: 'MISSU',
+        matches: (p, now) => p.orders >= 2 && daysSince(p.last_order_at, now) >= LAPSED_AFTER_DAYS,
+        coupon: { discount_type: 'percent', discount_value: 20, max_discount: 100, min_order_value: 199, valid_days: 14 }
+    },
+    {
+        key: 'second_order',
+        label: 'One order so far',
+        title: 'Your second order is on us (almost)',
+        prefix: 'AGAIN',
+        matches: (p, now) => p.orders === 1 && daysSince(p.last_order_at, now) >= 3 && daysSince(p.last_order_at, now) < LAPSED_AFTER_DAYS,
+        coupon: { discount_type: 'flat', discount_value: 40, max_discount: null, min_order_value: 149, valid_days: 10 }
+    },
+    {
+        key: 'favourite_cuisine',
+        label: 'Favourite cuisine',
+        title: (p) => `Craving ${p.favourite_cuisine}? 15% off`,
+        prefix: 'YUM',
+        matches: (p, now) => p.orders >= 3 && p.favourite_cuisine_orders >= 2 && daysSince(p.last_order_at, now) < LAPSED_AFTER_DAYS,
+        coupon: { discount_type: 'percent', discount_value: 15, max_discount: 75, min_order_value: 249, valid_days: 7, scope: 'cuisine' }
+    },
+    {
+        key: 'frequent',
+        label: 'Frequent customers',
+        title: 'Thanks for ordering so often — ₹50 off',
+        prefix: 'VIP',
+        matches: (p) => p.orders_30d >= 5,
+        coupon: { discount_type: 'flat', discount_value: 50, max_discount: null, min_order_value: 299, valid_days: 7 }
+    }
+];
+
+const daysSince = (date, now) => (now.getTime() - new Date(date).getTime()) / DAY_MS;
+
+// Most the coupon can ever take off an order
+const exposureOf = (c) => round2(c.discount_type === 'flat' ? c.discount_value : c.max_discount);
+
+function monthStart(now) {
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+}
+
+function offerText(c) {
+    const value = c.discount_type === 'percent' ? `${c.discount_value}% off${c.max_discount ? ` (up to ₹${c.max_discount})` : ''}` : `₹${c.discount_value} off`;
+    return `${value} on orders above ₹${c.min_order_value}`;
+}
+
+// One row per customer with delivered orders
+async function customerProfiles(now) {
+    const [rows] = await db.execute(
+        `SELECT user_id, COUNT(*) AS orders, MAX(created_at) AS last_order_at,
+                SUM(created_at >= ?) AS orders_30d
+         FROM orders
+         WHERE status = 'Delivered' AND user_id IS NOT NULL
+         GROUP BY user_id
+         ORDER BY user_id`,
+        [new Date(now.getTime() - 30 * DAY_MS)]
+    );
+    const [cuisineRows] = await db.execute(
+        `SELECT o.user_id, r.cuisine, COUNT(*) AS cnt
+         FROM orders o JOIN restaurants r ON r.id = o.restaurant_id
+         WHERE o.status = 'Delivered' AND o.user_id IS NOT NULL AND r.cuisine IS NOT NULL AND r.cuisine <> ''
+         GROUP BY o.user_id, r.cuisine`
+    );
+    // A restaurant's cuisine field can list several ("North Indian, Chinese"); each counts
+    const cuisineCounts = new Map();
+    for (const r of cuisineRows) {
+        const counts = cuisineCounts.get(r.user_id) || new Map();
+        String(r.cuisine).split(/[,/|]/).map((c) => c.trim()).filter(Boolean).forEach((c) => {
+            counts.set(c, (counts.get(c) || 0) + Number(r.cnt));
+        });
+        cuisineCounts.set(r.user_id, counts);
+    }
+    return rows.map((r) => {
+        // Highest count wins; ties go alphabetically so reruns pick the same cuisine
+        const [favourite] = [...(cuisineCounts.get(r.user_id) || new Map())]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        return {
+            user_id: r.user_id,
+            orders: Number(r.orders),
+            orders_30d: Number(r.orders_30d),
+            last_order_at: r.last_order_at,
+            favourite_cuisine: favourite ? favourite[0] : null,
+            favourite_cuisine_orders: favourite ? favourite[1] : 0
+        };
+    });
+}
+
+// Customers who should not get a coupon this run: an unused one is still live, one arrived
+// within the cooldown, or (per rule) the same rule fired within RULE_REPEAT_DAYS
+async function recentlyTargeted(now) {
+    const [rows] = await db.execute(
+        `SELECT user_id, campaign, created_at, used_count, is_active, valid_until FROM coupons
+         WHERE campaign IS NOT NULL AND user_id IS NOT NULL AND created_at >= ?`,
+        [new Date(now.getTime() - Math.max(RULE_REPEAT_DAYS, COOLDOWN_DAYS) * DAY_MS)]
+    );
+    const blocked = new Set();
+    const ruleUsed = new Set();
+    for (const r of rows) {
+        const live = r.is_active && !r.used_count && (!r.valid_until || new Date(r.valid_until) > now);
+        if (live || daysSince(r.created_at, now) < COOLDOWN_DAYS) blocked.add(r.user_id);
+        ruleUsed.add(`${r.user_id}:${r.campaign}`);
+    }
+    return { blocked, ruleUsed };
+}
+
+// Worst-case spend already committed by this month's campaign coupons
+async function committedThisMonth(now) {
+    const [[row]] = await db.execute(
+        `SELECT COALESCE(SUM(CASE WHEN discount_type = 'flat' THEN discount_value ELSE max_discount END), 0) AS committed
+         FROM coupons WHERE campaign IS NOT NULL AND created_at >= ?`,
+        [monthStart(now)]
+    );
+    return round2(row.committed);
+}
+
+function couponFor(rule, profile, now) {
+    const c = rule.coupon;
+    const fields = {
+        discount_type: c.discount_type,
+        discount_value: c.discount_value,
+        max_discount: c.max_discount,
+        min_order_value: c.min_order_value,
+        scope: c.scope || 'all',
+        scope_values: c.scope === 'cuisine' ? JSON.stringify([profile.favourite_cuisine]) : null
+    };
+    return {
+        ...fields,
+        description: `${rule.label}: ${offerText(c)}`.slice(0, 255),
+        valid_from: now,
+        valid_until: new Date(now.getTime() + c.valid_days * DAY_MS),
+        usage_limit: 1,
+        per_user_limit: 1,
+        funded_by: 'platform',
+        user_id: profile.user_id,
+        campaign: rule.key,
+        created_by_role: 'system'
+    };
+}
+
+// The coupon and its notification land together or not at all
+async function issueCoupon(rule, profile, fields) {
+    const title = typeof rule.title === 'function' ? rule.title(profile) : rule.title;
+    for (let attempt = 0; ; attempt += 1) {
+        const code = generateCouponCode(rule.prefix);
+        const conn = await db.getConnection();
+        try {
+            await conn.beginTransaction();
+            const [res] = await conn.query('INSERT INTO coupons SET ?', [{ ...fields, code }]);
+            await notify(profile.user_id, {
+                type: 'coupon',
+                title,
+                body: `Use ${code} for ${offerText(rule.coupon)}. Valid till ${fields.valid_until.toDateString()}.`,
+                data: { coupon_id: res.insertId, code, campaign: rule.key, valid_until: fields.valid_until.toISOString() }
+            }, conn);
+            await conn.commit();
+            return code;
+        } catch (err) {
+            await conn.rollback();
+            if (!(err && err.code === 'ER_DUP_ENTRY' && attempt < 3)) throw err;
+        } finally {
+            conn.release();
+        }
+    }
+}
+
+let running = null;
+
+// One pass over every customer. { dryRun } lists who would get what without issuing anything.
+async function runCampaigns({ dryRun = false, now = new Date() } = {}) {
+    if (running) throw new HttpError('A campaign run is already in progress', 409);
+    running = (async () => {
+        await ensureCouponSchema();
+        await ensureNotificationSchema();
+        const [profiles, targeted, committed] = await Promise.all([customerProfiles(now), recentlyTargeted(now), committedThisMonth(now)]);
+        let remaining = round2(MONTHLY_BUDGET - committed);
+        const result = { dry_run: dryRun, issued: [], skipped_for_budget: 0, by_rule: {} };
+        for (const profile of profiles) {
+            if (targeted.blocked.has(profile.user_id)) continue;
+            const rule = RULES.find((r) => !targeted.ruleUsed.has(`${profile.user_id}:${r.key}`) && r.matches(profile, now));
+            if (!rule) continue;
+            const fields = couponFor(rule, profile, now);
+            const exposure = exposureOf(fields);
+            if (exposure > remaining) {
+                result.skipped_for_budget += 1;
+                continue;
+            }
+            try {
+                const code = dryRun ? null : await issueCoupon(rule, profile, fields);
+                remaining = round2(remaining - exposure);
+                result.issued.push({ user_id: profile.user_id, campaign: rule.key, code, max_discount: exposure });
+                result.by_rule[rule.key] = (result.by_rule[rule.key] || 0) + 1;
+            } catch (err) {
+                console.error(`Campaign coupon for user ${profile.user_id} failed:`, err?.message || err);
+            }
+        }
+        result.budget = { monthly: MONTHLY_BUDGET, committed: round2(MONTHLY_BUDGET - remaining), remaining };
+        return result;
+    })();
+    try {
+        return await running;
+    } finally {
+        running = null;
+    }
+}
+
+// Per rule: how many coupons went out in the last `days` and how many were used on live orders
+async function campaignStats({ days } = {}) {
+    await ensureCouponSchema();
+    const windowDays = Math.min(Math.max(Number(days) || 90, 1), 365);
+    const now = new Date();
+    const [rows] = await db.execute(
+        `SELECT c.campaign, COUNT(*) AS issued,
+                SUM(c.used_count > 0) AS redeemed,
+                SUM(c.used_count = 0 AND c.is_active = 1 AND (c.valid_until IS NULL OR c.valid_until > NOW())) AS outstanding,
+                COALESCE(SUM(r.discount), 0) AS discount_given,
+                COALESCE(SUM(o.total_price), 0) AS order_value
+         FROM coupons c
+         LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id AND r.status = 'applied'
+         LEFT JOIN orders o ON o.id = r.order_id
+         WHERE c.campaign IS NOT NULL AND c.created_at >= ?
+         GROUP BY c.campaign`,
+        [new Date(now.getTime() - windowDays * DAY_MS)]
+    );
+    const byKey = new Map(rows.map((r) => [r.campaign, r]));
+    const committed = await committedThisMonth(now);
+    return {
+        days: windowDays,
+        budget: { monthly: MONTHLY_BUDGET, committed, remaining: round2(Math.max(MONTHLY_BUDGET - committed, 0)) },
+        rules: RULES.map((rule) => {
+            const r = byKey.get(rule.key) || {};
+            const issued = Number(r.issued || 0);
+            const redeemed = Number(r.redeemed || 0);
+            return {
+                campaign: rule.key,
+                label: rule.label,
+                offer: offerText(rule.coupon),
+                issued,
+                redeemed,
+                outstanding: Number(r.outstanding || 0),
+                redemption_rate: issued ? round2((redeemed / issued) * 100) : 0,
+                discount_given: round2(r.discount_given),
+                order_value: round2(r.order_value)
+            };
+        })
+    };
+}
+
+let campaignTimer = null;
+
+module.exports = {
+    RULES,
+    runCampaigns,
+    campaignStats,
+    startCouponCampaignJob: () => {
+        if (campaignTimer) return campaignTimer;
+        const tick = () => runCampaigns()
+            .then((r) => { if (r.issued.length) console.log(`🎟️  Issued ${r.issued.length} campaign coupons`); })
+            .catch((err) => console.error('Coupon campaign job error:', err?.message || err));
+        campaignTimer = setInterval(tick, JOB_INTERVAL_MS);
+        tick();
+        return campaignTimer;
+    }
+};
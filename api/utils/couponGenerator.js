@@ -1,8 +1,13 @@
-// AI Coupon Generator Logic
+// Coupon code generator: readable random codes (no 0/O or 1/I look-alikes)
+const crypto = require('crypto');
+
+const ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
 module.exports = {
-    generateCoupon: () => {
-        console.log('Generating AI-powered coupon...');
-        // Placeholder for coupon generation logic
-        return 'COUPON2025';
+    // e.g. TND-7KQ2MX; uniqueness is enforced by the coupons table
+    generateCouponCode: (prefix = 'TND', length = 6) => {
+        const bytes = crypto.randomBytes(length);
+        const body = Array.from(bytes, (b) => ALPHABET[b % ALPHABET.length]).join('');
+        return `${String(prefix).toUpperCase()}-${body}`;
     }
-};
\ No newline at end of file
+};
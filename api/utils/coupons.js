@@ -0,0 +1,353 @@
+// Coupons: percent or flat discounts with caps, minimum order, validity window, usage limits
+// and a scope (everything, one restaurant, some categories, some menu items or some cuisines).
+// Admin coupons are platform-funded; a restaurant's own coupons are restaurant-funded and
+// come out of its settlement (orders.restaurant_discount). Campaign coupons (couponCampaigns.js)
+// are issued to one customer (user_id) and tagged with the rule that issued them.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { generateCouponCode } = require('./couponGenerator');
+
+const DISCOUNT_TYPES = ['percent', 'flat'];
+const SCOPES = ['all', 'restaurant', 'category', 'item', 'cuisine'];
+// Orders in these states no longer count as the customer's "first order"
+const DEAD_STATUSES = ['Cancelled', 'Rejected'];
+
+const ensureCouponSchema = once(async () => {
+    await ensureColumn('orders', 'coupon_code', 'VARCHAR(40) NULL');
+    // Part of discount_amount the restaurant pays for (its own coupons and offers)
+    await ensureColumn('orders', 'restaurant_discount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS coupons (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            code VARCHAR(40) NOT NULL,
+            description VARCHAR(255) NULL,
+            discount_type VARCHAR(10) NOT NULL,
+            discount_value DECIMAL(10,2) NOT NULL,
+            max_discount DECIMAL(10,2) NULL,
+            min_order_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+            valid_from DATETIME NULL,
+            valid_until DATETIME NULL,
+            usage_limit INT NULL,
+            per_user_limit INT NULL,
+            first_order_only TINYINT(1) NOT NULL DEFAULT 0,
+            scope VARCHAR(20) NOT NULL DEFAULT 'all',
+            restaurant_id INT NULL,
+            scope_values JSON NULL,
+            funded_by VARCHAR(20) NOT NULL DEFAULT 'platform',
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            used_count INT NOT NULL DEFAULT 0,
+            created_by_role VARCHAR(20) NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_coupon_code (code),
+            INDEX idx_coupon_restaurant (restaurant_id)
+        )
+    `);
+    // Personal coupons only work for this customer
+    await ensureColumn('coupons', 'user_id', 'INT NULL');
+    await ensureColumn('coupons', 'campaign', 'VARCHAR(40) NULL');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS coupon_redemptions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            coupon_id INT NOT NULL,
+            user_id INT NOT NULL,
+            order_id INT NOT NULL,
+            discount DECIMAL(10,2) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'applied',
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            reversed_at DATETIME NULL,
+            UNIQUE KEY uniq_redemption_order (order_id),
+            INDEX idx_redemption_user (coupon_id, user_id, status)
+        )
+    `);
+});
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// mysql2 hands back JSON columns parsed; older servers store them as text
+function scopeValues(coupon) {
+    let values = coupon.scope_values;
+    if (typeof values === 'string') {
+        try { values = JSON.parse(values); } catch (_) { values = []; }
+    }
+    return Array.isArray(values) ? values : [];
+}
+
+function toDate(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw new HttpError(`${field} is not a valid date`);
+    return d;
+}
+
+function optionalCount(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1) throw new HttpError(`${field} must be a whole number of at least 1`);
+    return n;
+}
+
+// Validate a create payload. Restaurants can only make coupons for their own menu, which they fund.
+async function couponFields(body, actor) {
+    const b = body || {};
+    const discountType = String(b.discount_type || '').toLowerCase();
+    if (!DISCOUNT_TYPES.includes(discountType)) throw new HttpError(`discount_type must be one of ${DISCOUNT_TYPES.join(', ')}`);
+    const value = round2(b.discount_value);
+    if (!(value > 0) || (discountType === 'percent' && value > 100)) {
+        throw new HttpError(discountType === 'percent' ? 'discount_value must be between 0 and 100' : 'discount_value must be positive');
+    }
+    const maxDiscount = b.max_discount === null || b.max_discount === undefined || b.max_discount === '' ? null : round2(b.max_discount);
+    if (maxDiscount !== null && !(maxDiscount > 0)) throw new HttpError('max_discount must be positive');
+    const minOrder = round2(b.min_order_value || 0);
+    if (minOrder < 0) throw new HttpError('min_order_value cannot be negative');
+    const validFrom = toDate(b.valid_from, 'valid_from');
+    const validUntil = toDate(b.valid_until, 'valid_until');
+    if (validFrom && validUntil && validUntil <= validFrom) throw new HttpError('valid_until must be after valid_from');
+
+    let scope = String(b.scope || 'all').toLowerCase();
+    if (!SCOPES.includes(scope)) throw new HttpError(`scope must be one of ${SCOPES.join(', ')}`);
+    let restaurantId = Number(b.restaurant_id) || null;
+    if (actor.role === 'restaurant') {
+        if (!actor.restaurantId) throw new HttpError('Your account is not linked to a restaurant', 403);
+        restaurantId = Number(actor.restaurantId);
+        if (scope === 'all') scope = 'restaurant';
+    }
+    if (scope === 'restaurant' && !restaurantId) throw new HttpError('restaurant_id is required for a restaurant coupon');
+
+    let values = null;
+    if (scope === 'category' || scope === 'item' || scope === 'cuisine') {
+        const raw = Array.isArray(b.scope_values) ? b.scope_values : String(b.scope_values || '').split(',');
+        values = scope === 'item'
+            ? [...new Set(raw.map(Number).filter((n) => Number.isInteger(n) && n > 0))]
+            : [...new Set(raw.map((v) => String(v).trim()).filter(Boolean))];
+        if (!values.length) throw new HttpError(scope === 'item' ? 'scope_values must list menu item ids' : `scope_values must list ${scope === 'cuisine' ? 'cuisines' : 'categories'}`);
+        if (scope === 'item' && restaurantId) {
+            const [rows] = await db.query('SELECT id FROM menu WHERE id IN (?) AND restaurant_id = ?', [values, restaurantId]);
+            if (rows.length !== values.length) throw new HttpError('Some menu items do not belong to this restaurant');
+        }
+    }
+
+    return {
+        code: normalizeCode(b.code) || generateCouponCode(),
+        description: b.description ? String(b.description).slice(0, 255) : null,
+        discount_type: discountType,
+        discount_value: value,
+        max_discount: maxDiscount,
+        min_order_value: minOrder,
+        valid_from: validFrom,
+        valid_until: validUntil,
+        usage_limit: optionalCount(b.usage_limit, 'usage_limit'),
+        per_user_limit: optionalCount(b.per_user_limit, 'per_user_limit'),
+        first_order_only: b.first_order_only ? 1 : 0,
+        scope,
+        restaurant_id: restaurantId,
+        scope_values: values ? JSON.stringify(values) : null,
+        funded_by: actor.role === 'restaurant' ? 'restaurant' : 'platform'
+    };
+}
+
+function assertCanManage(actor, coupon) {
+    if (actor.role === 'admin') return;
+    if (actor.role === 'restaurant' && coupon && Number(coupon.restaurant_id) === Number(actor.restaurantId) && coupon.funded_by === 'restaurant') return;
+    throw new HttpError('Not allowed to manage this coupon', 403);
+}
+
+async function createCoupon(body, actor) {
+    await ensureCouponSchema();
+    if (!['admin', 'restaurant'].includes(actor.role)) throw new HttpError('Only admins and restaurants can create coupons', 403);
+    const fields = await couponFields(body, actor);
+    if (!/^[A-Z0-9_-]{3,40}$/.test(fields.code)) throw new HttpError('code must be 3-40 letters, digits, - or _');
+    try {
+        const [res] = await db.query('INSERT INTO coupons SET ?', [{ ...fields, created_by_role: actor.role, created_by: actor.id }]);
+        return getCoupon(res.insertId);
+    } catch (err) {
+        if (err && err.code === 'ER_DUP_ENTRY') throw new HttpError(`Coupon ${fields.code} already exists`, 409);
+        throw err;
+    }
+}
+
+async function getCoupon(id) {
+    const [[row]] = await db.execute('SELECT * FROM coupons WHERE id = ?', [id]);
+    if (!row) throw new HttpError('Coupon not found', 404);
+    return { ...row, scope_values: scopeValues(row) };
+}
+
+// Admin: every coupon (?restaurant_id, ?active=1|0; personal campaign coupons only with ?campaign=). Restaurant: the ones it runs.
+async function listCoupons(actor, { restaurant_id: restaurantId, active, campaign } = {}) {
+    await ensureCouponSchema();
+    const filters = [];
+    const params = [];
+    if (actor.role === 'restaurant') {
+        filters.push("restaurant_id = ? AND funded_by = 'restaurant'");
+        params.push(Number(actor.restaurantId) || 0);
+    } else if (actor.role !== 'admin') {
+        throw new HttpError('Not allowed to list coupons', 403);
+    } else if (restaurantId) {
+        filters.push('restaurant_id = ?');
+        params.push(Number(restaurantId));
+    }
+    if (campaign) {
+        filters.push('campaign = ?');
+        params.push(String(campaign));
+    } else {
+        filters.push('campaign IS NULL');
+    }
+    if (active === '1' || active === '0') {
+        filters.push('is_active = ?');
+        params.push(Number(active));
+    }
+    const [rows] = await db.query(
+        `SELECT * FROM coupons ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''} ORDER BY created_at DESC, id DESC`,
+        params
+    );
+    return { coupons: rows.map((r) => ({ ...r, scope_values: scopeValues(r) })) };
+}
+
+// { is_active, description, valid_until, usage_limit, per_user_limit } — the discount itself never changes once live
+async function updateCoupon(id, body, actor) {
+    await ensureCouponSchema();
+    const coupon = await getCoupon(id);
+    assertCanManage(actor, coupon);
+    const b = body || {};
+    const changes = {};
+    if (b.is_active !== undefined) changes.is_active = b.is_active ? 1 : 0;
+    if (b.description !== undefined) changes.description = b.description ? String(b.description).slice(0, 255) : null;
+    if (b.valid_until !== undefined) changes.valid_until = toDate(b.valid_until, 'valid_until');
+    if (b.usage_limit !== undefined) changes.usage_limit = optionalCount(b.usage_limit, 'usage_limit');
+    if (b.per_user_limit !== undefined) changes.per_user_limit = optionalCount(b.per_user_limit, 'per_user_limit');
+    if (!Object.keys(changes).length) throw new HttpError('Nothing to update');
+    await db.query('UPDATE coupons SET ? WHERE id = ?', [changes, coupon.id]);
+    return getCoupon(coupon.id);
+}
+
+// Live coupons a customer could use at this restaurant, for the checkout page.
+// Personal coupons are only listed for their owner.
+async function availableCoupons(restaurantId, userId = null) {
+    await ensureCouponSchema();
+    const [rows] = await db.execute(
+        `SELECT code, description, discount_type, discount_value, max_discount, min_order_value, valid_until,
+                first_order_only, scope, scope_values, user_id IS NOT NULL AS personal
+         FROM coupons
+         WHERE is_active = 1 AND (valid_from IS NULL OR valid_from <= NOW()) AND (valid_until IS NULL OR valid_until > NOW())
+           AND (usage_limit IS NULL OR used_count < usage_limit)
+           AND (restaurant_id IS NULL OR restaurant_id = ?)
+           AND (user_id IS NULL OR user_id = ?)
+         ORDER BY personal DESC, discount_value DESC`,
+        [Number(restaurantId) || 0, Number(userId) || 0]
+    );
+    return { coupons: rows.map((r) => ({ ...r, scope_values: scopeValues(r) })) };
+}
+
+const notApplicable = (message, extra) => new HttpError(message, 422, { code: 'coupon_invalid', ...(extra || {}) });
+
+// Cuisine coupons match the restaurant's cuisine field ("North Indian, Chinese")
+function servesCuisine(restaurant, cuisines) {
+    const served = String(restaurant.cuisine || '').toLowerCase().split(/[,/|]/).map((c) => c.trim()).filter(Boolean);
+    return cuisines.some((c) => served.includes(String(c).trim().toLowerCase()));
+}
+
+// Part of the cart the coupon covers
+function eligibleSubtotal(coupon, lines) {
+    const values = scopeValues(coupon);
+    const wanted = new Set(values.map((v) => (coupon.scope === 'item' ? Number(v) : String(v).toLowerCase())));
+    const matches = {
+        category: (l) => wanted.has(String(l.category || '').toLowerCase()),
+        item: (l) => wanted.has(Number(l.menu_id))
+    }[coupon.scope] || (() => true);
+    return round2(lines.filter(matches).reduce((s, l) => s + l.line_total, 0));
+}
+
+// Check `code` against a priced cart and work out the discount. With `lock` (inside the order's
+// transaction) the coupon row stays locked, so concurrent orders cannot exceed its limits.
+async function evaluateCoupon(conn, code, { user, restaurant, lines, lock = false }) {
+    const normalized = normalizeCode(code);
+    const [[coupon]] = await conn.execute(`SELECT * FROM coupons WHERE code = ? ${lock ? 'FOR UPDATE' : ''}`, [normalized]);
+    if (!coupon || !coupon.is_active) throw notApplicable(`${normalized} is not a valid coupon`);
+    const now = new Date();
+    if (coupon.valid_from && new Date(coupon.valid_from) > now) throw notApplicable(`${normalized} is not active yet`);
+    if (coupon.valid_until && new Date(coupon.valid_until) <= now) throw notApplicable(`${normalized} has expired`);
+    if (coupon.restaurant_id && Number(coupon.restaurant_id) !== Number(restaurant.id)) {
+        throw notApplicable(`${normalized} is not valid at ${restaurant.name}`);
+    }
+    if (coupon.scope === 'cuisine' && !servesCuisine(restaurant, scopeValues(coupon))) {
+        throw notApplicable(`${normalized} is only valid on ${scopeValues(coupon).join(', ')} food`);
+    }
+    if (coupon.usage_limit !== null && coupon.used_count >= coupon.usage_limit) throw notApplicable(`${normalized} has been fully used`);
+
+    const subtotal = round2(lines.reduce((s, l) => s + l.line_total, 0));
+    const minOrder = round2(coupon.min_order_value);
+    if (subtotal < minOrder) {
+        throw notApplicable(`Add ₹${round2(minOrder - subtotal)} more to use ${normalized}`, { min_order_value: minOrder });
+    }
+    const eligible = eligibleSubtotal(coupon, lines);
+    if (eligible <= 0) throw notApplicable(`${normalized} does not apply to the items in your cart`);
+
+    // Per-customer rules need to know who is ordering
+    const userId = user && user.id;
+    if ((coupon.per_user_limit !== null || coupon.first_order_only || coupon.user_id) && !userId) {
+        throw new HttpError(`Sign in to use ${normalized}`, 401, { code: 'coupon_invalid' });
+    }
+    if (coupon.user_id && Number(coupon.user_id) !== Number(userId)) throw notApplicable(`${normalized} is not valid for your account`);
+    if (coupon.per_user_limit !== null) {
+        const [[used]] = await conn.execute(
+            "SELECT COUNT(*) AS cnt FROM coupon_redemptions WHERE coupon_id = ? AND user_id = ? AND status = 'applied'",
+            [coupon.id, userId]
+        );
+        if (used.cnt >= coupon.per_user_limit) throw notApplicable(`You have already used ${normalized}`);
+    }
+    if (coupon.first_order_only) {
+        const [[prior]] = await conn.query(
+            'SELECT COUNT(*) AS cnt FROM orders WHERE user_id = ? AND status NOT IN (?)',
+            [userId, DEAD_STATUSES]
+        );
+        if (prior.cnt) throw notApplicable(`${normalized} is only for your first order`);
+    }
+
+    let discount = coupon.discount_type === 'percent'
+        ? round2((eligible * Number(coupon.discount_value)) / 100)
+        : round2(Math.min(Number(coupon.discount_value), eligible));
+    if (coupon.max_discount !== null) discount = Math.min(discount, round2(coupon.max_discount));
+    return {
+        id: coupon.id,
+        code: coupon.code,
+        description: coupon.description,
+        discount,
+        funded_by: coupon.funded_by
+    };
+}
+
+// Inside the order's transaction, right after the order row is written
+async function recordRedemption(conn, coupon, orderId, userId) {
+    await conn.execute(
+        'INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount) VALUES (?, ?, ?, ?)',
+        [coupon.id, userId, orderId, coupon.discount]
+    );
+    await conn.execute('UPDATE coupons SET used_count = used_count + 1 WHERE id = ?', [coupon.id]);
+}
+
+// Cancelled / Rejected: the coupon use no longer counts against its limits
+async function releaseForOrder(conn, order) {
+    if (!order.coupon_code) return false;
+    const [[redemption]] = await conn.execute(
+        "SELECT id, coupon_id FROM coupon_redemptions WHERE order_id = ? AND status = 'applied' FOR UPDATE",
+        [order.id]
+    );
+    if (!redemption) return false;
+    await conn.execute("UPDATE coupon_redemptions SET status = 'reversed', reversed_at = NOW() WHERE id = ?", [redemption.id]);
+    await conn.execute('UPDATE coupons SET used_count = GREATEST(used_count - 1, 0) WHERE id = ?', [redemption.coupon_id]);
+    return true;
+}
+
+module.exports = {
+    ensureCouponSchema,
+    normalizeCode,
+    createCoupon,
+    listCoupons,
+    updateCoupon,
+    availableCoupons,
+    evaluateCoupon,
+    recordRedemption,
+    releaseForOrder
+};
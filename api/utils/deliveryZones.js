@@ -0,0 +1,345 @@
+// Admin-defined delivery zones: GeoJSON polygons, each with its own minimum order, delivery fee
+// tiers and hours. An address is serviceable when it lies inside an active zone that also contains
+// the restaurant. Until an admin saves the first zone, delivery falls back to the distance tiers alone.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { once } = require('./schema');
+const { round2, parseDeliveryTiers, maxDeliveryKm } = require('./pricing');
+const { toCoord, restaurantCoords } = require('./geo');
+
+const CACHE_TTL_MS = Number(process.env.DELIVERY_ZONE_CACHE_MS || 30000);
+
+const ensureDeliveryZoneSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS delivery_zones (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            geojson LONGTEXT NOT NULL,
+            min_order_value DECIMAL(10,2) NULL,
+            delivery_tiers VARCHAR(255) NULL,
+            start_time TIME NULL,
+            end_time TIME NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        )
+    `);
+});
+
+const notServiceable = (message, extra) => new HttpError(message, 422, { code: 'not_serviceable', ...(extra || {}) });
+
+// ---- GeoJSON ----
+
+// One ring as [lng, lat] positions, closed; throws on anything a map could not draw
+function parseRing(ring) {
+    if (!Array.isArray(ring)) throw new HttpError('Each polygon ring must be a list of [lng, lat] positions');
+    const points = ring.map((p) => {
+        const lng = Array.isArray(p) ? toCoord(p[0]) : null;
+        const lat = Array.isArray(p) ? toCoord(p[1]) : null;
+        if (lng === null || lat === null || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+            throw new HttpError('Polygon positions must be [lng, lat] within range');
+        }
+        return [lng, lat];
+    });
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) points.push([first[0], first[1]]);
+    if (points.length < 4) throw new HttpError('A polygon needs at least three corners');
+    return points;
+}
+
+// Polygon / MultiPolygon geometry, Feature or FeatureCollection (object or JSON text) -> MultiPolygon geometry
+function parseGeoJson(input) {
+    let g = input;
+    if (typeof g === 'string') {
+        try {
+            g = JSON.parse(g);
+        } catch (_) {
+            throw new HttpError('geojson is not valid JSON');
+        }
+    }
+    if (!g || typeof g !== 'object') throw new HttpError('geojson is required');
+    const polygons = [];
+    const collect = (node) => {
+        if (!node || typeof node !== 'object') return;
+        if (node.type === 'FeatureCollection') (node.features || []).forEach(collect);
+        else if (node.type === 'Feature') collect(node.geometry);
+        else if (node.type === 'Polygon') polygons.push(node.coordinates);
+        else if (node.type === 'MultiPolygon') (node.coordinates || []).forEach((p) => polygons.push(p));
+    };
+    collect(g);
+    if (!polygons.length) throw new HttpError('geojson must contain a Polygon or MultiPolygon');
+    const coordinates = polygons.map((rings) => {
+        if (!Array.isArray(rings) || !rings.length) throw new HttpError('Each polygon needs an outer ring');
+        return rings.map(parseRing);
+    });
+    return { type: 'MultiPolygon', coordinates };
+}
+
+// Ray casting; a point exactly on an edge may fall either way
+function inRing(lng, lat, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+// Inside the outer ring and outside every hole of one of the polygons
+function containsPoint(zone, lat, lng) {
+    const [minLng, minLat, maxLng, maxLat] = zone.bbox;
+    if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+    return zone.geometry.coordinates.some(([outer, ...holes]) => inRing(lng, lat, outer) && !holes.some((h) => inRing(lng, lat, h)));
+}
+
+function bboxOf(geometry) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    geometry.coordinates.forEach((poly) => poly[0].forEach(([lng, lat]) => {
+        box[0] = Math.min(box[0], lng);
+        box[1] = Math.min(box[1], lat);
+        box[2] = Math.max(box[2], lng);
+        box[3] = Math.max(box[3], lat);
+    }));
+    return box;
+}
+
+// Shoelace area in square degrees; only used to prefer the smaller of two overlapping zones
+const ringArea = (ring) => Math.abs(ring.reduce((s, [x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    return s + x1 * y2 - x2 * y1;
+}, 0)) / 2;
+const areaOf = (geometry) => geometry.coordinates.reduce((s, [outer]) => s + ringArea(outer), 0);
+
+// ---- Hours ----
+
+const toMinutes = (hhmm) => {
+    if (!hhmm) return null;
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return Number.isFinite(h) ? h * 60 + (Number.isFinite(m) ? m : 0) : null;
+};
+
+// No hours means always open; an end_time before start_time runs past midnight
+function isZoneOpen(zone, at = new Date()) {
+    const start = toMinutes(zone.start_time);
+    const end = toMinutes(zone.end_time);
+    if (start === null || end === null) return true;
+    const mins = at.getHours() * 60 + at.getMinutes();
+    return end > start ? mins >= start && mins < end : mins >= start || mins < end;
+}
+
+const hoursLabel = (zone) => `${String(zone.start_time).slice(0, 5)}–${String(zone.end_time).slice(0, 5)}`;
+
+// ---- Loading ----
+
+// Row -> zone with its geometry parsed once; a row that no longer parses is skipped, not fatal
+function hydrate(row) {
+    try {
+        const geometry = parseGeoJson(row.geojson);
+        const tiers = parseDeliveryTiers(row.delivery_tiers);
+        return {
+            ...row,
+            geometry,
+            bbox: bboxOf(geometry),
+            area: areaOf(geometry),
+            tiers: tiers.length ? tiers : null,
+            min_order_value: row.min_order_value === null ? null : round2(row.min_order_value)
+        };
+    } catch (err) {
+        console.error(`Delivery zone ${row.id} has unusable geojson:`, err.message);
+        return null;
+    }
+}
+
+let cache = null;
+
+// Active zones, cached briefly because every listing and checkout reads them
+async function activeZones() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache.zones;
+    await ensureDeliveryZoneSchema();
+    const [rows] = await db.execute('SELECT * FROM delivery_zones WHERE is_active = 1');
+    cache = { loadedAt: Date.now(), zones: rows.map(hydrate).filter(Boolean) };
+    return cache.zones;
+}
+
+function invalidateZones() {
+    cache = null;
+}
+
+// Zones around a point, smallest first (the most specific zone wins where zones overlap)
+const zonesAt = (zones, lat, lng) => zones.filter((z) => containsPoint(z, lat, lng)).sort((a, b) => a.area - b.area || a.id - b.id);
+
+// The zone delivering from `restaurant` to (lat, lng), or null when the address is outside every zone
+// or the restaurant is in none of the address's zones. Restaurants without coordinates are matched on
+// the address alone. With `at`, a zone open then is preferred over a smaller closed one.
+function deliveryZoneFor(zones, restaurant, lat, lng, at = null) {
+    const from = restaurantCoords(restaurant);
+    const candidates = zonesAt(zones, lat, lng).filter((z) => !from || containsPoint(z, from.lat, from.lng));
+    return (at && candidates.find((z) => isZoneOpen(z, at))) || candidates[0] || null;
+}
+
+const zoneSummary = (zone) => (zone ? {
+    id: zone.id,
+    name: zone.name,
+    min_order_value: zone.min_order_value,
+    delivery_tiers: zone.tiers,
+    max_distance_km: zone.tiers ? maxDeliveryKm(zone.tiers) : null,
+    start_time: zone.start_time,
+    end_time: zone.end_time
+} : null);
+
+// ---- Checks ----
+
+function requireLocation(lat, lng) {
+    const la = toCoord(lat);
+    const ln = toCoord(lng);
+    if (la === null || ln === null) {
+        throw new HttpError('Pin the delivery address on the map so we can check we deliver there', 422, { code: 'location_required' });
+    }
+    return { lat: la, lng: ln };
+}
+
+// For saved addresses: the zone the point falls in, null when no zones are set up, 422 when outside all of them
+async function assertAddressServiceable(lat, lng) {
+    const zones = await activeZones();
+    if (!zones.length) return null;
+    const point = requireLocation(lat, lng);
+    const [zone] = zonesAt(zones, point.lat, point.lng);
+    if (!zone) throw notServiceable("Sorry, we don't deliver to this location yet");
+    return zone;
+}
+
+// For checkout: the zone an order from `restaurant` to (lat, lng) is delivered in at `at`. Null when
+// no zones are set up; otherwise 422 when the address is outside, the restaurant does not cover it,
+// or the zone is closed at that time.
+async function resolveDeliveryZone(restaurant, lat, lng, at = new Date()) {
+    const zones = await activeZones();
+    if (!zones.length) return null;
+    const point = requireLocation(lat, lng);
+    if (!zonesAt(zones, point.lat, point.lng).length) throw notServiceable("Sorry, we don't deliver to this address yet");
+    const zone = deliveryZoneFor(zones, restaurant, point.lat, point.lng, at);
+    if (!zone) throw notServiceable(`${restaurant.name || 'This restaurant'} doesn't deliver to this address`);
+    if (!isZoneOpen(zone, at)) {
+        throw new HttpError(`Delivery in ${zone.name} runs ${hoursLabel(zone)}`, 422, { code: 'zone_closed', zone: zoneSummary(zone) });
+    }
+    return zone;
+}
+
+// The zone's minimum order, checked against the item total
+function assertZoneMinimum(zone, subtotal) {
+    if (!zone || zone.min_order_value === null || subtotal >= zone.min_order_value) return;
+    throw new HttpError(`Minimum order for delivery in ${zone.name} is ₹${zone.min_order_value}`, 422, {
+        code: 'below_zone_minimum', min_order_value: zone.min_order_value, add: round2(zone.min_order_value - subtotal)
+    });
+}
+
+// ---- Admin ----
+
+function parseTime(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!/^\d{1,2}:\d{2}$/.test(String(value)) || toMinutes(value) >= 24 * 60) throw new HttpError(`${field} must be HH:MM`);
+    return String(value);
+}
+
+// Validated columns from a create (all required fields) or update (only what was sent) payload
+function zoneFields(body, { partial = false } = {}) {
+    const b = body || {};
+    const fields = {};
+    if (!partial || b.name !== undefined) {
+        fields.name = String(b.name || '').trim().slice(0, 100);
+        if (!fields.name) throw new HttpError('name is required');
+    }
+    if (!partial || b.geojson !== undefined) fields.geojson = JSON.stringify(parseGeoJson(b.geojson));
+    if (b.min_order_value !== undefined) {
+        const min = b.min_order_value === null || b.min_order_value === '' ? null : Number(b.min_order_value);
+        if (min !== null && !(Number.isFinite(min) && min >= 0)) throw new HttpError('min_order_value must be a non-negative number');
+        fields.min_order_value = min === null ? null : round2(min);
+    }
+    if (b.delivery_tiers !== undefined) {
+        const text = Array.isArray(b.delivery_tiers)
+            ? b.delivery_tiers.map((t) => `${t.upto_km}:${t.fee}`).join(',')
+            : String(b.delivery_tiers || '').trim();
+        const tiers = parseDeliveryTiers(text);
+        if (text && !tiers.length) throw new HttpError('delivery_tiers must look like "3:20,6:35,10:50" (km:fee)');
+        fields.delivery_tiers = tiers.length ? tiers.map((t) => `${t.upto_km}:${t.fee}`).join(',') : null;
+    }
+    if (b.start_time !== undefined || b.end_time !== undefined) {
+        fields.start_time = parseTime(b.start_time, 'start_time');
+        fields.end_time = parseTime(b.end_time, 'end_time');
+        if (!fields.start_time !== !fields.end_time) throw new HttpError('start_time and end_time go together');
+    }
+    if (b.is_active !== undefined) fields.is_active = b.is_active ? 1 : 0;
+    return fields;
+}
+
+// Admin view: every zone with its geometry as GeoJSON and whether it is delivering right now
+async function listZones(now = new Date()) {
+    await ensureDeliveryZoneSchema();
+    const [rows] = await db.execute('SELECT * FROM delivery_zones ORDER BY is_active DESC, name ASC');
+    return rows.map((row) => {
+        let geojson = null;
+        try { geojson = JSON.parse(row.geojson); } catch (_) { /* shown without a shape */ }
+        return { ...row, geojson, open_now: Boolean(row.is_active) && isZoneOpen(row, now) };
+    });
+}
+
+async function getZone(id) {
+    const [[row]] = await db.execute('SELECT * FROM delivery_zones WHERE id = ?', [id]);
+    if (!row) throw new HttpError('Delivery zone not found', 404);
+    return { ...row, geojson: JSON.parse(row.geojson) };
+}
+
+// { name, geojson, min_order_value, delivery_tiers, start_time, end_time, is_active }
+async function createZone(body) {
+    await ensureDeliveryZoneSchema();
+    const [res] = await db.query('INSERT INTO delivery_zones SET ?', [zoneFields(body)]);
+    invalidateZones();
+    return getZone(res.insertId);
+}
+
+async function updateZone(id, body) {
+    await ensureDeliveryZoneSchema();
+    const zone = await getZone(id);
+    const changes = zoneFields(body, { partial: true });
+    if (!Object.keys(changes).length) throw new HttpError('Nothing to update');
+    await db.query('UPDATE delivery_zones SET ? WHERE id = ?', [changes, zone.id]);
+    invalidateZones();
+    return getZone(zone.id);
+}
+
+async function deleteZone(id) {
+    await ensureDeliveryZoneSchema();
+    const zone = await getZone(id);
+    await db.execute('DELETE FROM delivery_zones WHERE id = ?', [zone.id]);
+    invalidateZones();
+    return { deleted: true, id: zone.id };
+}
+
+// Address page pre-check as the pin moves: { serviceable, zone }
+async function checkPoint(lat, lng) {
+    const zones = await activeZones();
+    const point = requireLocation(lat, lng);
+    if (!zones.length) return { serviceable: true, zone: null };
+    const [zone] = zonesAt(zones, point.lat, point.lng);
+    return { serviceable: Boolean(zone), zone: zoneSummary(zone) };
+}
+
+module.exports = {
+    ensureDeliveryZoneSchema,
+    parseGeoJson,
+    isZoneOpen,
+    activeZones,
+    invalidateZones,
+    zonesAt,
+    deliveryZoneFor,
+    zoneSummary,
+    assertAddressServiceable,
+    resolveDeliveryZone,
+    assertZoneMinimum,
+    listZones,
+    createZone,
+    updateZone,
+    deleteZone,
+    checkPoint
+};
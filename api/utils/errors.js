@@ -0,0 +1,16 @@
+// Error types shared by the modular routes
+class HttpError extends Error {
+    constructor(message, status = 400, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        if (details) this.details = details;
+        if (Error.captureStackTrace) Error.captureStackTrace(this, HttpError);
+    }
+
+    toJSON() {
+        return { error: this.message, ...(this.details || {}) };
+    }
+}
+
+module.exports = { HttpError };
@@ -0,0 +1,28 @@
+// Small geo helpers shared by pricing, listings and delivery zones
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (d) => (d * Math.PI) / 180;
+
+// Parses a coordinate from a query/body value; null when missing or not a number
+function toCoord(v) {
+    const n = Number(v);
+    return v === null || v === undefined || v === '' || !Number.isFinite(n) ? null : n;
+}
+
+// Great-circle distance in km
+function haversineKm(aLat, aLng, bLat, bLng) {
+    const dLat = toRad(bLat - aLat);
+    const dLng = toRad(bLng - aLng);
+    const s = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(aLat)) * Math.cos(toRad(bLat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(s), Math.sqrt(1 - s));
+}
+
+// Restaurants store their position as latitude/longitude or lat/lng depending on how they were created
+function restaurantCoords(restaurant) {
+    if (!restaurant) return null;
+    const lat = toCoord(restaurant.latitude ?? restaurant.lat);
+    const lng = toCoord(restaurant.longitude ?? restaurant.lng);
+    return lat === null || lng === null ? null : { lat, lng };
+}
+
+module.exports = { toCoord, haversineKm, restaurantCoords };
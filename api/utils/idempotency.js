@@ -0,0 +1,140 @@
+// Idempotency-Key support: a retried POST with the same key gets the first response back
+// instead of running again. Keys are kept for IDEMPOTENCY_RETENTION_HOURS.
+const crypto = require('crypto');
+const db = require('../config/db');
+const { once } = require('./schema');
+
+const RETENTION_HOURS = Number(process.env.IDEMPOTENCY_RETENTION_HOURS || 24);
+const MAX_KEY_LENGTH = 100;
+// A key still 'processing' after this long belongs to a request that died mid-way
+const STALE_PROCESSING_SECONDS = Number(process.env.IDEMPOTENCY_STALE_SECONDS || 60);
+
+const ensureIdempotencySchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS idempotency_keys (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            scope VARCHAR(50) NOT NULL,
+            idem_key VARCHAR(${MAX_KEY_LENGTH}) NOT NULL,
+            request_hash CHAR(64) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'processing',
+            response_status INT NULL,
+            response_body MEDIUMTEXT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            UNIQUE KEY uniq_idempotency_scope_key (scope, idem_key),
+            INDEX idx_idempotency_expires (expires_at)
+        )
+    `);
+});
+
+// JSON with sorted keys so the same payload always hashes the same
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function requestHash(req) {
+    const userId = (req.user && req.user.id) || null;
+    return crypto.createHash('sha256').update(stableStringify({ userId, body: req.body || {} })).digest('hex');
+}
+
+async function claimKey(scope, key, hash) {
+    try {
+        await db.execute(
+            `INSERT INTO idempotency_keys (scope, idem_key, request_hash, expires_at)
+             VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR))`,
+            [scope, key, hash, RETENTION_HOURS]
+        );
+        return null;
+    } catch (err) {
+        if (err.code !== 'ER_DUP_ENTRY') throw err;
+    }
+    const [rows] = await db.execute(
+        `SELECT *, expires_at < NOW() AS expired,
+                (status = 'processing' AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)) AS stale
+         FROM idempotency_keys WHERE scope = ? AND idem_key = ? LIMIT 1`,
+        [STALE_PROCESSING_SECONDS, scope, key]
+    );
+    if (!rows.length) return claimKey(scope, key, hash);
+    // Past the retention window the key is free to be used again
+    if (rows[0].expired) {
+        await db.execute('DELETE FROM idempotency_keys WHERE id = ?', [rows[0].id]);
+        return claimKey(scope, key, hash);
+    }
+    // Abandoned claim: take it over. Only one retry wins the delete; the others see the new claim
+    if (rows[0].stale && rows[0].request_hash === hash) {
+        await db.execute("DELETE FROM idempotency_keys WHERE id = ? AND status = 'processing'", [rows[0].id]);
+        return claimKey(scope, key, hash);
+    }
+    return rows[0];
+}
+
+// Express middleware for one endpoint; requests without the header are handled normally
+function idempotent(scope) {
+    return async (req, res, next) => {
+        const key = String(req.get('Idempotency-Key') || '').trim();
+        if (!key) return next();
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+        }
+
+        const hash = requestHash(req);
+        let existing;
+        try {
+            await ensureIdempotencySchema();
+            existing = await claimKey(scope, key, hash);
+        } catch (err) {
+            console.error('Idempotency check failed:', err?.message || err);
+            return res.status(500).json({ error: 'Database not ready' });
+        }
+
+        if (existing) {
+            if (existing.request_hash !== hash) {
+                return res.status(422).json({ error: 'This Idempotency-Key was already used with a different request' });
+            }
+            if (existing.status !== 'completed') {
+                // Own code, so clients can tell "ask again shortly" from a 409 the endpoint itself returned
+                return res.status(409).json({
+                    error: 'A request with this Idempotency-Key is still being processed',
+                    code: 'idempotency_in_progress'
+                });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+        }
+
+        // Remember the response; server errors release the key so the client can retry
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const status = res.statusCode;
+            const store = status >= 500
+                ? db.execute('DELETE FROM idempotency_keys WHERE scope = ? AND idem_key = ?', [scope, key])
+                : db.execute(
+                    "UPDATE idempotency_keys SET status = 'completed', response_status = ?, response_body = ? WHERE scope = ? AND idem_key = ?",
+                    [status, JSON.stringify(body), scope, key]
+                );
+            // Send only once stored, so an immediate retry sees the completed response
+            store
+                .catch((err) => console.error('Idempotency store failed:', err?.message || err))
+                .finally(() => json(body));
+            return res;
+        };
+        next();
+    };
+}
+
+// Drop keys past their retention window
+async function purgeExpiredKeys() {
+    await ensureIdempotencySchema();
+    const [result] = await db.execute('DELETE FROM idempotency_keys WHERE expires_at < NOW()');
+    return result.affectedRows;
+}
+
+module.exports = {
+    ensureIdempotencySchema,
+    idempotent,
+    purgeExpiredKeys
+};
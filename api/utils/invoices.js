@@ -0,0 +1,374 @@
+// GST tax invoices for delivered orders. Numbers run per restaurant per financial year
+// (April–March), e.g. R12/2627/00042, and each invoice stores a snapshot of what it said
+// when it was issued so later menu, price or GSTIN edits never change an issued invoice.
+const PDFDocument = require('pdfkit');
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { ownsOrder } = require('./orderLifecycle');
+const { ensureOrderSchema } = require('./orders');
+const { ensureTokenSchema } = require('./tokenSystem');
+const { ensurePaymentSchema } = require('./payments');
+
+// Restaurant service GST, split evenly between CGST and SGST (deliveries are intra-state)
+const GST_RATE = Number(process.env.ORDER_TAX_RATE ?? 0.05);
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const ensureInvoiceSchema = once(async () => {
+    await ensureOrderSchema();
+    await ensureTokenSchema();
+    await ensurePaymentSchema();
+    await ensureColumn('restaurants', 'gstin', 'VARCHAR(15) NULL');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS invoice_counters (
+            restaurant_id INT NOT NULL,
+            financial_year VARCHAR(9) NOT NULL,
+            last_number INT NOT NULL DEFAULT 0,
+            PRIMARY KEY (restaurant_id, financial_year)
+        )
+    `);
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS invoices (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            restaurant_id INT NOT NULL,
+            invoice_number VARCHAR(20) NOT NULL,
+            financial_year VARCHAR(9) NOT NULL,
+            snapshot JSON NOT NULL,
+            issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_invoice_order (order_id),
+            UNIQUE KEY uniq_invoice_number (invoice_number)
+        )
+    `);
+});
+
+// '2026-27' for any date from 1 April 2026 to 31 March 2027
+function financialYear(date = new Date()) {
+    const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+const formatNumber = (restaurantId, fy, seq) => `R${restaurantId}/${fy.slice(2, 4)}${fy.slice(5)}/${String(seq).padStart(5, '0')}`;
+
+// Split `total` across lines by weight; the rounding remainder goes on the heaviest line
+// so the parts always add back up to the total
+function spread(total, weights) {
+    const amount = round2(total);
+    const sum = weights.reduce((s, w) => s + w, 0);
+    if (!weights.length) return [];
+    if (!sum) return weights.map((_, i) => (i === 0 ? amount : 0));
+    const parts = weights.map((w) => round2((amount * w) / sum));
+    const heaviest = weights.indexOf(Math.max(...weights));
+    parts[heaviest] = round2(parts[heaviest] + amount - parts.reduce((s, p) => s + p, 0));
+    return parts;
+}
+
+// Per-item CGST/SGST on the same base pricing.js taxes: food less its share of the discount,
+// plus its share of packaging (per unit, so spread by quantity). The tax itself is the tax
+// the order was charged, spread over those taxable values, so the rows add up to the total.
+function taxLines(items, { discount = 0, packaging = 0, chargedTax = null } = {}) {
+    const discounts = spread(discount, items.map((it) => Number(it.line_total) || 0));
+    const packagings = spread(packaging, items.map((it) => Number(it.quantity) || 0));
+    const taxables = items.map((it, i) => round2(Number(it.line_total) - discounts[i] + packagings[i]));
+    const tax = chargedTax != null
+        ? round2(chargedTax)
+        : round2(taxables.reduce((s, t) => s + t, 0) * GST_RATE);
+    const taxes = spread(tax, taxables);
+    return items.map((it, i) => {
+        const cgst = round2(taxes[i] / 2);
+        const sgst = round2(taxes[i] - cgst);
+        return {
+            description: it.item_name,
+            qty: it.quantity,
+            unit_price: round2(it.unit_price),
+            discount: discounts[i],
+            packaging: packagings[i],
+            taxable_value: taxables[i],
+            cgst_rate: round2((GST_RATE * 100) / 2),
+            cgst,
+            sgst_rate: round2((GST_RATE * 100) / 2),
+            sgst,
+            total: round2(taxables[i] + cgst + sgst)
+        };
+    });
+}
+
+async function buildSnapshot(conn, order) {
+    const [[restaurant]] = await conn.execute('SELECT * FROM restaurants WHERE id = ?', [order.restaurant_id]);
+    const [[customer]] = order.user_id
+        ? await conn.execute('SELECT id, name, email, phone FROM users WHERE id = ?', [order.user_id])
+        : [[null]];
+    let [items] = await conn.execute(
+        'SELECT item_name, unit_price, quantity, line_total FROM order_items WHERE order_id = ? ORDER BY id',
+        [order.id]
+    );
+    // Orders placed before order_items existed only have the legacy JSON column
+    if (!items.length && order.items) {
+        let legacy = order.items;
+        try { if (typeof legacy === 'string') legacy = JSON.parse(legacy); } catch (_) { legacy = []; }
+        items = (Array.isArray(legacy) ? legacy : []).map((i) => {
+            const qty = Number(i.qty || i.quantity || 1);
+            const price = round2(i.price || i.unit_price || 0);
+            return { item_name: i.name || i.item_name || 'Item', unit_price: price, quantity: qty, line_total: round2(price * qty) };
+        });
+    }
+    const [[payment]] = await conn.execute(
+        "SELECT gateway, gateway_payment_id, method FROM payments WHERE order_id = ? AND status = 'captured' ORDER BY id DESC LIMIT 1",
+        [order.id]
+    );
+
+    const lines = taxLines(items, {
+        discount: order.discount_amount,
+        packaging: order.packaging_charge,
+        chargedTax: order.tax_amount
+    });
+    const taxable = round2(lines.reduce((s, l) => s + l.taxable_value, 0));
+    const cgst = round2(lines.reduce((s, l) => s + l.cgst, 0));
+    const sgst = round2(lines.reduce((s, l) => s + l.sgst, 0));
+    const deliveryFee = round2(order.delivery_fee);
+    // restaurant_discount is the restaurant-funded share of discount_amount, not an extra discount
+    const discount = round2(order.discount_amount);
+    const tokensDiscount = round2(order.tokens_discount);
+    return {
+        order: { id: order.id, code: order.order_code || null, placed_at: order.created_at },
+        restaurant: {
+            id: restaurant ? restaurant.id : order.restaurant_id,
+            name: restaurant ? restaurant.name : 'Restaurant',
+            address: (restaurant && restaurant.address) || null,
+            gstin: (restaurant && restaurant.gstin) || null
+        },
+        customer: {
+            name: (customer && customer.name) || null,
+            phone: (customer && customer.phone) || null,
+            email: (customer && customer.email) || null,
+            address: order.address || null
+        },
+        items: lines,
+        totals: {
+            taxable_value: taxable,
+            cgst,
+            sgst,
+            packaging_charge: round2(order.packaging_charge),
+            small_order_fee: round2(order.small_order_fee),
+            delivery_fee: deliveryFee,
+            discount,
+            coupon_code: order.coupon_code || null,
+            tokens_redeemed: Number(order.tokens_redeemed || 0),
+            tokens_discount: tokensDiscount,
+            grand_total: round2(order.total_price)
+        },
+        payment: {
+            method: order.payment_method || 'Cash',
+            status: order.payment_status || null,
+            reference: payment ? payment.gateway_payment_id : null
+        }
+    };
+}
+
+// Issues the invoice inside the caller's transaction (used when an order becomes Delivered).
+// ensureInvoiceSchema must already have run. Returns the existing invoice if there is one.
+async function issueInvoice(conn, order) {
+    const [existing] = await conn.execute('SELECT * FROM invoices WHERE order_id = ? LIMIT 1', [order.id]);
+    if (existing.length) return existing[0];
+    const fy = financialYear(new Date());
+    await conn.execute(
+        `INSERT INTO invoice_counters (restaurant_id, financial_year, last_number) VALUES (?, ?, 1)
+         ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+        [order.restaurant_id, fy]
+    );
+    // The upsert holds the counter row lock until the caller commits, so numbers have no gaps or repeats
+    const [[counter]] = await conn.execute(
+        'SELECT last_number FROM invoice_counters WHERE restaurant_id = ? AND financial_year = ?',
+        [order.restaurant_id, fy]
+    );
+    const number = formatNumber(order.restaurant_id, fy, counter.last_number);
+    const snapshot = await buildSnapshot(conn, { ...order, status: 'Delivered' });
+    const [ins] = await conn.execute(
+        'INSERT INTO invoices (order_id, restaurant_id, invoice_number, financial_year, snapshot) VALUES (?, ?, ?, ?, ?)',
+        [order.id, order.restaurant_id, number, fy, JSON.stringify(snapshot)]
+    );
+    const [[invoice]] = await conn.execute('SELECT * FROM invoices WHERE id = ?', [ins.insertId]);
+    return invoice;
+}
+
+const present = (row) => {
+    const snapshot = typeof row.snapshot === 'string' ? JSON.parse(row.snapshot) : row.snapshot;
+    return { invoice_number: row.invoice_number, financial_year: row.financial_year, issued_at: row.issued_at, ...snapshot };
+};
+
+// Invoice for an order the actor may see; delivered orders from before invoicing get one on first request
+async function getInvoice(orderId, actor) {
+    await ensureInvoiceSchema();
+    const [orders] = await db.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [Number(orderId) || 0]);
+    if (!orders.length) throw new HttpError('Order not found', 404);
+    const order = orders[0];
+    if (!ownsOrder(actor, order)) throw new HttpError('Not allowed to view this invoice', 403);
+    if (order.status !== 'Delivered') throw new HttpError('The invoice is available once the order is delivered', 409, { status: order.status });
+
+    const [rows] = await db.execute('SELECT * FROM invoices WHERE order_id = ? LIMIT 1', [order.id]);
+    if (rows.length) return present(rows[0]);
+
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+        const invoice = await issueInvoice(conn, order);
+        await conn.commit();
+        return present(invoice);
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+const money = (n) => Number(n || 0).toFixed(2);
+const dateOf = (v) => (v ? new Date(v).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '');
+
+function renderInvoiceHtml(inv, { pdfUrl } = {}) {
+    const t = inv.totals;
+    const rows = inv.items.map((l) => `
+        <tr>
+          <td>${escapeHtml(l.description)}</td><td class="r">${l.qty}</td><td class="r">${money(l.unit_price)}</td>
+          <td class="r">${money(l.taxable_value)}</td><td class="r">${money(l.cgst)} <small>(${l.cgst_rate}%)</small></td>
+          <td class="r">${money(l.sgst)} <small>(${l.sgst_rate}%)</small></td><td class="r">${money(l.total)}</td>
+        </tr>`).join('');
+    // Packaging and the discount are already inside each line's taxable value
+    const included = [
+        t.packaging_charge ? `packaging ₹${money(t.packaging_charge)}` : null,
+        t.discount ? `less ${t.coupon_code ? `discount (${t.coupon_code})` : 'discount'} ₹${money(t.discount)}` : null
+    ].filter(Boolean);
+    const extra = [
+        t.small_order_fee ? ['Small order fee', t.small_order_fee] : null,
+        ['Delivery fee', t.delivery_fee],
+        t.tokens_discount ? [`Tindo Tokens (${t.tokens_redeemed})`, -t.tokens_discount] : null
+    ].filter(Boolean).map(([label, v]) => `<tr><td colspan="6">${escapeHtml(label)}</td><td class="r">${money(v)}</td></tr>`).join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Invoice ${escapeHtml(inv.invoice_number)} – Tindo</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #222; max-width: 800px; margin: 24px auto; padding: 0 16px; }
+    h1 { color: #16a34a; margin-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; font-size: 14px; }
+    th, td { border-bottom: 1px solid #e5e7eb; padding: 6px 4px; text-align: left; }
+    .r { text-align: right; }
+    .grid { display: flex; justify-content: space-between; gap: 24px; margin-top: 16px; font-size: 14px; }
+    .total td { font-weight: bold; font-size: 16px; border-top: 2px solid #222; }
+    .actions { margin-top: 24px; }
+    @media print { .actions { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div>Invoice No. <strong>${escapeHtml(inv.invoice_number)}</strong> · ${dateOf(inv.issued_at)}</div>
+  <div class="grid">
+    <div>
+      <strong>${escapeHtml(inv.restaurant.name)}</strong><br />
+      ${inv.restaurant.address ? `${escapeHtml(inv.restaurant.address)}<br />` : ''}
+      GSTIN: ${escapeHtml(inv.restaurant.gstin || 'Not registered')}
+    </div>
+    <div>
+      Billed to: <strong>${escapeHtml(inv.customer.name || 'Customer')}</strong><br />
+      ${escapeHtml(inv.customer.address || '')}<br />
+      ${escapeHtml(inv.customer.phone || '')}
+    </div>
+    <div>
+      Order #${inv.order.id}${inv.order.code ? ` (${escapeHtml(inv.order.code)})` : ''}<br />
+      Placed ${dateOf(inv.order.placed_at)}<br />
+      Payment: ${escapeHtml(inv.payment.method)}${inv.payment.reference ? ` · ${escapeHtml(inv.payment.reference)}` : ''}
+    </div>
+  </div>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="r">Qty</th><th class="r">Rate</th><th class="r">Taxable</th><th class="r">CGST</th><th class="r">SGST</th><th class="r">Amount</th></tr>
+    </thead>
+    <tbody>
+      ${rows}
+      <tr><td colspan="3">Subtotal</td><td class="r">${money(t.taxable_value)}</td><td class="r">${money(t.cgst)}</td><td class="r">${money(t.sgst)}</td><td class="r">${money(t.taxable_value + t.cgst + t.sgst)}</td></tr>
+      ${included.length ? `<tr><td colspan="7"><small>Taxable values include ${escapeHtml(included.join(', '))}</small></td></tr>` : ''}
+      ${extra}
+      <tr class="total"><td colspan="6">Total (INR)</td><td class="r">${money(t.grand_total)}</td></tr>
+    </tbody>
+  </table>
+  <div class="actions">
+    <button onclick="window.print()">Print</button>
+    ${pdfUrl ? `<a href="${escapeHtml(pdfUrl)}">Download PDF</a>` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+// Same layout as the HTML invoice. The built-in PDF fonts have no ₹ glyph, hence "Rs.".
+function renderInvoicePdf(inv) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', (c) => chunks.push(c));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const t = inv.totals;
+        doc.fontSize(20).fillColor('#16a34a').text('Tax Invoice').fillColor('#222');
+        doc.fontSize(10).text(`Invoice No. ${inv.invoice_number}   Date: ${dateOf(inv.issued_at)}`).moveDown();
+        doc.font('Helvetica-Bold').text(inv.restaurant.name).font('Helvetica');
+        if (inv.restaurant.address) doc.text(inv.restaurant.address);
+        doc.text(`GSTIN: ${inv.restaurant.gstin || 'Not registered'}`).moveDown(0.5);
+        doc.text(`Billed to: ${inv.customer.name || 'Customer'}`);
+        if (inv.customer.address) doc.text(inv.customer.address);
+        if (inv.customer.phone) doc.text(inv.customer.phone);
+        doc.moveDown(0.5);
+        doc.text(`Order #${inv.order.id}${inv.order.code ? ` (${inv.order.code})` : ''}   Placed ${dateOf(inv.order.placed_at)}`);
+        doc.text(`Payment: ${inv.payment.method}${inv.payment.reference ? ` (${inv.payment.reference})` : ''}`).moveDown();
+
+        const cols = [40, 230, 270, 320, 380, 440, 500];
+        const row = (cells, bold) => {
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+            cells.forEach((c, i) => doc.text(String(c), cols[i], y, { width: (cols[i + 1] || 555) - cols[i] - 4, align: i ? 'right' : 'left' }));
+            doc.x = 40;
+            doc.moveDown(0.3);
+        };
+        row(['Item', 'Qty', 'Rate', 'Taxable', 'CGST', 'SGST', 'Amount'], true);
+        inv.items.forEach((l) => row([l.description, l.qty, money(l.unit_price), money(l.taxable_value), money(l.cgst), money(l.sgst), money(l.total)]));
+        doc.moveDown(0.5);
+        row(['Subtotal', '', '', money(t.taxable_value), money(t.cgst), money(t.sgst), money(t.taxable_value + t.cgst + t.sgst)]);
+        const included = [
+            t.packaging_charge ? `packaging Rs. ${money(t.packaging_charge)}` : null,
+            t.discount ? `less ${t.coupon_code ? `discount (${t.coupon_code})` : 'discount'} Rs. ${money(t.discount)}` : null
+        ].filter(Boolean);
+        if (included.length) doc.fontSize(8).text(`Taxable values include ${included.join(', ')}`, 40).fontSize(10).moveDown(0.3);
+        if (t.small_order_fee) row(['Small order fee', '', '', '', '', '', money(t.small_order_fee)]);
+        row(['Delivery fee', '', '', '', '', '', money(t.delivery_fee)]);
+        if (t.tokens_discount) row([`Tindo Tokens (${t.tokens_redeemed})`, '', '', '', '', '', money(-t.tokens_discount)]);
+        row(['Total (Rs.)', '', '', '', '', '', money(t.grand_total)], true);
+        doc.end();
+    });
+}
+
+// Admin, or the restaurant itself; pass null to clear
+async function setRestaurantGstin(restaurantId, gstin, actor) {
+    await ensureInvoiceSchema();
+    const id = Number(restaurantId) || 0;
+    if (actor.role !== 'admin' && !(actor.role === 'restaurant' && Number(actor.restaurantId) === id)) {
+        throw new HttpError('Not allowed to update this restaurant', 403);
+    }
+    const value = gstin ? String(gstin).trim().toUpperCase() : null;
+    if (value && !GSTIN_PATTERN.test(value)) throw new HttpError('GSTIN should look like 29ABCDE1234F1Z5');
+    const [res] = await db.execute('UPDATE restaurants SET gstin = ? WHERE id = ?', [value, id]);
+    if (!res.affectedRows) throw new HttpError('Restaurant not found', 404);
+    return { restaurant_id: id, gstin: value };
+}
+
+module.exports = {
+    ensureInvoiceSchema,
+    financialYear,
+    issueInvoice,
+    getInvoice,
+    renderInvoiceHtml,
+    renderInvoicePdf,
+    setRestaurantGstin
+};
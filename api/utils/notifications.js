@@ -0,0 +1,73 @@
+// Customer notification feed: messages the platform leaves for a user (personal coupons and the like).
+// Rows are only ever marked read, never edited.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { once } = require('./schema');
+
+const FEED_LIMIT = 50;
+
+const ensureNotificationSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            type VARCHAR(30) NOT NULL,
+            title VARCHAR(120) NOT NULL,
+            body VARCHAR(500) NULL,
+            data JSON NULL,
+            read_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_notification_user (user_id, created_at)
+        )
+    `);
+});
+
+// mysql2 hands back JSON columns parsed; older servers store them as text
+function parseData(data) {
+    if (typeof data !== 'string') return data || null;
+    try { return JSON.parse(data); } catch (_) { return null; }
+}
+
+// `conn` lets callers write the notification in the same transaction as whatever it announces
+async function notify(userId, { type, title, body = null, data = null }, conn = db) {
+    const [res] = await conn.execute(
+        'INSERT INTO notifications (user_id, type, title, body, data) VALUES (?, ?, ?, ?, ?)',
+        [userId, type, String(title).slice(0, 120), body ? String(body).slice(0, 500) : null, data ? JSON.stringify(data) : null]
+    );
+    return res.insertId;
+}
+
+// Newest first (?unread=1 for unread only)
+async function listNotifications(userId, { unread } = {}) {
+    await ensureNotificationSchema();
+    const [rows] = await db.query(
+        `SELECT id, type, title, body, data, read_at, created_at FROM notifications
+         WHERE user_id = ? ${unread === '1' ? 'AND read_at IS NULL' : ''}
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [userId, FEED_LIMIT]
+    );
+    const [[counts]] = await db.execute('SELECT COUNT(*) AS unread FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId]);
+    return {
+        unread: Number(counts.unread),
+        notifications: rows.map((r) => ({ ...r, data: parseData(r.data) }))
+    };
+}
+
+// { ids: [...] } marks those; no ids marks everything
+async function markRead(userId, ids) {
+    await ensureNotificationSchema();
+    if (ids !== undefined && !Array.isArray(ids)) throw new HttpError('ids must be a list');
+    const wanted = (ids || []).map(Number).filter((n) => Number.isInteger(n) && n > 0);
+    if (ids && !wanted.length) throw new HttpError('ids must list notification ids');
+    const [res] = wanted.length
+        ? await db.query('UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL AND id IN (?)', [userId, wanted])
+        : await db.execute('UPDATE notifications SET read_at = NOW() WHERE user_id = ? AND read_at IS NULL', [userId]);
+    return { marked: res.affectedRows };
+}
+
+module.exports = {
+    ensureNotificationSchema,
+    notify,
+    listNotifications,
+    markRead
+};
@@ -0,0 +1,311 @@
+// Restaurant offers, applied automatically at checkout (no code needed):
+//   bogo             — buy one get one on a menu item (or a category: every second unit, cheapest free)
+//   category_percent — percent off a category, optionally capped
+//   free_item        — a menu item added free once the food total reaches a threshold
+// Each offer can be limited to a date range, days of the week and a daily time window.
+// An order gets the best bogo/category_percent offer plus the best free_item offer it qualifies for.
+// Offers are restaurant-funded, so their value lands in orders.restaurant_discount.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { once } = require('./schema');
+const { round2 } = require('./pricing');
+const { restaurantCoords, haversineKm, toCoord } = require('./geo');
+
+const OFFER_TYPES = ['bogo', 'category_percent', 'free_item'];
+// Homepage "near you" radius when the caller sends coordinates
+const NEARBY_KM = Number(process.env.OFFERS_NEARBY_KM || 10);
+
+const ensureOfferSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS restaurant_offers (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            restaurant_id INT NOT NULL,
+            title VARCHAR(120) NOT NULL,
+            offer_type VARCHAR(20) NOT NULL,
+            menu_id INT NULL,
+            category VARCHAR(100) NULL,
+            percent DECIMAL(5,2) NULL,
+            max_discount DECIMAL(10,2) NULL,
+            min_order_value DECIMAL(10,2) NULL,
+            starts_at DATETIME NULL,
+            ends_at DATETIME NULL,
+            days_of_week VARCHAR(20) NULL,
+            start_time TIME NULL,
+            end_time TIME NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_offer_restaurant (restaurant_id, is_active)
+        )
+    `);
+});
+
+const toMinutes = (hhmm) => {
+    if (!hhmm) return null;
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return Number.isFinite(h) ? h * 60 + (Number.isFinite(m) ? m : 0) : null;
+};
+
+// Is the offer running at `now`? Days are 0 (Sunday) to 6; an end_time before start_time runs past midnight.
+function isLive(offer, now = new Date()) {
+    if (!offer.is_active) return false;
+    if (offer.starts_at && new Date(offer.starts_at) > now) return false;
+    if (offer.ends_at && new Date(offer.ends_at) <= now) return false;
+    const start = toMinutes(offer.start_time);
+    const end = toMinutes(offer.end_time);
+    const mins = now.getHours() * 60 + now.getMinutes();
+    // Past midnight, an overnight window still belongs to the day it started on
+    const overnightTail = start !== null && end !== null && end <= start && mins < end;
+    if (offer.days_of_week) {
+        const days = String(offer.days_of_week).split(',').map(Number);
+        const day = overnightTail ? (now.getDay() + 6) % 7 : now.getDay();
+        if (!days.includes(day)) return false;
+    }
+    if (start !== null && end !== null) {
+        return end > start ? mins >= start && mins < end : mins >= start || mins < end;
+    }
+    return true;
+}
+
+const sameCategory = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Discount a bogo or category_percent offer gives on priced lines
+function lineDiscount(offer, lines) {
+    if (offer.offer_type === 'category_percent') {
+        const base = lines.filter((l) => sameCategory(l.category, offer.category)).reduce((s, l) => s + l.line_total, 0);
+        const discount = round2((base * Number(offer.percent)) / 100);
+        return offer.max_discount === null ? discount : Math.min(discount, round2(offer.max_discount));
+    }
+    if (offer.offer_type === 'bogo') {
+        const matches = offer.menu_id
+            ? (l) => Number(l.menu_id) === Number(offer.menu_id)
+            : (l) => sameCategory(l.category, offer.category);
+        const prices = lines.filter(matches)
+            .flatMap((l) => Array(l.qty).fill(l.unit_price))
+            .sort((a, b) => b - a);
+        // Pair the priciest with the next one; the second of each pair is free
+        const discount = round2(prices.filter((_, i) => i % 2 === 1).reduce((s, p) => s + p, 0));
+        return offer.max_discount === null ? discount : Math.min(discount, round2(offer.max_discount));
+    }
+    return 0;
+}
+
+// Apply the restaurant's live offers to priced cart lines (inside or outside a transaction).
+// Returns the lines plus any free item, the discount and the offers used.
+async function applyOffers(restaurantId, lines, conn = db, now = new Date()) {
+    const [rows] = await conn.execute(
+        'SELECT * FROM restaurant_offers WHERE restaurant_id = ? AND is_active = 1',
+        [restaurantId]
+    );
+    const live = rows.filter((o) => isLive(o, now));
+    const subtotal = round2(lines.reduce((s, l) => s + l.line_total, 0));
+    const applied = [];
+
+    let best = null;
+    for (const offer of live.filter((o) => o.offer_type !== 'free_item')) {
+        const discount = lineDiscount(offer, lines);
+        if (discount > 0 && (!best || discount > best.discount)) best = { offer, discount };
+    }
+    if (best) applied.push({ id: best.offer.id, title: best.offer.title, offer_type: best.offer.offer_type, discount: best.discount });
+
+    const freeOffers = live.filter((o) => o.offer_type === 'free_item' && o.menu_id && subtotal >= round2(o.min_order_value));
+    const result = [...lines];
+    if (freeOffers.length) {
+        const [items] = await conn.query('SELECT id, item_name, category, price FROM menu WHERE id IN (?) AND restaurant_id = ?', [
+            freeOffers.map((o) => o.menu_id), restaurantId
+        ]);
+        const byId = new Map(items.map((i) => [i.id, i]));
+        const pick = freeOffers
+            .filter((o) => byId.has(o.menu_id))
+            .sort((a, b) => Number(byId.get(b.menu_id).price) - Number(byId.get(a.menu_id).price))[0];
+        if (pick) {
+            const item = byId.get(pick.menu_id);
+            result.push({
+                menu_id: item.id,
+                item_name: item.item_name,
+                category: item.category || null,
+                unit_price: 0,
+                packaging_charge: 0,
+                qty: 1,
+                line_total: 0,
+                packaging_total: 0,
+                free: true,
+                offer_id: pick.id
+            });
+            applied.push({ id: pick.id, title: pick.title, offer_type: 'free_item', discount: 0, free_item: item.item_name, worth: round2(item.price) });
+        }
+    }
+    return { lines: result, discount: best ? best.discount : 0, offers: applied };
+}
+
+function parseTime(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!/^\d{1,2}:\d{2}$/.test(String(value)) || toMinutes(value) >= 24 * 60) throw new HttpError(`${field} must be HH:MM`);
+    return String(value);
+}
+
+function parseDate(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw new HttpError(`${field} is not a valid date`);
+    return d;
+}
+
+// Validate a create payload for `restaurantId`
+async function offerFields(body, restaurantId) {
+    const b = body || {};
+    const type = String(b.offer_type || '').toLowerCase();
+    if (!OFFER_TYPES.includes(type)) throw new HttpError(`offer_type must be one of ${OFFER_TYPES.join(', ')}`);
+    const title = String(b.title || '').trim().slice(0, 120);
+    if (!title) throw new HttpError('title is required');
+    const menuId = Number(b.menu_id) || null;
+    const category = b.category ? String(b.category).trim().slice(0, 100) : null;
+    const percent = b.percent === undefined || b.percent === null || b.percent === '' ? null : round2(b.percent);
+    const maxDiscount = b.max_discount === undefined || b.max_discount === null || b.max_discount === '' ? null : round2(b.max_discount);
+    const minOrder = b.min_order_value === undefined || b.min_order_value === null || b.min_order_value === '' ? null : round2(b.min_order_value);
+
+    if (type === 'bogo' && !menuId && !category) throw new HttpError('A BOGO offer needs a menu_id or a category');
+    if (type === 'category_percent') {
+        if (!category) throw new HttpError('category is required');
+        if (!(percent > 0 && percent <= 100)) throw new HttpError('percent must be between 0 and 100');
+    }
+    if (type === 'free_item') {
+        if (!menuId) throw new HttpError('menu_id of the free item is required');
+        if (!(minOrder > 0)) throw new HttpError('min_order_value must be positive');
+    }
+    if (maxDiscount !== null && !(maxDiscount > 0)) throw new HttpError('max_discount must be positive');
+    if (menuId) {
+        const [[item]] = await db.execute('SELECT id FROM menu WHERE id = ? AND restaurant_id = ?', [menuId, restaurantId]);
+        if (!item) throw new HttpError('That menu item does not belong to this restaurant');
+    }
+
+    const startsAt = parseDate(b.starts_at, 'starts_at');
+    const endsAt = parseDate(b.ends_at, 'ends_at');
+    if (startsAt && endsAt && endsAt <= startsAt) throw new HttpError('ends_at must be after starts_at');
+    const startTime = parseTime(b.start_time, 'start_time');
+    const endTime = parseTime(b.end_time, 'end_time');
+    if (!startTime !== !endTime) throw new HttpError('start_time and end_time go together');
+    const rawDays = Array.isArray(b.days_of_week) ? b.days_of_week : String(b.days_of_week ?? '').split(',');
+    const days = [...new Set(rawDays.filter((d) => String(d).trim() !== '').map(Number))].sort();
+    if (days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) throw new HttpError('days_of_week must be 0 (Sunday) to 6');
+
+    return {
+        restaurant_id: restaurantId,
+        title,
+        offer_type: type,
+        menu_id: type === 'category_percent' ? null : menuId,
+        category: type === 'free_item' ? null : category,
+        percent: type === 'category_percent' ? percent : null,
+        max_discount: type === 'free_item' ? null : maxDiscount,
+        min_order_value: type === 'free_item' ? minOrder : null,
+        starts_at: startsAt,
+        ends_at: endsAt,
+        days_of_week: days.length && days.length < 7 ? days.join(',') : null,
+        start_time: startTime,
+        end_time: endTime
+    };
+}
+
+function assertCanManage(actor, restaurantId) {
+    if (actor.role === 'admin') return;
+    if (actor.role === 'restaurant' && Number(actor.restaurantId) === Number(restaurantId)) return;
+    throw new HttpError("Not allowed to manage this restaurant's offers", 403);
+}
+
+async function getOffer(id) {
+    const [[row]] = await db.execute('SELECT * FROM restaurant_offers WHERE id = ?', [id]);
+    if (!row) throw new HttpError('Offer not found', 404);
+    return row;
+}
+
+// Admin passes restaurant_id; a restaurant always creates for itself
+async function createOffer(body, actor) {
+    await ensureOfferSchema();
+    const restaurantId = actor.role === 'restaurant' ? Number(actor.restaurantId) : Number((body || {}).restaurant_id);
+    if (!restaurantId) throw new HttpError('restaurant_id is required');
+    assertCanManage(actor, restaurantId);
+    const [res] = await db.query('INSERT INTO restaurant_offers SET ?', [await offerFields(body, restaurantId)]);
+    return getOffer(res.insertId);
+}
+
+// { is_active, title, ends_at }
+async function updateOffer(id, body, actor) {
+    await ensureOfferSchema();
+    const offer = await getOffer(id);
+    assertCanManage(actor, offer.restaurant_id);
+    const b = body || {};
+    const changes = {};
+    if (b.is_active !== undefined) changes.is_active = b.is_active ? 1 : 0;
+    if (b.title !== undefined) {
+        changes.title = String(b.title || '').trim().slice(0, 120);
+        if (!changes.title) throw new HttpError('title is required');
+    }
+    if (b.ends_at !== undefined) changes.ends_at = parseDate(b.ends_at, 'ends_at');
+    if (!Object.keys(changes).length) throw new HttpError('Nothing to update');
+    await db.query('UPDATE restaurant_offers SET ? WHERE id = ?', [changes, offer.id]);
+    return getOffer(offer.id);
+}
+
+async function deleteOffer(id, actor) {
+    await ensureOfferSchema();
+    const offer = await getOffer(id);
+    assertCanManage(actor, offer.restaurant_id);
+    await db.execute('DELETE FROM restaurant_offers WHERE id = ?', [offer.id]);
+    return { deleted: true, id: offer.id };
+}
+
+// Owner/admin see every offer with its live flag; customers only what is running now
+async function restaurantOffers(restaurantId, actor) {
+    await ensureOfferSchema();
+    const [rows] = await db.execute(
+        'SELECT * FROM restaurant_offers WHERE restaurant_id = ? ORDER BY is_active DESC, created_at DESC',
+        [Number(restaurantId) || 0]
+    );
+    const now = new Date();
+    const manager = actor && (actor.role === 'admin' || (actor.role === 'restaurant' && Number(actor.restaurantId) === Number(restaurantId)));
+    const offers = rows.map((o) => ({ ...o, live: isLive(o, now) }));
+    return { offers: manager ? offers : offers.filter((o) => o.live) };
+}
+
+// Homepage: offers running now at approved restaurants, nearest first when { lat, lng } is known
+async function activeOffers({ lat, lng, limit } = {}) {
+    await ensureOfferSchema();
+    const [rows] = await db.query(
+        `SELECT o.*, m.item_name AS menu_item_name, m.price AS menu_item_price
+         FROM restaurant_offers o
+         LEFT JOIN menu m ON m.id = o.menu_id
+         WHERE o.is_active = 1 AND (o.starts_at IS NULL OR o.starts_at <= NOW()) AND (o.ends_at IS NULL OR o.ends_at > NOW())`
+    );
+    const now = new Date();
+    const live = rows.filter((o) => isLive(o, now));
+    const restaurantIds = [...new Set(live.map((o) => o.restaurant_id))];
+    // Coordinates are latitude/longitude or lat/lng depending on the row, so read whole restaurant rows
+    const [restaurants] = restaurantIds.length
+        ? await db.query("SELECT * FROM restaurants WHERE id IN (?) AND LOWER(status) = 'approved'", [restaurantIds])
+        : [[]];
+    const byId = new Map(restaurants.map((r) => [r.id, r]));
+    const fromLat = toCoord(lat);
+    const fromLng = toCoord(lng);
+    const offers = live
+        .filter((o) => byId.has(o.restaurant_id))
+        .map((o) => {
+            const r = byId.get(o.restaurant_id);
+            const at = restaurantCoords(r);
+            const distance = at && fromLat !== null && fromLng !== null ? round2(haversineKm(fromLat, fromLng, at.lat, at.lng)) : null;
+            return { ...o, restaurant_name: r.name, restaurant_image: r.image_url || null, distance_km: distance };
+        })
+        .filter((o) => fromLat === null || fromLng === null || (o.distance_km !== null && o.distance_km <= NEARBY_KM))
+        .sort((a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) || b.id - a.id);
+    return { offers: offers.slice(0, Math.min(50, Math.max(1, Number(limit) || 6))) };
+}
+
+module.exports = {
+    OFFER_TYPES,
+    ensureOfferSchema,
+    isLive,
+    applyOffers,
+    createOffer,
+    updateOffer,
+    deleteOffer,
+    restaurantOffers,
+    activeOffers
+};
@@ -0,0 +1,148 @@
+// Customer order history and reorder (rebuilding a cart from a past order against today's menu)
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureOrderSchema, loadOrderItems } = require('./orders');
+const { ownsOrder } = require('./orderLifecycle');
+const { round2, computeTotals, MAX_QTY_PER_ITEM } = require('./pricing');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+// Orders placed before order_items existed keep their items as JSON on the order row
+function legacyItems(order) {
+    try {
+        const arr = typeof order.items === 'string' ? JSON.parse(order.items) : order.items;
+        if (!Array.isArray(arr)) return [];
+        return arr.map((i) => ({
+            menu_id: Number(i.menu_id || i.id) || null,
+            item_name: i.name || i.item_name || 'Item',
+            price: Number(i.price) || 0,
+            qty: Number(i.qty || i.quantity) || 1
+        }));
+    } catch (_) {
+        return [];
+    }
+}
+
+// order -> its items, from order_items or else the legacy JSON
+async function itemsByOrder(orders) {
+    const grouped = await loadOrderItems(orders.map((o) => o.id));
+    return (order) => {
+        const items = grouped.get(Number(order.id)) || [];
+        return items.length ? items : legacyItems(order);
+    };
+}
+
+// Paginated list of one customer's orders, newest first
+async function listCustomerOrders(userId, { page, limit } = {}) {
+    await ensureOrderSchema();
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(limit) || DEFAULT_PAGE_SIZE));
+    const current = Math.max(1, Number(page) || 1);
+
+    const [[{ total }]] = await db.execute('SELECT COUNT(*) AS total FROM orders WHERE user_id = ?', [userId]);
+    const [orders] = await db.query(
+        `SELECT o.*, r.name AS restaurant_name, r.image_url AS restaurant_image,
+                rv.rating AS review_rating, rv.comment AS review_comment
+         FROM orders o
+         LEFT JOIN restaurants r ON r.id = o.restaurant_id
+         LEFT JOIN restaurant_reviews rv ON rv.order_id = o.id
+         WHERE o.user_id = ?
+         ORDER BY o.created_at DESC, o.id DESC
+         LIMIT ? OFFSET ?`,
+        [userId, size, (current - 1) * size]
+    );
+    const itemsOf = await itemsByOrder(orders);
+
+    return {
+        page: current,
+        limit: size,
+        total: Number(total),
+        pages: Math.ceil(Number(total) / size),
+        orders: orders.map((o) => {
+            const reviewed = o.review_rating != null;
+            return {
+                id: o.id,
+                order_code: o.order_code || null,
+                status: o.status,
+                created_at: o.created_at,
+                scheduled_for: o.scheduled_for || null,
+                payment_method: o.payment_method,
+                address: o.address,
+                subtotal: o.subtotal != null ? Number(o.subtotal) : null,
+                tax: o.tax_amount != null ? Number(o.tax_amount) : null,
+                delivery_fee: o.delivery_fee != null ? Number(o.delivery_fee) : null,
+                total: Number(o.total_price),
+                restaurant: { id: o.restaurant_id, name: o.restaurant_name, image_url: o.restaurant_image },
+                items: itemsOf(o),
+                review: reviewed ? { rating: o.review_rating, comment: o.review_comment } : null,
+                can_review: !reviewed && o.status === 'Delivered'
+            };
+        })
+    };
+}
+
+// Rebuild a cart (tindo_cart format) from a past order. Items that left the menu are reported
+// rather than failing the whole reorder; prices always come from the current menu.
+async function buildReorder(orderId, actor) {
+    await ensureOrderSchema();
+    const id = Number(orderId);
+    if (!id) throw new HttpError('order_id is required');
+    const [orders] = await db.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [id]);
+    if (!orders.length) throw new HttpError('Order not found', 404);
+    const order = orders[0];
+    if (actor.role !== 'customer' || !ownsOrder(actor, order)) throw new HttpError('Not allowed to reorder this order', 403);
+
+    const [restaurants] = await db.execute('SELECT id, name, status FROM restaurants WHERE id = ? LIMIT 1', [order.restaurant_id]);
+    const restaurant = restaurants[0] || null;
+    const accepting = !!restaurant && String(restaurant.status).toLowerCase() === 'approved';
+
+    const past = (await itemsByOrder([order]))(order);
+    const [menu] = await db.execute('SELECT * FROM menu WHERE restaurant_id = ?', [order.restaurant_id]);
+    const byId = new Map(menu.map((m) => [m.id, m]));
+    const byName = new Map(menu.map((m) => [m.item_name, m]));
+
+    const cart = new Map();
+    const priceChanges = [];
+    const unavailable = [];
+    for (const item of past) {
+        const row = (item.menu_id && byId.get(item.menu_id)) || byName.get(item.item_name);
+        if (!row) {
+            unavailable.push({ menu_id: item.menu_id, name: item.item_name, qty: item.qty, reason: 'No longer on the menu' });
+            continue;
+        }
+        const price = round2(row.price);
+        if (round2(item.price) !== price && !priceChanges.some((c) => c.menu_id === row.id)) {
+            priceChanges.push({ menu_id: row.id, name: row.item_name, old_price: round2(item.price), new_price: price });
+        }
+        const entry = cart.get(row.id) || {
+            menu_id: row.id,
+            name: row.item_name,
+            price,
+            image_url: row.image_url || null,
+            restaurant_id: row.restaurant_id,
+            qty: 0
+        };
+        entry.qty = Math.min(MAX_QTY_PER_ITEM, entry.qty + item.qty);
+        cart.set(row.id, entry);
+    }
+
+    const items = accepting ? [...cart.values()] : [];
+    return {
+        order_id: order.id,
+        restaurant: restaurant ? { id: restaurant.id, name: restaurant.name, accepting_orders: accepting } : null,
+        items,
+        price_changes: priceChanges,
+        unavailable: accepting ? unavailable : past.map((i) => ({
+            menu_id: i.menu_id, name: i.item_name, qty: i.qty, reason: 'Restaurant is not accepting orders'
+        })),
+        totals: items.length
+            ? computeTotals(items.map((i) => ({ line_total: round2(i.price * i.qty) })))
+            : null
+    };
+}
+
+module.exports = {
+    itemsByOrder,
+    listCustomerOrders,
+    buildReorder
+};
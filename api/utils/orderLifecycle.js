@@ -0,0 +1,255 @@
+// Order lifecycle: allowed status transitions, who may make them, and the history trail.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { once } = require('./schema');
+const { ensureCodSchema, recordCodCollection, assertCanCarryCash } = require('./codLedger');
+const { ensureTokenSchema, earnForOrder, restoreForOrder } = require('./tokenSystem');
+const { ensureCouponSchema, releaseForOrder } = require('./coupons');
+const { ensureReferralSchema, rewardReferral } = require('./referrals');
+
+// from -> { to: [roles allowed to make that move] }
+// Cancellation fees/refunds are handled in cancellation.js; after pickup only an admin can cancel.
+const TRANSITIONS = {
+    // UPI/online orders wait here until the payment is captured (payments.js), unseen by the restaurant
+    'Awaiting Payment': { 'Pending': ['system'], 'Scheduled': ['system'], 'Cancelled': ['customer', 'admin'] },
+    // pre-orders are released to the restaurant by the scheduler (scheduling.js)
+    'Scheduled': { 'Pending': ['system'], 'Cancelled': ['customer', 'admin'] },
+    'Pending': {
+        'Accepted': ['restaurant', 'admin'],
+        'Rejected': ['restaurant', 'admin'],
+        'Cancelled': ['customer', 'admin']
+    },
+    'Accepted': { 'Ready': ['restaurant', 'admin'], 'Cancelled': ['customer', 'admin'] },
+    'Ready': { 'Picked Up': ['delivery_agent', 'admin'], 'Cancelled': ['customer', 'admin'] },
+    // Delivery records COD cash against the agent and settles to the restaurant, so only the agent (or an admin) confirms it
+    'Picked Up': { 'Delivered': ['delivery_agent', 'admin'], 'Cancelled': ['admin'] }
+};
+
+const STATUSES = ['Awaiting Payment', 'Scheduled', 'Pending', 'Accepted', 'Rejected', 'Ready', 'Picked Up', 'Delivered', 'Cancelled'];
+const TERMINAL = ['Rejected', 'Delivered', 'Cancelled'];
+// Orders an agent is still working on (used for assignment load and live tracking)
+const ACTIVE_STATUSES = ['Pending', 'Accepted', 'Ready', 'Picked Up'];
+
+// Older rows/clients use a few other spellings
+const ALIASES = {
+    'confirmed': 'Accepted', 'picked': 'Picked Up', 'pickedup': 'Picked Up', 'picked_up': 'Picked Up',
+    'canceled': 'Cancelled', 'awaiting_payment': 'Awaiting Payment', 'payment_pending': 'Awaiting Payment'
+};
+
+function normalizeStatus(value) {
+    const raw = String(value || '').trim();
+    const key = raw.toLowerCase();
+    if (ALIASES[key]) return ALIASES[key];
+    return STATUSES.find((s) => s.toLowerCase() === key) || null;
+}
+
+function normalizeRole(role) {
+    const r = String(role || '').toLowerCase();
+    if (r === 'delivery' || r === 'delivery_agent' || r === 'agent') return 'delivery_agent';
+    if (r === 'restaurant' || r === 'admin' || r === 'system') return r;
+    return 'customer';
+}
+
+const ensureLifecycleSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            event VARCHAR(30) NOT NULL DEFAULT 'status',
+            from_status VARCHAR(30) NULL,
+            to_status VARCHAR(30) NULL,
+            actor_role VARCHAR(30) NULL,
+            actor_id INT NULL,
+            note VARCHAR(255) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_status_history_order (order_id, created_at)
+        )
+    `);
+});
+
+// Socket.io rooms each signed-in socket joins on connect (sockets.js), so order events reach only their parties
+const partyRoom = {
+    user: (id) => `user:${id}`,
+    restaurant: (id) => `restaurant:${id}`,
+    agent: (id) => `agent:${id}`
+};
+
+// Build { role, id, agentId, restaurantId } from req.user (agents are looked up by user id)
+async function resolveActor(user) {
+    const u = user || {};
+    const role = normalizeRole(u.role);
+    const actor = { role, id: u.id || null, agentId: null, restaurantId: u.restaurant_id || null };
+    if (role === 'delivery_agent' && u.id) {
+        const [rows] = await db.execute('SELECT id FROM agents WHERE user_id = ? LIMIT 1', [u.id]);
+        actor.agentId = rows.length ? rows[0].id : null;
+    }
+    return actor;
+}
+
+function ownsOrder(actor, order) {
+    switch (actor.role) {
+        case 'admin':
+        case 'system':
+            return true;
+        case 'restaurant':
+            return Number(actor.restaurantId) === Number(order.restaurant_id);
+        case 'delivery_agent':
+            return !!actor.agentId && Number(actor.agentId) === Number(order.agent_id);
+        default:
+            return !!actor.id && Number(actor.id) === Number(order.user_id);
+    }
+}
+
+async function recordHistory(conn, orderId, entry, actor) {
+    await conn.execute(
+        'INSERT INTO order_status_history (order_id, event, from_status, to_status, actor_role, actor_id, note) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [
+            orderId, entry.event || 'status', entry.from || null, entry.to || null,
+            actor ? actor.role : null, actor ? (actor.agentId || actor.id || null) : null,
+            entry.note ? String(entry.note).slice(0, 255) : null
+        ]
+    );
+}
+
+// Push an order change to everyone involved with it
+function notifyOrderParties(io, order, payload) {
+    if (!io || !order) return;
+    const data = { order_id: order.id, ...payload };
+    try {
+        io.to(`order:${order.id}`).emit('orderStatus', data);
+        if (order.user_id) io.to(partyRoom.user(order.user_id)).emit(`orderUpdateForUser_${order.user_id}`, data);
+        if (order.restaurant_id) io.to(partyRoom.restaurant(order.restaurant_id)).emit(`orderUpdateForRestaurant_${order.restaurant_id}`, data);
+        if (order.agent_id) io.to(partyRoom.agent(order.agent_id)).emit(`orderUpdateForAgent_${order.agent_id}`, data);
+    } catch (err) {
+        console.warn('Order notify failed:', err?.message || err);
+    }
+}
+
+// Move an order to a new status, enforcing the transition table and ownership.
+// `beforeCommit(conn, order, from)` runs inside the same transaction and may return extra data.
+async function transitionOrder(orderId, nextStatus, actor, { io, note, beforeCommit } = {}) {
+    await ensureLifecycleSchema();
+    const to = normalizeStatus(nextStatus);
+    if (!to) throw new HttpError(`Unknown status "${nextStatus}"`);
+    // Cancelling has to go through cancellation.js so a refund record is written
+    if (to === 'Cancelled' && !beforeCommit) throw new HttpError('Use the cancel endpoint to cancel an order');
+    const id = Number(orderId);
+    if (!id) throw new HttpError('order_id is required');
+    if (TERMINAL.includes(to)) {
+        await ensureTokenSchema();
+        await ensureCouponSchema();
+    }
+    // Lazy: cancellation.js and payments.js depend on this module
+    if (to === 'Rejected') await require('./cancellation').ensureRefundSchema();
+    if (to === 'Delivered') {
+        await ensureCodSchema();
+        await ensureReferralSchema();
+        // Lazy: invoices.js needs ownsOrder from this module
+        await require('./invoices').ensureInvoiceSchema();
+    }
+
+    const conn = await db.getConnection();
+    let order;
+    let from;
+    let extra;
+    let refundId = null;
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [id]);
+        if (!rows.length) throw new HttpError('Order not found', 404);
+        order = rows[0];
+        if (!ownsOrder(actor, order)) throw new HttpError('Not allowed to update this order', 403);
+
+        from = normalizeStatus(order.status) || 'Pending';
+        const allowed = (TRANSITIONS[from] || {})[to];
+        if (!allowed) {
+            throw new HttpError(`Cannot move order from ${from} to ${to}`, 409, { status: from });
+        }
+        if (!allowed.includes(actor.role) && actor.role !== 'system') {
+            throw new HttpError(`A ${actor.role} cannot mark an order ${to}`, 403);
+        }
+
+        await conn.execute('UPDATE orders SET status = ? WHERE id = ?', [to, id]);
+        await recordHistory(conn, id, { from, to, note }, actor);
+        if (to === 'Delivered') {
+            // The agent now holds the cash for COD orders
+            await recordCodCollection(conn, order, actor);
+            await earnForOrder(conn, order);
+            // A referee's first delivered order unlocks both referral rewards
+            await rewardReferral(conn, order);
+            await require('./invoices').issueInvoice(conn, order);
+        } else if (TERMINAL.includes(to)) {
+            // Hand back redeemed tokens and the coupon use when the order falls through
+            await restoreForOrder(conn, order);
+            await releaseForOrder(conn, order);
+            // A rejected prepaid order is refunded in full (cancellations write their own refund)
+            if (to === 'Rejected') {
+                refundId = await require('./cancellation').recordFullRefund(conn, order, 'Rejected by the restaurant', actor.role);
+            }
+        }
+        if (beforeCommit) extra = await beforeCommit(conn, order, from);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    if (refundId) {
+        require('./payments').refundPayment(refundId)
+            .catch((err) => console.error(`Refund for order ${id} failed:`, err?.message || err));
+    }
+    order = { ...order, status: to };
+    notifyOrderParties(io, order, { status: to, previous_status: from, actor_role: actor.role, at: new Date().toISOString() });
+    return extra === undefined ? order : { ...order, ...extra };
+}
+
+// Attach a delivery agent; recorded in the history without changing the status
+async function assignAgent(orderId, agentId, actor, { io, note } = {}) {
+    await ensureLifecycleSchema();
+    await ensureCodSchema();
+    const conn = await db.getConnection();
+    let order;
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+        if (!rows.length) throw new HttpError('Order not found', 404);
+        order = rows[0];
+        const status = normalizeStatus(order.status) || 'Pending';
+        if (!['Pending', 'Accepted', 'Ready'].includes(status)) {
+            throw new HttpError(`Cannot assign an agent to a ${status} order`, 409);
+        }
+        await assertCanCarryCash(conn, order, agentId);
+        await conn.execute('UPDATE orders SET agent_id = ? WHERE id = ?', [agentId, orderId]);
+        await recordHistory(conn, orderId, { event: 'agent_assigned', from: status, to: status, note: note || `Agent #${agentId}` }, actor);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+
+    order = { ...order, agent_id: agentId };
+    try { io && io.to(partyRoom.agent(agentId)).emit(`orderForAgent_${agentId}`, { id: order.id, order_code: order.order_code || null }); } catch (_) {}
+    notifyOrderParties(io, order, { status: normalizeStatus(order.status), agent_id: agentId, event: 'agent_assigned', at: new Date().toISOString() });
+    return order;
+}
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    TERMINAL,
+    ACTIVE_STATUSES,
+    normalizeStatus,
+    normalizeRole,
+    ensureLifecycleSchema,
+    resolveActor,
+    ownsOrder,
+    recordHistory,
+    partyRoom,
+    notifyOrderParties,
+    transitionOrder,
+    assignAgent
+};
@@ -0,0 +1,163 @@
+// Order creation and line-item helpers
+const crypto = require('crypto');
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { toCoord } = require('./geo');
+const { ensureLifecycleSchema, recordHistory } = require('./orderLifecycle');
+const { ensureSchedulingSchema, validateSlot } = require('./scheduling');
+const { ensureTokenSchema, redeemForOrder } = require('./tokenSystem');
+const { recordRedemption } = require('./coupons');
+const { ensureCheckoutSchema, priceOrder } = require('./cartQuote');
+const { isCashPayment } = require('./codLedger');
+
+const ensureOrderSchema = once(async () => {
+    await ensureColumn('orders', 'order_code', 'VARCHAR(20) NULL UNIQUE');
+    await ensureColumn('orders', 'subtotal', 'DECIMAL(10,2) NULL');
+    await ensureColumn('orders', 'tax_amount', 'DECIMAL(10,2) NULL');
+    await ensureColumn('orders', 'delivery_fee', 'DECIMAL(10,2) NULL');
+    await ensureColumn('orders', 'packaging_charge', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await ensureColumn('orders', 'small_order_fee', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await ensureColumn('orders', 'discount_amount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await ensureColumn('orders', 'delivery_distance_km', 'DECIMAL(6,2) NULL');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS order_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            menu_id INT NOT NULL,
+            item_name VARCHAR(255) NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL,
+            quantity INT NOT NULL,
+            line_total DECIMAL(10,2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_order_items_order (order_id)
+        )
+    `);
+});
+
+// Short human-friendly code shown on the success page, e.g. TND-4K9QZ2
+function generateOrderCode() {
+    return 'TND-' + crypto.randomBytes(4).readUInt32BE(0).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+}
+
+// Create an order from a checkout payload. Totals are recomputed from the menu table.
+// With `scheduled_for` the order is a pre-order that waits as 'Scheduled' until its slot.
+// UPI and online orders start as 'Awaiting Payment' and only move on once paid (payments.js).
+// `redeem_tokens` spends Tindo Tokens against the total (capped in tokenSystem).
+// `coupon_code` is re-validated here and its use recorded in the same transaction.
+// `quoted_total` is the total the customer saw from /api/cart/quote; if it no longer matches, nothing is placed.
+async function createOrder(payload, user) {
+    await ensureOrderSchema();
+    await ensureLifecycleSchema();
+    await ensureSchedulingSchema();
+    await ensureTokenSchema();
+    await ensureCheckoutSchema();
+    const body = payload || {};
+    // The customer is whoever is signed in; a user_id in the payload is ignored
+    const userId = (user && user.id) || null;
+    if (!userId) throw new HttpError('Please log in to place an order', 401);
+    if (!String(body.address || '').trim()) throw new HttpError('Delivery address is required');
+
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+        const { restaurant, lines, totals, coupon, restaurant_discount: restaurantDiscount } = await priceOrder(conn, body, user, { lock: true });
+        if (body.quoted_total != null && round2(body.quoted_total) !== totals.total) {
+            throw new HttpError(`Your order total changed to ₹${totals.total}; please review it before placing the order`, 409, {
+                code: 'quote_changed', totals
+            });
+        }
+        const scheduledFor = body.scheduled_for ? await validateSlot(restaurant, body.scheduled_for, conn) : null;
+        const status = !isCashPayment(body.payment_method) ? 'Awaiting Payment' : (scheduledFor ? 'Scheduled' : 'Pending');
+
+        const code = generateOrderCode();
+        const [result] = await conn.execute(
+            `INSERT INTO orders
+               (user_id, restaurant_id, order_code, subtotal, tax_amount, delivery_fee, packaging_charge, small_order_fee,
+                discount_amount, restaurant_discount, coupon_code, delivery_distance_km, total_price,
+                address, delivery_lat, delivery_lng, payment_method, status, scheduled_for, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+            [
+                userId, restaurant.id, code, totals.subtotal, totals.tax, totals.delivery_fee, totals.packaging_charge,
+                totals.small_order_fee, totals.discount, restaurantDiscount,
+                coupon ? coupon.code : null, totals.distance_km, totals.total,
+                String(body.address).trim(), toCoord(body.lat), toCoord(body.lng), body.payment_method || 'Cash',
+                status, scheduledFor
+            ]
+        );
+        const orderId = result.insertId;
+        if (coupon) await recordRedemption(conn, coupon, orderId, userId);
+        // Only a signed-in customer can spend their own tokens (user_id in the body is not proof)
+        const redeemed = await redeemForOrder(conn, user && user.id, orderId, body.redeem_tokens, totals.total);
+        if (redeemed.tokens) {
+            totals.total = round2(totals.total - redeemed.discount);
+            await conn.execute(
+                'UPDATE orders SET total_price = ?, tokens_redeemed = ?, tokens_discount = ? WHERE id = ?',
+                [totals.total, redeemed.tokens, redeemed.discount, orderId]
+            );
+        }
+        await conn.query(
+            'INSERT INTO order_items (order_id, menu_id, item_name, unit_price, quantity, line_total) VALUES ?',
+            [lines.map((l) => [orderId, l.menu_id, l.item_name, l.unit_price, l.qty, l.line_total])]
+        );
+        await recordHistory(conn, orderId, { event: 'placed', to: status }, { role: 'customer', id: userId });
+        await conn.commit();
+
+        return {
+            order_id: orderId,
+            order_code: code,
+            restaurant_id: restaurant.id,
+            user_id: userId,
+            status,
+            scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+            items: lines,
+            coupon_code: coupon ? coupon.code : null,
+            tokens_redeemed: redeemed.tokens,
+            tokens_discount: redeemed.discount,
+            ...totals
+        };
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+// Fetch line items for a set of orders, grouped by order id
+async function loadOrderItems(orderIds) {
+    const ids = [...new Set((orderIds || []).map(Number).filter(Boolean))];
+    const grouped = new Map(ids.map((id) => [id, []]));
+    if (!ids.length) return grouped;
+    await ensureOrderSchema();
+    const [rows] = await db.query(
+        'SELECT order_id, menu_id, item_name, unit_price, quantity, line_total FROM order_items WHERE order_id IN (?) ORDER BY id',
+        [ids]
+    );
+    rows.forEach((r) => grouped.get(r.order_id).push({
+        menu_id: r.menu_id,
+        item_name: r.item_name,
+        price: Number(r.unit_price),
+        qty: r.quantity,
+        line_total: Number(r.line_total)
+    }));
+    return grouped;
+}
+
+// Attach `items` to order rows, keeping the legacy JSON column for orders placed before order_items existed
+async function attachOrderItems(orders) {
+    const grouped = await loadOrderItems(orders.map((o) => o.id));
+    return orders.map((o) => {
+        const items = grouped.get(Number(o.id)) || [];
+        return items.length ? { ...o, items } : o;
+    });
+}
+
+module.exports = {
+    ensureOrderSchema,
+    generateOrderCode,
+    createOrder,
+    loadOrderItems,
+    attachOrderItems
+};
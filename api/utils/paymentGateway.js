@@ -0,0 +1,87 @@
+// Payment gateway adapter: Razorpay, or with PAYMENT_GATEWAY=mock a local mock that signs
+// payloads the same way so the whole checkout/webhook flow can run offline. The mock is never
+// picked just because keys are missing; the server refuses to start instead.
+const crypto = require('crypto');
+
+const KEY_ID = process.env.RAZORPAY_KEY_ID || '';
+const KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || '';
+const WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+const USE_MOCK = process.env.PAYMENT_GATEWAY === 'mock';
+// Mock signatures are made and checked by this process, so a per-boot secret works when none is set
+const MOCK_SECRET = USE_MOCK ? (process.env.MOCK_GATEWAY_SECRET || crypto.randomBytes(32).toString('hex')) : null;
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time compare; false for missing/mis-sized signatures
+function safeEqual(expected, actual) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(actual || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+
+function razorpayGateway() {
+    const Razorpay = require('razorpay');
+    const client = new Razorpay({ key_id: KEY_ID, key_secret: KEY_SECRET });
+    return {
+        name: 'razorpay',
+        keyId: KEY_ID,
+        createOrder: ({ amount, currency, receipt, notes }) => client.orders.create({ amount, currency, receipt, notes }),
+        refund: (paymentId, { amount, notes }) => client.payments.refund(paymentId, { amount, notes }),
+        verifyPaymentSignature: ({ orderId, paymentId, signature }) => safeEqual(hmac(KEY_SECRET, `${orderId}|${paymentId}`), signature),
+        verifyWebhookSignature: (rawBody, signature) => !!WEBHOOK_SECRET && safeEqual(hmac(WEBHOOK_SECRET, rawBody), signature)
+    };
+}
+
+function mockGateway() {
+    return {
+        name: 'mock',
+        keyId: 'rzp_test_mock',
+        createOrder: async ({ amount, currency, receipt, notes }) => ({
+            id: randomId('order_mock'), entity: 'order', amount, currency, receipt, notes, status: 'created'
+        }),
+        refund: async (paymentId, { amount }) => ({ id: randomId('rfnd_mock'), entity: 'refund', payment_id: paymentId, amount, status: 'processed' }),
+        verifyPaymentSignature: ({ orderId, paymentId, signature }) => safeEqual(hmac(MOCK_SECRET, `${orderId}|${paymentId}`), signature),
+        verifyWebhookSignature: (rawBody, signature) => safeEqual(hmac(MOCK_SECRET, rawBody), signature),
+
+        // What Razorpay Checkout would hand back to the browser after a successful payment
+        simulateCheckout: (orderId) => {
+            const paymentId = randomId('pay_mock');
+            return {
+                razorpay_order_id: orderId,
+                razorpay_payment_id: paymentId,
+                razorpay_signature: hmac(MOCK_SECRET, `${orderId}|${paymentId}`)
+            };
+        },
+        // A signed webhook delivery: { body, signature, eventId }
+        signWebhook: (event, entities) => {
+            const body = JSON.stringify({ entity: 'event', event, payload: entities, created_at: Math.floor(Date.now() / 1000) });
+            return { body, signature: hmac(MOCK_SECRET, body), eventId: randomId('evt_mock') };
+        }
+    };
+}
+
+let gateway = null;
+
+// Called at startup: live payments need the Razorpay keys and the webhook secret
+function assertGatewayConfigured() {
+    if (USE_MOCK) return;
+    const missing = [
+        !KEY_ID && 'RAZORPAY_KEY_ID',
+        !KEY_SECRET && 'RAZORPAY_KEY_SECRET',
+        !WEBHOOK_SECRET && 'RAZORPAY_WEBHOOK_SECRET'
+    ].filter(Boolean);
+    if (missing.length) {
+        throw new Error(`Payment gateway is not configured: set ${missing.join(', ')} (or PAYMENT_GATEWAY=mock for local development)`);
+    }
+}
+
+module.exports = {
+    assertGatewayConfigured,
+    isMock: () => USE_MOCK,
+    getGateway: () => {
+        if (!gateway) gateway = USE_MOCK ? mockGateway() : razorpayGateway();
+        return gateway;
+    }
+};
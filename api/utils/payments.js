@@ -0,0 +1,385 @@
+// Online payments: gateway orders for the server-computed total, checkout signature checks,
+// webhooks (captured / failed / refunded) and refunds for cancelled orders.
+// Amounts are stored in rupees; the gateway works in paise.
+const crypto = require('crypto');
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { ownsOrder, recordHistory, ensureLifecycleSchema, normalizeStatus, transitionOrder, partyRoom } = require('./orderLifecycle');
+const { ensureRefundSchema, isCashPayment, recordFullRefund } = require('./cancellation');
+const { getGateway, isMock } = require('./paymentGateway');
+
+const CURRENCY = 'INR';
+
+// Socket.io server, set by server.js; a captured payment announces the order to its restaurant
+let io = null;
+
+const ensurePaymentSchema = once(async () => {
+    await ensureLifecycleSchema();
+    await ensureRefundSchema();
+    await ensureColumn('orders', 'payment_status', "VARCHAR(20) NOT NULL DEFAULT 'unpaid'");
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS payments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            order_id INT NOT NULL,
+            gateway VARCHAR(20) NOT NULL,
+            gateway_order_id VARCHAR(64) NOT NULL,
+            gateway_payment_id VARCHAR(64) NULL,
+            amount DECIMAL(10,2) NOT NULL,
+            currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+            status VARCHAR(20) NOT NULL DEFAULT 'created',
+            method VARCHAR(30) NULL,
+            error_reason VARCHAR(255) NULL,
+            refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_payments_gateway_order (gateway_order_id),
+            INDEX idx_payments_order (order_id),
+            INDEX idx_payments_gateway_payment (gateway_payment_id)
+        )
+    `);
+    // One row per webhook delivery we have processed, so redeliveries are ignored
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS payment_events (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            event_id VARCHAR(100) NOT NULL,
+            event VARCHAR(50) NOT NULL,
+            payload MEDIUMTEXT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_payment_events_event (event_id)
+        )
+    `);
+});
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+const toRupees = (paise) => round2(Number(paise) / 100);
+
+async function loadOrder(orderId, conn = db) {
+    const [rows] = await conn.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [Number(orderId) || 0]);
+    if (!rows.length) throw new HttpError('Order not found', 404);
+    return rows[0];
+}
+
+async function findPayment(where, value, conn = db, lock = false) {
+    const [rows] = await conn.execute(
+        `SELECT * FROM payments WHERE ${where} = ? ORDER BY id DESC LIMIT 1${lock ? ' FOR UPDATE' : ''}`,
+        [value]
+    );
+    return rows[0] || null;
+}
+
+function checkoutPayload(order, payment) {
+    const gateway = getGateway();
+    return {
+        payment_id: payment.id,
+        order_id: order.id,
+        order_code: order.order_code || null,
+        gateway: gateway.name,
+        key_id: gateway.keyId,
+        gateway_order_id: payment.gateway_order_id,
+        amount: toPaise(payment.amount),
+        currency: payment.currency,
+        display_amount: round2(payment.amount)
+    };
+}
+
+// Open (or reuse) a gateway order for the order's stored total
+async function createPayment(orderId, actor) {
+    await ensurePaymentSchema();
+    const order = await loadOrder(orderId);
+    if (actor.role !== 'customer' || !ownsOrder(actor, order)) throw new HttpError('Not allowed to pay for this order', 403);
+    if (isCashPayment(order.payment_method)) throw new HttpError('This order is paid in cash on delivery', 409);
+    if (['Cancelled', 'Rejected'].includes(order.status)) throw new HttpError(`Order is ${order.status}`, 409);
+    if (order.payment_status === 'paid') throw new HttpError('This order is already paid', 409);
+
+    const amount = round2(order.total_price);
+    const [open] = await db.execute(
+        "SELECT * FROM payments WHERE order_id = ? AND status = 'created' AND amount = ? ORDER BY id DESC LIMIT 1",
+        [order.id, amount]
+    );
+    if (open.length) return checkoutPayload(order, open[0]);
+
+    const gateway = getGateway();
+    const gatewayOrder = await gateway.createOrder({
+        amount: toPaise(amount),
+        currency: CURRENCY,
+        receipt: order.order_code || `order_${order.id}`,
+        notes: { order_id: String(order.id) }
+    });
+    const [ins] = await db.execute(
+        'INSERT INTO payments (order_id, gateway, gateway_order_id, amount, currency) VALUES (?, ?, ?, ?, ?)',
+        [order.id, gateway.name, gatewayOrder.id, amount, CURRENCY]
+    );
+    return checkoutPayload(order, { id: ins.insertId, gateway_order_id: gatewayOrder.id, amount, currency: CURRENCY });
+}
+
+// Record a successful payment once, whether it arrives via checkout or webhook
+async function markCaptured(gatewayOrderId, { paymentId, method }, actor) {
+    const conn = await db.getConnection();
+    let payment;
+    try {
+        await conn.beginTransaction();
+        payment = await findPayment('gateway_order_id', gatewayOrderId, conn, true);
+        if (!payment) throw new HttpError('Payment not found', 404);
+        if (['captured', 'refunded', 'partially_refunded'].includes(payment.status)) {
+            await conn.commit();
+            return { ...payment, already: true };
+        }
+        await conn.execute(
+            "UPDATE payments SET status = 'captured', gateway_payment_id = ?, method = ?, error_reason = NULL WHERE id = ?",
+            [paymentId, method || null, payment.id]
+        );
+        await conn.execute("UPDATE orders SET payment_status = 'paid' WHERE id = ?", [payment.order_id]);
+        await recordHistory(conn, payment.order_id, {
+            event: 'payment', note: `₹${round2(payment.amount)} paid${method ? ` via ${method}` : ''} (${paymentId})`
+        }, actor);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+    await releasePaidOrder(payment.order_id);
+    return { ...payment, status: 'captured', gateway_payment_id: paymentId };
+}
+
+// A paid order leaves 'Awaiting Payment': pre-orders wait for their slot, the rest go to the restaurant now
+async function releasePaidOrder(orderId) {
+    const [[order]] = await db.execute('SELECT id, status, scheduled_for FROM orders WHERE id = ?', [orderId]);
+    if (!order) return;
+    const status = normalizeStatus(order.status);
+    if (['Cancelled', 'Rejected'].includes(status)) return refundUnwantedPayment(order.id);
+    if (status !== 'Awaiting Payment') return;
+    const to = order.scheduled_for ? 'Scheduled' : 'Pending';
+    try {
+        const released = await transitionOrder(order.id, to, { role: 'system', id: null }, { io, note: 'Payment received' });
+        if (io && to === 'Pending') {
+            io.to(partyRoom.restaurant(released.restaurant_id)).emit(`orderForRestaurant_${released.restaurant_id}`, {
+                id: released.id,
+                order_code: released.order_code || null,
+                total_price: Number(released.total_price),
+                status: released.status
+            });
+        }
+    } catch (err) {
+        // Cancelled while the payment was in flight
+        if (!(err instanceof HttpError)) throw err;
+        await refundUnwantedPayment(order.id);
+    }
+}
+
+// Money captured for an order that had already ended goes straight back
+async function refundUnwantedPayment(orderId) {
+    await ensureRefundSchema();
+    const conn = await db.getConnection();
+    let refundId = null;
+    try {
+        await conn.beginTransaction();
+        const [[order]] = await conn.execute('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId]);
+        if (order) refundId = await recordFullRefund(conn, order, `Paid after the order was ${order.status}`, 'system');
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+    if (refundId) {
+        refundPayment(refundId).catch((err) => console.error(`Refund for order ${orderId} failed:`, err?.message || err));
+    }
+}
+
+async function markFailed(gatewayOrderId, { paymentId, reason }) {
+    const payment = await findPayment('gateway_order_id', gatewayOrderId);
+    if (!payment || payment.status !== 'created') return payment;
+    await db.execute(
+        "UPDATE payments SET status = 'failed', gateway_payment_id = ?, error_reason = ? WHERE id = ? AND status = 'created'",
+        [paymentId || null, reason ? String(reason).slice(0, 255) : null, payment.id]
+    );
+    await db.execute("UPDATE orders SET payment_status = 'failed' WHERE id = ? AND payment_status <> 'paid'", [payment.order_id]);
+    await recordHistory(db, payment.order_id, { event: 'payment_failed', note: reason || null }, { role: 'system', id: null });
+    return { ...payment, status: 'failed' };
+}
+
+// Browser callback from Razorpay Checkout: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+async function verifyCheckout(body, actor) {
+    await ensurePaymentSchema();
+    const { razorpay_order_id: gatewayOrderId, razorpay_payment_id: paymentId, razorpay_signature: signature } = body || {};
+    if (!gatewayOrderId || !paymentId || !signature) throw new HttpError('razorpay_order_id, razorpay_payment_id and razorpay_signature are required');
+    const payment = await findPayment('gateway_order_id', gatewayOrderId);
+    if (!payment) throw new HttpError('Payment not found', 404);
+    const order = await loadOrder(payment.order_id);
+    if (!ownsOrder(actor, order)) throw new HttpError('Not allowed to verify this payment', 403);
+    if (!getGateway().verifyPaymentSignature({ orderId: gatewayOrderId, paymentId, signature })) {
+        throw new HttpError('Payment verification failed', 400);
+    }
+    const captured = await markCaptured(gatewayOrderId, { paymentId }, actor);
+    return { order_id: order.id, payment_id: captured.id, status: captured.status, payment_status: 'paid' };
+}
+
+// A refund settled at the gateway; safe to call more than once for the same refund
+async function applyRefund({ gatewayRefundId, gatewayPaymentId, amount, refundId }) {
+    let refund = null;
+    if (gatewayRefundId) [[refund]] = await db.execute('SELECT * FROM refunds WHERE gateway_refund_id = ? LIMIT 1', [gatewayRefundId]);
+    if (!refund && refundId) [[refund]] = await db.execute('SELECT * FROM refunds WHERE id = ? LIMIT 1', [Number(refundId) || 0]);
+    if (refund) {
+        const [upd] = await db.execute(
+            "UPDATE refunds SET status = 'processed', gateway_refund_id = COALESCE(gateway_refund_id, ?) WHERE id = ? AND status <> 'processed'",
+            [gatewayRefundId || null, refund.id]
+        );
+        if (!upd.affectedRows) return;
+    }
+    const payment = await findPayment('gateway_payment_id', gatewayPaymentId);
+    if (!payment) return;
+    // A refund made at the gateway itself (e.g. a delivered order refunded from the dashboard) gets
+    // its own row, so the restaurant's settlement nets it out
+    if (!refund) {
+        const [[order]] = await db.execute('SELECT id, payment_method, total_price FROM orders WHERE id = ?', [payment.order_id]);
+        await db.execute(
+            `INSERT INTO refunds (order_id, payment_method, order_total, cancellation_fee, amount, status, reason, initiated_by, gateway_refund_id)
+             VALUES (?, ?, ?, 0, ?, 'processed', 'Refunded at the payment gateway', 'gateway', ?)`,
+            [payment.order_id, (order && order.payment_method) || payment.method || null, round2(order ? order.total_price : payment.amount), round2(amount), gatewayRefundId || null]
+        );
+    }
+    // refunded_amount is already the new value when status is evaluated
+    await db.execute(
+        `UPDATE payments SET refunded_amount = refunded_amount + ?,
+                status = IF(refunded_amount >= amount, 'refunded', 'partially_refunded')
+         WHERE id = ?`,
+        [amount, payment.id]
+    );
+    const [[after]] = await db.execute('SELECT status FROM payments WHERE id = ?', [payment.id]);
+    await db.execute('UPDATE orders SET payment_status = ? WHERE id = ?', [after.status, payment.order_id]);
+    await recordHistory(db, payment.order_id, { event: 'refund_processed', note: `₹${round2(amount)} refunded (${gatewayRefundId || 'gateway'})` }, { role: 'system', id: null });
+}
+
+async function processWebhookEvent(event, payload) {
+    const payment = payload.payment && payload.payment.entity;
+    const refund = payload.refund && payload.refund.entity;
+    switch (event) {
+        case 'payment.captured':
+        case 'order.paid':
+            if (payment) await markCaptured(payment.order_id, { paymentId: payment.id, method: payment.method }, { role: 'system', id: null });
+            break;
+        case 'payment.failed':
+            if (payment) await markFailed(payment.order_id, { paymentId: payment.id, reason: payment.error_description || payment.error_reason });
+            break;
+        case 'refund.processed':
+            if (refund) {
+                await applyRefund({
+                    gatewayRefundId: refund.id,
+                    gatewayPaymentId: refund.payment_id,
+                    amount: toRupees(refund.amount),
+                    refundId: refund.notes && refund.notes.refund_id
+                });
+            }
+            break;
+        case 'refund.failed':
+            if (refund) await db.execute("UPDATE refunds SET status = 'failed' WHERE gateway_refund_id = ?", [refund.id]);
+            break;
+        default:
+            break;
+    }
+}
+
+// Verify and apply one webhook delivery. Returns { duplicate } for redelivered events.
+async function handleWebhook(rawBody, signature, eventIdHeader) {
+    await ensurePaymentSchema();
+    const raw = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''));
+    if (!getGateway().verifyWebhookSignature(raw, signature)) throw new HttpError('Invalid webhook signature', 400);
+    let body;
+    try {
+        body = JSON.parse(raw.toString('utf8'));
+    } catch (_) {
+        throw new HttpError('Invalid webhook payload');
+    }
+    const eventId = eventIdHeader || crypto.createHash('sha256').update(raw).digest('hex');
+    try {
+        await db.execute('INSERT INTO payment_events (event_id, event, payload) VALUES (?, ?, ?)', [eventId, String(body.event || ''), raw.toString('utf8')]);
+    } catch (err) {
+        if (err.code === 'ER_DUP_ENTRY') return { duplicate: true, event: body.event };
+        throw err;
+    }
+    try {
+        await processWebhookEvent(body.event, body.payload || {});
+    } catch (err) {
+        // Let the gateway redeliver
+        await db.execute('DELETE FROM payment_events WHERE event_id = ?', [eventId]).catch(() => {});
+        throw err;
+    }
+    return { duplicate: false, event: body.event };
+}
+
+// The mock gateway "delivers" its webhooks to us directly, like Razorpay would over HTTP
+function deliverMockWebhook(event, entities) {
+    if (!isMock()) return;
+    const { body, signature, eventId } = getGateway().signWebhook(event, entities);
+    setImmediate(() => handleWebhook(Buffer.from(body), signature, eventId)
+        .catch((err) => console.error('Mock webhook failed:', err?.message || err)));
+}
+
+// Send a pending cancellation refund to the gateway; completion arrives as refund.processed
+async function refundPayment(refundId) {
+    await ensurePaymentSchema();
+    const [[refund]] = await db.execute('SELECT * FROM refunds WHERE id = ? LIMIT 1', [Number(refundId) || 0]);
+    if (!refund || refund.status !== 'pending' || Number(refund.amount) <= 0) return null;
+    const [captured] = await db.execute(
+        "SELECT * FROM payments WHERE order_id = ? AND status IN ('captured', 'partially_refunded') ORDER BY id DESC LIMIT 1",
+        [refund.order_id]
+    );
+    if (!captured.length) return null;
+    const payment = captured[0];
+    const gatewayRefund = await getGateway().refund(payment.gateway_payment_id, {
+        amount: toPaise(refund.amount),
+        notes: { refund_id: String(refund.id), order_id: String(refund.order_id) }
+    });
+    await db.execute("UPDATE refunds SET status = 'initiated', gateway_refund_id = ? WHERE id = ? AND status = 'pending'", [gatewayRefund.id, refund.id]);
+    deliverMockWebhook('refund.processed', {
+        refund: { entity: { ...gatewayRefund, payment_id: payment.gateway_payment_id, notes: { refund_id: String(refund.id) } } }
+    });
+    return gatewayRefund;
+}
+
+// Mock checkout: what the Razorpay popup would do for a test card
+async function mockCheckout(gatewayOrderId, outcome = 'success') {
+    await ensurePaymentSchema();
+    if (!isMock()) throw new HttpError('Mock gateway is disabled', 404);
+    const payment = await findPayment('gateway_order_id', gatewayOrderId);
+    if (!payment) throw new HttpError('Payment not found', 404);
+    const gateway = getGateway();
+    const result = gateway.simulateCheckout(gatewayOrderId);
+    const paymentEntity = {
+        id: result.razorpay_payment_id, order_id: gatewayOrderId, amount: toPaise(payment.amount), currency: payment.currency, method: 'mock'
+    };
+    if (outcome === 'failure') {
+        deliverMockWebhook('payment.failed', { payment: { entity: { ...paymentEntity, error_description: 'Payment declined by mock gateway' } } });
+        throw new HttpError('Payment declined by mock gateway', 402);
+    }
+    deliverMockWebhook('payment.captured', { payment: { entity: paymentEntity } });
+    return result;
+}
+
+async function paymentStatusForOrder(orderId, actor) {
+    await ensurePaymentSchema();
+    const order = await loadOrder(orderId);
+    if (!ownsOrder(actor, order)) throw new HttpError('Not allowed to view this payment', 403);
+    const [payments] = await db.execute(
+        'SELECT id, gateway, gateway_order_id, gateway_payment_id, amount, status, method, error_reason, refunded_amount, created_at FROM payments WHERE order_id = ? ORDER BY id',
+        [order.id]
+    );
+    return { order_id: order.id, payment_method: order.payment_method, payment_status: order.payment_status, payments };
+}
+
+module.exports = {
+    ensurePaymentSchema,
+    setSocketServer: (server) => { io = server; },
+    createPayment,
+    markCaptured,
+    verifyCheckout,
+    handleWebhook,
+    refundPayment,
+    mockCheckout,
+    paymentStatusForOrder
+};
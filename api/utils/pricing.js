@@ -0,0 +1,182 @@
+// Server-side order pricing: cart lines are always re-read from the menu table,
+// the prices the browser sends are ignored.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { toCoord, haversineKm, restaurantCoords } = require('./geo');
+
+const TAX_RATE = Number(process.env.ORDER_TAX_RATE ?? 0.05);
+// Flat fee when the distance is unknown (no coordinates on the address or the restaurant)
+const DELIVERY_FEE = Number(process.env.ORDER_DELIVERY_FEE ?? 30);
+const FREE_DELIVERY_ABOVE = Number(process.env.ORDER_FREE_DELIVERY_ABOVE ?? 499);
+// "km:fee" pairs, nearest first; addresses beyond the last tier are out of range
+const parseDeliveryTiers = (text) => String(text || '')
+    .split(',')
+    .map((t) => t.split(':').map(Number))
+    .filter(([km, fee]) => km > 0 && fee >= 0)
+    .map(([km, fee]) => ({ upto_km: km, fee }))
+    .sort((a, b) => a.upto_km - b.upto_km);
+const DELIVERY_TIERS = parseDeliveryTiers(process.env.ORDER_DELIVERY_TIERS || '3:20,6:35,10:50');
+const maxDeliveryKm = (tiers) => (tiers.length ? tiers[tiers.length - 1].upto_km : Infinity);
+const MAX_DELIVERY_KM = maxDeliveryKm(DELIVERY_TIERS);
+// Per unit, for menu items without their own packaging_charge
+const PACKAGING_PER_ITEM = Number(process.env.ORDER_PACKAGING_PER_ITEM ?? 0);
+const SMALL_ORDER_BELOW = Number(process.env.ORDER_SMALL_ORDER_BELOW ?? 99);
+const SMALL_ORDER_FEE = Number(process.env.ORDER_SMALL_ORDER_FEE ?? 15);
+const MAX_QTY_PER_ITEM = 50;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const ensurePricingSchema = once(async () => {
+    await ensureColumn('menu', 'packaging_charge', 'DECIMAL(10,2) NULL');
+});
+
+// Load an approved restaurant or fail with a 4xx the checkout page can show
+async function loadOrderableRestaurant(restaurantId, conn = db) {
+    const id = Number(restaurantId);
+    if (!id) throw new HttpError('restaurant_id is required');
+    const [rows] = await conn.execute('SELECT * FROM restaurants WHERE id = ? LIMIT 1', [id]);
+    if (!rows.length) throw new HttpError('Restaurant not found', 404);
+    if (String(rows[0].status).toLowerCase() !== 'approved') {
+        throw new HttpError('This restaurant is not accepting orders right now', 409);
+    }
+    return rows[0];
+}
+
+// Match cart entries ({ menu_id | id, name, qty, restaurant_id }) to menu rows of one restaurant
+async function resolveCartLines(restaurantId, items, conn = db) {
+    if (!Array.isArray(items) || !items.length) throw new HttpError('Cart is empty');
+
+    const wanted = items.map((it) => ({
+        menuId: Number(it.menu_id || it.menu_item_id || it.id) || null,
+        name: String(it.name || it.item_name || '').trim(),
+        qty: Math.floor(Number(it.qty ?? it.quantity ?? 1)),
+        restaurantId: it.restaurant_id == null ? null : Number(it.restaurant_id)
+    }));
+    for (const w of wanted) {
+        if (!w.menuId && !w.name) throw new HttpError('Each item needs a menu_id or name');
+        if (!Number.isInteger(w.qty) || w.qty < 1 || w.qty > MAX_QTY_PER_ITEM) {
+            throw new HttpError(`Invalid quantity for ${w.name || `item ${w.menuId}`}`);
+        }
+        if (w.restaurantId && w.restaurantId !== Number(restaurantId)) {
+            throw new HttpError('All items must come from the same restaurant');
+        }
+    }
+
+    const ids = [...new Set(wanted.filter((w) => w.menuId).map((w) => w.menuId))];
+    const names = [...new Set(wanted.filter((w) => !w.menuId).map((w) => w.name))];
+    const byId = new Map();
+    const byName = new Map();
+    if (ids.length) {
+        const [rows] = await conn.query('SELECT * FROM menu WHERE id IN (?)', [ids]);
+        rows.forEach((r) => byId.set(r.id, r));
+    }
+    if (names.length) {
+        const [rows] = await conn.query('SELECT * FROM menu WHERE restaurant_id = ? AND item_name IN (?)', [restaurantId, names]);
+        rows.forEach((r) => { if (!byName.has(r.item_name)) byName.set(r.item_name, r); });
+    }
+
+    const lines = new Map();
+    for (const w of wanted) {
+        const row = w.menuId ? byId.get(w.menuId) : byName.get(w.name);
+        if (!row) throw new HttpError(`${w.name || `Item ${w.menuId}`} is no longer on the menu`, 409);
+        if (Number(row.restaurant_id) !== Number(restaurantId)) {
+            throw new HttpError(`${row.item_name} belongs to a different restaurant`);
+        }
+        const line = lines.get(row.id) || {
+            menu_id: row.id,
+            item_name: row.item_name,
+            category: row.category || null,
+            unit_price: round2(row.price),
+            packaging_charge: round2(row.packaging_charge ?? PACKAGING_PER_ITEM),
+            qty: 0
+        };
+        line.qty += w.qty;
+        if (line.qty > MAX_QTY_PER_ITEM) throw new HttpError(`Invalid quantity for ${row.item_name}`);
+        lines.set(row.id, line);
+    }
+    return [...lines.values()].map((l) => ({
+        ...l,
+        line_total: round2(l.unit_price * l.qty),
+        packaging_total: round2(l.packaging_charge * l.qty)
+    }));
+}
+
+// Delivery fee for a distance; throws when the address is out of range. A null distance pays the
+// flat fee; checkout never gets here without one (priceOrder refuses restaurants with no location).
+// `tiers` replaces the default tiers (a delivery zone's own).
+function deliveryFeeFor(subtotal, distanceKm, tiers = DELIVERY_TIERS) {
+    const free = subtotal > FREE_DELIVERY_ABOVE;
+    if (distanceKm === null || distanceKm === undefined) return { fee: free ? 0 : DELIVERY_FEE, tier: null, free };
+    const maxKm = maxDeliveryKm(tiers);
+    if (distanceKm > maxKm) {
+        throw new HttpError(`This address is ${round2(distanceKm)} km away; we deliver up to ${maxKm} km`, 422, {
+            code: 'not_serviceable', distance_km: round2(distanceKm), max_distance_km: maxKm
+        });
+    }
+    const tier = tiers.find((t) => distanceKm <= t.upto_km);
+    return { fee: free ? 0 : tier.fee, tier, free };
+}
+
+// Full breakdown for priced lines. Tax is charged on food + packaging after discounts.
+function computeTotals(lines, { distanceKm = null, discount = 0, tiers } = {}) {
+    const subtotal = round2(lines.reduce((s, l) => s + l.line_total, 0));
+    const packaging = round2(lines.reduce((s, l) => s + (l.packaging_total || 0), 0));
+    const discountApplied = Math.min(subtotal, round2(discount));
+    const smallOrderFee = subtotal < SMALL_ORDER_BELOW ? SMALL_ORDER_FEE : 0;
+    const tax = round2((subtotal - discountApplied + packaging) * TAX_RATE);
+    const delivery = deliveryFeeFor(subtotal, distanceKm, tiers);
+    return {
+        subtotal,
+        packaging_charge: packaging,
+        discount: discountApplied,
+        small_order_fee: round2(smallOrderFee),
+        tax,
+        delivery_fee: round2(delivery.fee),
+        distance_km: distanceKm === null ? null : round2(distanceKm),
+        total: round2(subtotal - discountApplied + packaging + smallOrderFee + tax + delivery.fee)
+    };
+}
+
+// Distance from the restaurant to { lat, lng }, or null if either side has no coordinates
+function deliveryDistance(restaurant, lat, lng) {
+    const from = restaurantCoords(restaurant);
+    const toLat = toCoord(lat);
+    const toLng = toCoord(lng);
+    if (!from || toLat === null || toLng === null) return null;
+    return haversineKm(from.lat, from.lng, toLat, toLng);
+}
+
+// The fee rules, for pages that advertise them
+const pricingRules = () => ({
+    tax_rate: TAX_RATE,
+    delivery_tiers: DELIVERY_TIERS,
+    max_delivery_km: MAX_DELIVERY_KM,
+    flat_delivery_fee: DELIVERY_FEE,
+    free_delivery_above: FREE_DELIVERY_ABOVE,
+    small_order_below: SMALL_ORDER_BELOW,
+    small_order_fee: SMALL_ORDER_FEE,
+    packaging_per_item: PACKAGING_PER_ITEM
+});
+
+module.exports = {
+    MAX_QTY_PER_ITEM,
+    round2,
+    parseDeliveryTiers,
+    maxDeliveryKm,
+    ensurePricingSchema,
+    deliveryFeeFor,
+    deliveryDistance,
+    pricingRules,
+    loadOrderableRestaurant,
+    resolveCartLines,
+    computeTotals,
+    // Convenience for callers that just need the priced cart. { lat, lng } of the delivery
+    // address drive the delivery fee. ensurePricingSchema must have run (DDL would end `conn`'s transaction).
+    priceCart: async (restaurantId, items, conn = db, { lat, lng, discount } = {}) => {
+        const restaurant = await loadOrderableRestaurant(restaurantId, conn);
+        const lines = await resolveCartLines(restaurant.id, items, conn);
+        const distanceKm = deliveryDistance(restaurant, lat, lng);
+        return { restaurant, lines, totals: computeTotals(lines, { distanceKm, discount }) };
+    }
+};
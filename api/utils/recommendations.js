@@ -0,0 +1,384 @@
+// Home feed and restaurant-page recommendations. A periodic job reads delivered orders and reviews
+// into an in-memory snapshot: per-customer affinities (cuisines, price band, veg share, time of day,
+// favourite restaurants), item-to-item "ordered together" pairs, and restaurant/dish popularity.
+// Requests only score against that snapshot; customers with no history get the popular picks.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { round2 } = require('./pricing');
+const { ensureOrderSchema } = require('./orders');
+const { itemsByOrder } = require('./orderHistory');
+const { ensureSearchSchema, inferVeg } = require('./search');
+const { listRestaurants } = require('./restaurantListing');
+
+const JOB_INTERVAL_MS = Number(process.env.RECOMMENDATION_INTERVAL_MS || 6 * 60 * 60 * 1000);
+const HISTORY_DAYS = Number(process.env.RECOMMENDATION_HISTORY_DAYS || 180);
+// An order's weight halves every HALF_LIFE_DAYS, so recent tastes count for more
+const HALF_LIFE_DAYS = 30;
+// Two dishes count as "ordered together" once they have shared this many orders
+const MIN_PAIR_SUPPORT = Number(process.env.RECOMMENDATION_MIN_PAIR_SUPPORT || 2);
+const PAIRS_PER_ITEM = 10;
+const RECENT_ITEMS = 20;
+// Customers with at least this share of veg dishes only get veg dish suggestions
+const VEG_CUSTOMER_SHARE = 0.9;
+const SECTION_SIZE = 8;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Personal score weights; they add up to 1
+const WEIGHTS = { cuisine: 0.4, price: 0.15, veg: 0.15, daypart: 0.1, rating: 0.1, popularity: 0.1 };
+
+function daypartOf(date) {
+    const hour = new Date(date).getHours();
+    if (hour >= 5 && hour < 11) return 'breakfast';
+    if (hour >= 11 && hour < 16) return 'lunch';
+    if (hour >= 16 && hour < 19) return 'snacks';
+    if (hour >= 19 && hour < 23) return 'dinner';
+    return 'late_night';
+}
+
+const decay = (date, now) => 0.5 ** (Math.max(0, now - new Date(date)) / DAY_MS / HALF_LIFE_DAYS);
+
+// "North Indian, Chinese" -> ['North Indian', 'Chinese']
+const cuisinesOf = (restaurant) => String((restaurant && restaurant.cuisine) || '').split(/[,/|]/).map((c) => c.trim()).filter(Boolean);
+
+const addTo = (map, key, by) => map.set(key, (map.get(key) || 0) + by);
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Share of each key in a count map, e.g. dayparts -> { dinner: 0.6, lunch: 0.4 }
+function shares(map) {
+    const total = [...map.values()].reduce((s, n) => s + n, 0);
+    return Object.fromEntries([...map].map(([k, n]) => [k, total ? n / total : 0]));
+}
+
+// Cosine similarity between two dishes from how many orders contained each and both
+function topPairs(together, counts) {
+    const pairs = new Map();
+    together.forEach((n, key) => {
+        if (n < MIN_PAIR_SUPPORT) return;
+        const [a, b] = key.split(':').map(Number);
+        const score = n / Math.sqrt(counts.get(a) * counts.get(b));
+        [[a, b], [b, a]].forEach(([from, to]) => pairs.set(from, [...(pairs.get(from) || []), { menu_id: to, score, support: n }]));
+    });
+    pairs.forEach((list, id) => pairs.set(id, list.sort((x, y) => y.score - x.score || x.menu_id - y.menu_id).slice(0, PAIRS_PER_ITEM)));
+    return pairs;
+}
+
+async function buildSnapshot(now = new Date()) {
+    await ensureOrderSchema();
+    await ensureSearchSchema();
+    const [restaurants] = await db.query("SELECT id, name, cuisine FROM restaurants WHERE status = 'approved'");
+    const restaurantById = new Map(restaurants.map((r) => [r.id, r]));
+    const [menu] = await db.query('SELECT id, restaurant_id, item_name, category, description, price, is_veg, image_url FROM menu');
+    const menuById = new Map(menu.filter((m) => restaurantById.has(m.restaurant_id)).map((m) => [m.id, { ...m, veg: inferVeg(m) }]));
+    // Legacy JSON items may only carry a name
+    const menuByName = new Map([...menuById.values()].map((m) => [`${m.restaurant_id}:${String(m.item_name).trim().toLowerCase()}`, m]));
+    const [orders] = await db.query(
+        "SELECT * FROM orders WHERE status = 'Delivered' AND created_at >= ? ORDER BY created_at ASC",
+        [new Date(now.getTime() - HISTORY_DAYS * DAY_MS)]
+    );
+    const [reviews] = await db.query('SELECT user_id, restaurant_id, rating FROM restaurant_reviews WHERE user_id IS NOT NULL');
+    const itemsOf = await itemsByOrder(orders);
+
+    const itemPopularity = new Map();
+    const itemOrders = new Map();
+    const together = new Map();
+    const restaurantPopularity = new Map();
+    const restaurantDayparts = new Map();
+    const users = new Map();
+
+    for (const order of orders) {
+        const weight = decay(order.created_at, now);
+        const daypart = daypartOf(order.created_at);
+        const restaurant = restaurantById.get(order.restaurant_id);
+        const items = itemsOf(order)
+            .map((i) => menuById.get(Number(i.menu_id)) || menuByName.get(`${order.restaurant_id}:${String(i.item_name).trim().toLowerCase()}`))
+            .filter(Boolean);
+        const ids = [...new Set(items.map((m) => m.id))].sort((a, b) => a - b);
+
+        ids.forEach((id, i) => {
+            addTo(itemPopularity, id, weight);
+            addTo(itemOrders, id, 1);
+            ids.slice(i + 1).forEach((other) => addTo(together, `${id}:${other}`, 1));
+        });
+        if (restaurant) {
+            addTo(restaurantPopularity, restaurant.id, weight);
+            const parts = restaurantDayparts.get(restaurant.id) || new Map();
+            addTo(parts, daypart, 1);
+            restaurantDayparts.set(restaurant.id, parts);
+        }
+        if (!order.user_id) continue;
+
+        const u = users.get(order.user_id) || {
+            orders: 0, cuisines: new Map(), restaurants: new Map(), dayparts: new Map(), prices: [], veg: 0, dishes: 0, recent: [], disliked: new Set()
+        };
+        u.orders += 1;
+        if (restaurant) {
+            addTo(u.restaurants, restaurant.id, weight);
+            cuisinesOf(restaurant).forEach((c) => addTo(u.cuisines, c, weight));
+            // What they eat at this time of day: dosa for breakfast, biryani for dinner
+            const atThisTime = u.dayparts.get(daypart) || new Map();
+            cuisinesOf(restaurant).forEach((c) => addTo(atThisTime, c.toLowerCase(), weight));
+            u.dayparts.set(daypart, atThisTime);
+        }
+        items.forEach((m) => {
+            u.prices.push(Number(m.price) || 0);
+            u.dishes += 1;
+            if (m.veg) u.veg += 1;
+        });
+        // Orders are read oldest first, so the newest dishes end up at the front
+        u.recent = [...ids, ...u.recent.filter((id) => !ids.includes(id))].slice(0, RECENT_ITEMS);
+        users.set(order.user_id, u);
+    }
+
+    // Good reviews pull a restaurant's cuisines up; a bad one keeps the restaurant out of the feed
+    for (const review of reviews) {
+        const u = users.get(review.user_id);
+        const restaurant = restaurantById.get(review.restaurant_id);
+        if (!u || !restaurant) continue;
+        const rating = Number(review.rating);
+        if (rating >= 4) cuisinesOf(restaurant).forEach((c) => addTo(u.cuisines, c, 0.5));
+        if (rating <= 2) u.disliked.add(restaurant.id);
+    }
+
+    const profiles = new Map();
+    users.forEach((u, userId) => {
+        const topCuisine = Math.max(0, ...u.cuisines.values());
+        profiles.set(userId, {
+            orders: u.orders,
+            cuisines: new Map([...u.cuisines].map(([c, w]) => [c.toLowerCase(), topCuisine ? w / topCuisine : 0])),
+            restaurants: u.restaurants,
+            dayparts: new Map([...u.dayparts].map(([part, cuisines]) => [part, shares(cuisines)])),
+            median_price: median(u.prices),
+            veg_share: u.dishes ? u.veg / u.dishes : null,
+            recent: u.recent,
+            disliked: u.disliked
+        });
+    });
+
+    const menuByRestaurant = new Map();
+    menuById.forEach((m) => menuByRestaurant.set(m.restaurant_id, [...(menuByRestaurant.get(m.restaurant_id) || []), m]));
+    const restaurantStats = new Map();
+    restaurants.forEach((r) => {
+        const dishes = menuByRestaurant.get(r.id) || [];
+        restaurantStats.set(r.id, {
+            popularity: restaurantPopularity.get(r.id) || 0,
+            dayparts: shares(restaurantDayparts.get(r.id) || new Map()),
+            median_price: median(dishes.map((m) => Number(m.price) || 0)),
+            veg_share: dishes.length ? dishes.filter((m) => m.veg).length / dishes.length : null
+        });
+    });
+
+    return {
+        builtAt: Date.now(),
+        orders: orders.length,
+        menu: menuById,
+        itemPopularity,
+        pairs: topPairs(together, itemOrders),
+        restaurantStats,
+        maxRestaurantPopularity: Math.max(0, ...restaurantPopularity.values()),
+        profiles
+    };
+}
+
+let snapshot = null;
+let building = null;
+
+// Rebuild now (the job); concurrent callers share one build
+function refreshRecommendations(now) {
+    if (!building) {
+        building = buildSnapshot(now)
+            .then((built) => { snapshot = built; return built; })
+            .finally(() => { building = null; });
+    }
+    return building;
+}
+
+// Requests use the last snapshot; only the very first one waits for a build
+async function getSnapshot() {
+    return snapshot || refreshRecommendations();
+}
+
+function dishCard(m, extra) {
+    return {
+        menu_id: m.id,
+        item_name: m.item_name,
+        description: m.description || '',
+        price: round2(m.price),
+        category: m.category || null,
+        is_veg: m.veg,
+        image_url: m.image_url || null,
+        restaurant_id: m.restaurant_id,
+        ...extra
+    };
+}
+
+// 0..1 closeness of two prices on a log scale: same price 1, double or half 0.3
+function priceFit(a, b) {
+    if (!a || !b) return 0.5;
+    return Math.max(0, 1 - Math.abs(Math.log2(a / b)) * 0.7);
+}
+
+// Their own cuisines at this time of day; without orders at this time, how busy the restaurant is now
+function daypartFit(r, stats, profile, daypart) {
+    const mine = profile.dayparts.get(daypart);
+    if (!mine) return (stats.dayparts && stats.dayparts[daypart]) || 0;
+    return Math.min(1, cuisinesOf(r).reduce((sum, c) => sum + (mine[c.toLowerCase()] || 0), 0));
+}
+
+function scoreRestaurant(r, stats, profile, snap, daypart) {
+    const s = stats || {};
+    const popularity = snap.maxRestaurantPopularity ? Math.log1p(s.popularity || 0) / Math.log1p(snap.maxRestaurantPopularity) : 0;
+    const rating = r.avg_rating === null ? 0.7 : r.avg_rating / 5;
+    if (!profile) return { score: 0.6 * popularity + 0.4 * rating, reason: popularity > 0.5 ? 'Popular right now' : null };
+
+    const cuisineHits = cuisinesOf(r).map((c) => [c, profile.cuisines.get(c.toLowerCase()) || 0]).sort((a, b) => b[1] - a[1]);
+    const cuisine = cuisineHits.length ? cuisineHits[0][1] : 0;
+    const pureVegCustomer = profile.veg_share !== null && profile.veg_share >= VEG_CUSTOMER_SHARE;
+    const parts = {
+        cuisine,
+        price: priceFit(s.median_price, profile.median_price),
+        veg: pureVegCustomer ? (s.veg_share ?? 0.5) : 1,
+        daypart: daypartFit(r, s, profile, daypart),
+        rating,
+        popularity
+    };
+    const score = Object.entries(WEIGHTS).reduce((sum, [k, w]) => sum + w * parts[k], 0);
+    const reason = cuisine >= 0.5 ? `Because you like ${cuisineHits[0][0]}`
+        : parts.daypart >= 0.5 ? `A ${daypart.replace('_', ' ')} favourite`
+            : popularity > 0.5 ? 'Popular right now' : null;
+    return { score, reason };
+}
+
+// Dishes ordered together with the given ones, summed over all of them, best first
+function relatedDishes(snap, menuIds, { exclude = new Set(), restaurantIds = null, vegOnly = false } = {}) {
+    const scores = new Map();
+    const because = new Map();
+    menuIds.forEach((id, rank) => (snap.pairs.get(id) || []).forEach((p) => {
+        const m = snap.menu.get(p.menu_id);
+        if (!m || exclude.has(p.menu_id) || (restaurantIds && !restaurantIds.has(m.restaurant_id)) || (vegOnly && !m.veg)) return;
+        // Pairs from more recent dishes (earlier in the list) weigh a little more
+        addTo(scores, p.menu_id, p.score / (1 + rank * 0.1));
+        if (!because.has(p.menu_id)) because.set(p.menu_id, id);
+    }));
+    return [...scores]
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .map(([id, score]) => ({ dish: snap.menu.get(id), score, because: snap.menu.get(because.get(id)) }));
+}
+
+function popularDishes(snap, { restaurantIds = null, vegOnly = false, exclude = new Set() } = {}) {
+    return [...snap.itemPopularity]
+        .map(([id, popularity]) => ({ dish: snap.menu.get(id), popularity }))
+        .filter(({ dish }) => dish && !exclude.has(dish.id) && (!restaurantIds || restaurantIds.has(dish.restaurant_id)) && (!vegOnly || dish.veg))
+        .sort((a, b) => b.popularity - a.popularity || a.dish.id - b.dish.id);
+}
+
+// GET /api/recommendations/home: ?lat=&lng= keeps only restaurants that deliver there (as the listing does)
+async function homeFeed(user, query = {}, now = new Date()) {
+    const snap = await getSnapshot();
+    const restaurants = await listRestaurants({ lat: query.lat, lng: query.lng });
+    const byId = new Map(restaurants.map((r) => [r.id, r]));
+    const restaurantIds = new Set(byId.keys());
+    const profile = (user && snap.profiles.get(user.id)) || null;
+    const daypart = daypartOf(now);
+    const card = (r, reason) => ({ ...r, reason });
+
+    const scored = restaurants
+        .filter((r) => !profile || !profile.disliked.has(r.id))
+        .map((r) => ({ r, ...scoreRestaurant(r, snap.restaurantStats.get(r.id), profile, snap, daypart) }))
+        .sort((a, b) => (b.r.is_open - a.r.is_open) || b.score - a.score || a.r.id - b.r.id);
+
+    const sections = [];
+    if (profile) {
+        const again = [...profile.restaurants]
+            .filter(([id]) => byId.has(id) && !profile.disliked.has(id))
+            .sort((a, b) => (byId.get(b[0]).is_open - byId.get(a[0]).is_open) || b[1] - a[1])
+            .slice(0, 4)
+            .map(([id]) => card(byId.get(id), 'You ordered here before'));
+        if (again.length) sections.push({ key: 'order_again', title: 'Order again', restaurants: again });
+
+        const seen = new Set(again.map((r) => r.id));
+        const forYou = scored.filter((s) => !seen.has(s.r.id)).slice(0, SECTION_SIZE).map((s) => card(s.r, s.reason));
+        if (forYou.length) sections.push({ key: 'for_you', title: 'Recommended for you', restaurants: forYou });
+
+        const vegOnly = profile.veg_share !== null && profile.veg_share >= VEG_CUSTOMER_SHARE;
+        const ordered = new Set(profile.recent);
+        const liked = new Set([...restaurantIds].filter((rid) => !profile.disliked.has(rid)));
+        const dishes = relatedDishes(snap, profile.recent, { exclude: ordered, restaurantIds: liked, vegOnly })
+            .map(({ dish, because }) => dishCard(dish, { restaurant_name: byId.get(dish.restaurant_id).name, reason: `Often ordered with ${because.item_name}` }));
+        // Topped up with popular dishes near the customer's usual spend
+        const picked = new Set(dishes.map((d) => d.menu_id));
+        popularDishes(snap, { restaurantIds: liked, vegOnly, exclude: new Set([...ordered, ...picked]) })
+            .filter(({ dish }) => priceFit(Number(dish.price), profile.median_price) >= 0.5)
+            .slice(0, Math.max(0, SECTION_SIZE - dishes.length))
+            .forEach(({ dish }) => dishes.push(dishCard(dish, { restaurant_name: byId.get(dish.restaurant_id).name, reason: 'Popular in your price range' })));
+        if (dishes.length) sections.push({ key: 'dishes', title: 'Dishes you might like', items: dishes.slice(0, SECTION_SIZE) });
+    }
+
+    // Cold start, and below the personal sections for everyone else
+    const shown = new Set(sections.flatMap((sec) => (sec.restaurants || []).map((r) => r.id)));
+    const popular = scored
+        .filter((s) => !shown.has(s.r.id))
+        .map((s) => ({ ...s, ...scoreRestaurant(s.r, snap.restaurantStats.get(s.r.id), null, snap, daypart) }))
+        .sort((a, b) => (b.r.is_open - a.r.is_open) || b.score - a.score || a.r.id - b.r.id)
+        .slice(0, SECTION_SIZE)
+        .map((s) => card(s.r, s.reason));
+    if (popular.length) sections.push({ key: 'popular', title: query.lat !== undefined ? 'Popular near you' : 'Popular on Tindo', restaurants: popular });
+    if (!profile) {
+        const dishes = popularDishes(snap, { restaurantIds }).slice(0, SECTION_SIZE)
+            .map(({ dish }) => dishCard(dish, { restaurant_name: byId.get(dish.restaurant_id).name, reason: 'Popular right now' }));
+        if (dishes.length) sections.push({ key: 'popular_dishes', title: 'Most ordered dishes', items: dishes });
+    }
+
+    return { personalized: Boolean(profile), daypart, computed_at: new Date(snap.builtAt), sections };
+}
+
+// GET /api/recommendations/restaurant/:id: ?items=1,2 (the cart) for what goes with those dishes
+async function restaurantRecommendations(restaurantId, user, query = {}) {
+    const snap = await getSnapshot();
+    const [[restaurant]] = await db.execute("SELECT id FROM restaurants WHERE id = ? AND status = 'approved'", [restaurantId]);
+    if (!restaurant) throw new HttpError('Restaurant not found', 404);
+    const id = restaurant.id;
+    const own = new Set([id]);
+    const requested = String(query.items || '').split(',').map(Number).filter((n) => snap.menu.has(n));
+
+    // With a cart: what goes with it; without: the strongest pairs on this menu
+    const seeds = requested.length ? requested : popularDishes(snap, { restaurantIds: own }).map(({ dish }) => dish.id);
+    const alsoOrdered = relatedDishes(snap, seeds, { exclude: new Set(requested), restaurantIds: own })
+        .slice(0, SECTION_SIZE)
+        .map(({ dish, score, because }) => dishCard(dish, {
+            score: round2(score),
+            because: { menu_id: because.id, item_name: because.item_name }
+        }));
+
+    const profile = (user && snap.profiles.get(user.id)) || null;
+    const usual = profile ? profile.recent.filter((m) => snap.menu.has(m) && snap.menu.get(m).restaurant_id === id).slice(0, 3) : [];
+
+    return {
+        restaurant_id: id,
+        also_ordered: alsoOrdered,
+        popular_items: popularDishes(snap, { restaurantIds: own }).slice(0, 6).map(({ dish }) => dishCard(dish)),
+        your_usual: usual.map((m) => dishCard(snap.menu.get(m)))
+    };
+}
+
+let recommendationTimer = null;
+
+module.exports = {
+    refreshRecommendations,
+    homeFeed,
+    restaurantRecommendations,
+    startRecommendationJob: () => {
+        if (recommendationTimer) return recommendationTimer;
+        const tick = () => refreshRecommendations()
+            .then((s) => console.log(`✨ Recommendations rebuilt from ${s.orders} orders`))
+            .catch((err) => console.error('Recommendation job error:', err?.message || err));
+        recommendationTimer = setInterval(tick, JOB_INTERVAL_MS);
+        tick();
+        return recommendationTimer;
+    }
+};
@@ -0,0 +1,233 @@
+// Referral program. Every customer gets a code; a new customer who registers with it is attributed
+// to the referrer. Rewards unlock when the referee's first order is Delivered: the referrer earns
+// Tindo Tokens (tokenSystem RULES.referral_bonus) and the referee a personal coupon for the next order.
+// Sign-ups that share a phone or device with the referrer, or with any existing account, are still
+// recorded but marked rejected and never rewarded.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { generateCouponCode } = require('./couponGenerator');
+const { ensureCouponSchema, normalizeCode } = require('./coupons');
+const { ensureNotificationSchema, notify } = require('./notifications');
+const { RULES: TOKEN_RULES, ensureTokenSchema, awardReferralBonus } = require('./tokenSystem');
+
+const REFEREE_COUPON = {
+    discount_type: 'flat',
+    discount_value: Number(process.env.REFERRAL_REFEREE_DISCOUNT ?? 75),
+    min_order_value: Number(process.env.REFERRAL_REFEREE_MIN_ORDER ?? 199),
+    valid_days: 30
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ensureReferralSchema = once(async () => {
+    await ensureTokenSchema();
+    await ensureCouponSchema();
+    await ensureNotificationSchema();
+    await ensureColumn('users', 'phone', 'VARCHAR(20) NULL');
+    // Browser-generated id sent at sign-up, for the same-device check
+    await ensureColumn('users', 'signup_device', 'VARCHAR(64) NULL');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS referral_codes (
+            user_id INT PRIMARY KEY,
+            code VARCHAR(20) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_referral_code (code)
+        )
+    `);
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS referrals (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            referrer_id INT NOT NULL,
+            referee_id INT NOT NULL,
+            code VARCHAR(20) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            reason VARCHAR(40) NULL,
+            first_order_id INT NULL,
+            referrer_tokens INT NOT NULL DEFAULT 0,
+            referee_coupon VARCHAR(40) NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            rewarded_at DATETIME NULL,
+            UNIQUE KEY uniq_referral_referee (referee_id),
+            INDEX idx_referral_referrer (referrer_id, status)
+        )
+    `);
+});
+
+// Indian mobile numbers arrive as +91 98..., 098..., 98...; compare the last 10 digits
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+const normalizeDevice = (deviceId) => String(deviceId || '').trim().slice(0, 64) || null;
+
+// The user's code, created the first time it is asked for
+async function referralCodeFor(userId, conn = db) {
+    for (let attempt = 0; ; attempt += 1) {
+        const [[existing]] = await conn.execute('SELECT code FROM referral_codes WHERE user_id = ?', [userId]);
+        if (existing) return existing.code;
+        try {
+            await conn.execute('INSERT INTO referral_codes (user_id, code) VALUES (?, ?)', [userId, generateCouponCode('REF')]);
+        } catch (err) {
+            // Another request made this user's code, or the random code was taken: look again
+            if (!(err && err.code === 'ER_DUP_ENTRY' && attempt < 3)) throw err;
+        }
+    }
+}
+
+// Why this sign-up cannot earn rewards, or null
+async function fraudReason(conn, referrer, referee) {
+    const phone = normalizePhone(referee.phone);
+    const device = normalizeDevice(referee.signup_device);
+    if (String(referrer.email || '').toLowerCase() === String(referee.email || '').toLowerCase()) return 'self_referral';
+    if (phone && phone === normalizePhone(referrer.phone)) return 'same_phone';
+    if (device && device === referrer.signup_device) return 'same_device';
+    if (phone) {
+        const [others] = await conn.execute('SELECT phone FROM users WHERE id <> ? AND phone LIKE ?', [referee.id, `%${phone}`]);
+        if (others.some((u) => normalizePhone(u.phone) === phone)) return 'phone_in_use';
+    }
+    if (device) {
+        const [[other]] = await conn.execute('SELECT id FROM users WHERE id <> ? AND signup_device = ? LIMIT 1', [referee.id, device]);
+        if (other) return 'device_in_use';
+    }
+    return null;
+}
+
+// Inside the registration transaction, right after the referee's user row is written.
+// `referee`: { id, email, phone, signup_device, role }. An unknown code fails the sign-up so it can be corrected.
+async function attachReferral(conn, referee, code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return null;
+    if (referee.role !== 'customer') throw new HttpError('Referral codes are for customer accounts');
+    const [[owner]] = await conn.execute(
+        `SELECT u.id, u.email, u.phone, u.signup_device FROM referral_codes rc JOIN users u ON u.id = rc.user_id
+         WHERE rc.code = ?`,
+        [normalized]
+    );
+    if (!owner) throw new HttpError(`Referral code ${normalized} was not found`);
+    const reason = await fraudReason(conn, owner, referee);
+    await conn.execute(
+        'INSERT INTO referrals (referrer_id, referee_id, code, status, reason) VALUES (?, ?, ?, ?, ?)',
+        [owner.id, referee.id, normalized, reason ? 'rejected' : 'pending', reason]
+    );
+    return { referrer_id: owner.id, status: reason ? 'rejected' : 'pending' };
+}
+
+// Unused coupon code for the referee; checked first so a clash cannot abort the order's transaction
+async function freeCouponCode(conn) {
+    for (;;) {
+        const code = generateCouponCode('WELCOME');
+        const [[taken]] = await conn.execute('SELECT id FROM coupons WHERE code = ?', [code]);
+        if (!taken) return code;
+    }
+}
+
+// Inside the Delivered transaction (ensureReferralSchema must already have run).
+// Pays both sides once, on the referee's first delivered order.
+async function rewardReferral(conn, order) {
+    if (!order.user_id) return null;
+    const [[referral]] = await conn.execute(
+        "SELECT * FROM referrals WHERE referee_id = ? AND status = 'pending' FOR UPDATE",
+        [order.user_id]
+    );
+    if (!referral) return null;
+    const [[prior]] = await conn.execute(
+        "SELECT COUNT(*) AS cnt FROM orders WHERE user_id = ? AND status = 'Delivered' AND id <> ?",
+        [order.user_id, order.id]
+    );
+    if (prior.cnt) return null;
+
+    const tokens = await awardReferralBonus(conn, referral.referrer_id, referral.id);
+    const code = await freeCouponCode(conn);
+    const validUntil = new Date(Date.now() + REFEREE_COUPON.valid_days * DAY_MS);
+    const offer = `₹${REFEREE_COUPON.discount_value} off on orders above ₹${REFEREE_COUPON.min_order_value}`;
+    await conn.query('INSERT INTO coupons SET ?', [{
+        code,
+        description: `Referral welcome: ${offer}`,
+        discount_type: REFEREE_COUPON.discount_type,
+        discount_value: REFEREE_COUPON.discount_value,
+        min_order_value: REFEREE_COUPON.min_order_value,
+        valid_from: new Date(),
+        valid_until: validUntil,
+        usage_limit: 1,
+        per_user_limit: 1,
+        funded_by: 'platform',
+        user_id: order.user_id,
+        campaign: 'referral',
+        created_by_role: 'system'
+    }]);
+    await conn.execute(
+        "UPDATE referrals SET status = 'rewarded', first_order_id = ?, referrer_tokens = ?, referee_coupon = ?, rewarded_at = NOW() WHERE id = ?",
+        [order.id, tokens, code, referral.id]
+    );
+    await notify(order.user_id, {
+        type: 'coupon',
+        title: 'A welcome gift for your next order',
+        body: `Thanks for joining through a friend! Use ${code} for ${offer}. Valid till ${validUntil.toDateString()}.`,
+        data: { code, campaign: 'referral', valid_until: validUntil.toISOString() }
+    }, conn);
+    if (tokens) {
+        await notify(referral.referrer_id, {
+            type: 'referral',
+            title: `You earned ${tokens} Tindo Tokens`,
+            body: 'A friend you invited just got their first order delivered.',
+            data: { referral_id: referral.id, tokens }
+        }, conn);
+    }
+    return { referral_id: referral.id, referrer_tokens: tokens, referee_coupon: code };
+}
+
+// "Priya S." — referrers see who joined, not their full details
+function maskName(name) {
+    const [first, ...rest] = String(name || 'Friend').trim().split(/\s+/);
+    return rest.length ? `${first} ${rest[rest.length - 1][0].toUpperCase()}.` : first;
+}
+
+// Code, what each side gets, and how the user's invites are doing
+async function referralDashboard(userId) {
+    await ensureReferralSchema();
+    const code = await referralCodeFor(userId);
+    const [rows] = await db.execute(
+        `SELECT r.id, r.status, r.reason, r.referrer_tokens, r.created_at, r.rewarded_at, u.name
+         FROM referrals r LEFT JOIN users u ON u.id = r.referee_id
+         WHERE r.referrer_id = ?
+         ORDER BY r.created_at DESC, r.id DESC`,
+        [userId]
+    );
+    const count = (status) => rows.filter((r) => r.status === status).length;
+    return {
+        code,
+        rewards: {
+            referrer_tokens: TOKEN_RULES.referral_bonus,
+            referee_discount: REFEREE_COUPON.discount_value,
+            referee_min_order: REFEREE_COUPON.min_order_value
+        },
+        stats: {
+            invites: rows.length,
+            pending: count('pending'),
+            converted: count('rewarded'),
+            rejected: count('rejected'),
+            conversion_rate: rows.length ? Math.round((count('rewarded') / rows.length) * 1000) / 10 : 0,
+            tokens_earned: rows.reduce((s, r) => s + Number(r.referrer_tokens || 0), 0)
+        },
+        referrals: rows.map((r) => ({
+            id: r.id,
+            friend: maskName(r.name),
+            status: r.status,
+            reason: r.reason,
+            tokens: Number(r.referrer_tokens || 0),
+            joined_at: r.created_at,
+            rewarded_at: r.rewarded_at
+        }))
+    };
+}
+
+module.exports = {
+    ensureReferralSchema,
+    normalizePhone,
+    normalizeDevice,
+    referralCodeFor,
+    attachReferral,
+    rewardReferral,
+    referralDashboard
+};
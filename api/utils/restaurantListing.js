@@ -0,0 +1,140 @@
+// The public restaurant listing behind GET /api/restaurants. Given the customer's lat/lng it keeps
+// only restaurants that deliver there (same delivery zone and within its distance tiers), with the
+// distance and a delivery ETA on each; without a location it lists every approved restaurant as before.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { toCoord, haversineKm, restaurantCoords } = require('./geo');
+const { pricingRules, round2, maxDeliveryKm } = require('./pricing');
+const { isWithinHours } = require('./scheduling');
+const { ensureSearchSchema, inferVeg } = require('./search');
+const { activeZones, zonesAt, deliveryZoneFor, isZoneOpen } = require('./deliveryZones');
+
+// Kitchen time for restaurants that have not set their own eta
+const DEFAULT_PREP_MINUTES = Number(process.env.LISTING_DEFAULT_PREP_MINUTES || 30);
+// Average rider speed used to turn distance into travel time
+const RIDER_KMPH = Number(process.env.LISTING_RIDER_KMPH || 20);
+const MAX_LIMIT = 100;
+// Ratings are pulled towards this prior until a restaurant has a few reviews
+const PRIOR_RATING = 3.5;
+const PRIOR_WEIGHT = 5;
+// Relevance points lost per km of distance
+const DISTANCE_PENALTY = 0.15;
+const SORTS = ['relevance', 'distance', 'rating', 'eta', 'newest'];
+
+const truthy = (v) => ['1', 'true', 'yes'].includes(String(v || '').toLowerCase());
+
+// "North Indian, Chinese" -> ['north indian', 'chinese']
+const cuisinesOf = (r) => String(r.cuisine || '').split(/[,/|]/).map((c) => c.trim().toLowerCase()).filter(Boolean);
+
+function parseListingQuery(query) {
+    const q = query || {};
+    const lat = toCoord(q.lat);
+    const lng = toCoord(q.lng);
+    if ((lat === null) !== (lng === null)) throw new HttpError('lat and lng must be given together');
+    if (lat !== null && (Math.abs(lat) > 90 || Math.abs(lng) > 180)) throw new HttpError('lat/lng are out of range');
+    const minRating = q.min_rating === undefined || q.min_rating === '' ? null : Number(q.min_rating);
+    if (minRating !== null && (!Number.isFinite(minRating) || minRating < 0 || minRating > 5)) {
+        throw new HttpError('min_rating must be between 0 and 5');
+    }
+    const sort = q.sort ? String(q.sort) : 'relevance';
+    if (!SORTS.includes(sort)) throw new HttpError(`sort must be one of ${SORTS.join(', ')}`);
+    const location = lat === null ? null : { lat, lng };
+    if (sort === 'distance' && !location) throw new HttpError('lat and lng are required to sort by distance');
+    const limit = q.limit === undefined || q.limit === '' ? null : Math.min(MAX_LIMIT, Math.max(1, parseInt(q.limit, 10) || 1));
+    return {
+        location,
+        cuisines: String(q.cuisine || '').split(',').map((c) => c.trim().toLowerCase()).filter(Boolean),
+        minRating,
+        vegOnly: truthy(q.veg_only || q.veg),
+        openNow: truthy(q.open_now),
+        sort,
+        limit
+    };
+}
+
+// Restaurant ids whose whole menu is vegetarian; restaurants with no menu yet do not count
+async function pureVegRestaurantIds() {
+    await ensureSearchSchema();
+    const [rows] = await db.execute('SELECT restaurant_id, item_name, category, description, is_veg FROM menu');
+    const veg = new Map();
+    rows.forEach((m) => veg.set(m.restaurant_id, (veg.get(m.restaurant_id) ?? true) && inferVeg(m)));
+    return new Set([...veg].filter(([, allVeg]) => allVeg).map(([id]) => id));
+}
+
+// Prep time plus ride time, rounded up to 5 minutes
+function deliveryEta(restaurant, distanceKm) {
+    const prep = Number(restaurant.eta) || DEFAULT_PREP_MINUTES;
+    if (distanceKm === null) return prep;
+    return Math.ceil((prep + (distanceKm / RIDER_KMPH) * 60) / 5) * 5;
+}
+
+function relevance(r) {
+    const count = Number(r.rating_count) || 0;
+    const rating = r.avg_rating === null ? PRIOR_RATING : Number(r.avg_rating);
+    const bayes = (rating * count + PRIOR_RATING * PRIOR_WEIGHT) / (count + PRIOR_WEIGHT);
+    return bayes - (r.distance_km === null ? 0 : r.distance_km * DISTANCE_PENALTY);
+}
+
+// Unknown distances/ratings sort last; ties fall back to the id so the order is stable
+const byNullable = (get, dir) => (a, b) => {
+    const x = get(a);
+    const y = get(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    return dir * (x - y);
+};
+const COMPARATORS = {
+    relevance: (a, b) => relevance(b) - relevance(a),
+    distance: byNullable((r) => r.distance_km, 1),
+    rating: byNullable((r) => (r.avg_rating === null ? null : Number(r.avg_rating)), -1),
+    eta: (a, b) => a.eta_minutes - b.eta_minutes,
+    newest: (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0)
+};
+
+// query: { lat, lng, cuisine, min_rating, veg_only, open_now, sort, limit }. Open restaurants
+// (inside their hours and their delivery zone's) come before closed ones in every sort.
+async function listRestaurants(query, now = new Date()) {
+    const f = parseListingQuery(query);
+    const zones = f.location ? await activeZones() : [];
+    if (zones.length && !zonesAt(zones, f.location.lat, f.location.lng).length) return [];
+    const [rows] = await db.execute(`
+        SELECT r.*,
+               (SELECT ROUND(AVG(rv.rating),1) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS avg_rating,
+               (SELECT COUNT(*) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS rating_count
+        FROM restaurants r
+        WHERE r.status='approved'
+    `);
+    const pureVeg = f.vegOnly ? await pureVegRestaurantIds() : null;
+    const defaultMaxKm = pricingRules().max_delivery_km;
+
+    const list = [];
+    for (const r of rows) {
+        const coords = restaurantCoords(r);
+        // Checkout refuses restaurants without coordinates, so they are only listed when there is no location
+        if (f.location && !coords) continue;
+        const distance = f.location && coords ? haversineKm(f.location.lat, f.location.lng, coords.lat, coords.lng) : null;
+        const zone = zones.length ? deliveryZoneFor(zones, r, f.location.lat, f.location.lng, now) : null;
+        if (zones.length && !zone) continue;
+        if (distance !== null && distance > (zone && zone.tiers ? maxDeliveryKm(zone.tiers) : defaultMaxKm)) continue;
+        const item = {
+            ...r,
+            lat: coords ? coords.lat : null,
+            lng: coords ? coords.lng : null,
+            avg_rating: r.avg_rating === null ? null : Number(r.avg_rating),
+            rating_count: Number(r.rating_count) || 0,
+            distance_km: distance === null ? null : round2(distance),
+            eta_minutes: deliveryEta(r, distance),
+            is_open: isWithinHours(r, now) && (!zone || isZoneOpen(zone, now)),
+            delivery_zone: zone ? { id: zone.id, name: zone.name, min_order_value: zone.min_order_value } : null
+        };
+        if (f.openNow && !item.is_open) continue;
+        if (f.minRating !== null && (item.avg_rating === null || item.avg_rating < f.minRating)) continue;
+        if (f.cuisines.length && !cuisinesOf(r).some((c) => f.cuisines.includes(c))) continue;
+        if (pureVeg && !pureVeg.has(r.id)) continue;
+        list.push(item);
+    }
+
+    list.sort((a, b) => (b.is_open - a.is_open) || COMPARATORS[f.sort](a, b) || a.id - b.id);
+    return f.limit ? list.slice(0, f.limit) : list;
+}
+
+module.exports = { listRestaurants };
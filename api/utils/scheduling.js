@@ -0,0 +1,148 @@
+// Scheduled (pre-order) deliveries: slot validation, slot listing and the release job.
+// A scheduled order sits in 'Scheduled' and is released as 'Pending' to the restaurant and
+// dispatch SCHEDULE_RELEASE_LEAD_MINUTES before its slot.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { transitionOrder, partyRoom } = require('./orderLifecycle');
+const { ADMIN_ROOM } = require('./sockets');
+
+const SLOT_MINUTES = Number(process.env.SCHEDULE_SLOT_MINUTES || 30);
+const MIN_LEAD_MINUTES = Number(process.env.SCHEDULE_MIN_LEAD_MINUTES || 60);
+const MAX_DAYS_AHEAD = Number(process.env.SCHEDULE_MAX_DAYS_AHEAD || 2);
+const SLOT_CAPACITY = Number(process.env.SCHEDULE_SLOT_CAPACITY || 10);
+const RELEASE_LEAD_MINUTES = Number(process.env.SCHEDULE_RELEASE_LEAD_MINUTES || 45);
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS || 60000);
+// Used for restaurants that have not set opens_at/closes_at
+const DEFAULT_HOURS = process.env.RESTAURANT_DEFAULT_HOURS || '09:00-23:00';
+
+const ensureSchedulingSchema = once(async () => {
+    await ensureColumn('orders', 'scheduled_for', 'DATETIME NULL');
+    await ensureColumn('orders', 'released_at', 'DATETIME NULL');
+    await ensureColumn('restaurants', 'opens_at', 'TIME NULL');
+    await ensureColumn('restaurants', 'closes_at', 'TIME NULL');
+});
+
+const toMinutes = (hhmm) => {
+    if (!hhmm) return null;
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return Number.isFinite(h) ? h * 60 + (Number.isFinite(m) ? m : 0) : null;
+};
+
+// Opening window in minutes since midnight; a close before open means it runs past midnight
+function restaurantHours(restaurant) {
+    const [defOpen, defClose] = DEFAULT_HOURS.split('-');
+    const open = toMinutes(restaurant && restaurant.opens_at) ?? toMinutes(defOpen);
+    let close = toMinutes(restaurant && restaurant.closes_at) ?? toMinutes(defClose);
+    if (close <= open) close += 24 * 60;
+    return { open, close };
+}
+
+function isWithinHours(restaurant, date) {
+    const { open, close } = restaurantHours(restaurant);
+    const mins = date.getHours() * 60 + date.getMinutes();
+    return (mins >= open && mins <= close) || (mins + 24 * 60 >= open && mins + 24 * 60 <= close);
+}
+
+async function bookedCounts(restaurantId, from, to, conn = db) {
+    const [rows] = await conn.execute(
+        `SELECT scheduled_for, COUNT(*) AS cnt FROM orders
+         WHERE restaurant_id = ? AND scheduled_for BETWEEN ? AND ? AND status NOT IN ('Cancelled', 'Rejected')
+         GROUP BY scheduled_for`,
+        [restaurantId, from, to]
+    );
+    return new Map(rows.map((r) => [new Date(r.scheduled_for).getTime(), Number(r.cnt)]));
+}
+
+// Check a requested slot and return it as a Date; `conn` should be inside the order transaction
+async function validateSlot(restaurant, value, conn = db, now = new Date()) {
+    await ensureSchedulingSchema();
+    const slot = new Date(value);
+    if (Number.isNaN(slot.getTime())) throw new HttpError('scheduled_for must be a valid date/time');
+    if (slot.getSeconds() || slot.getMilliseconds() || slot.getMinutes() % SLOT_MINUTES) {
+        throw new HttpError(`Pick a ${SLOT_MINUTES}-minute delivery slot`);
+    }
+    if (slot.getTime() < now.getTime() + MIN_LEAD_MINUTES * 60000) {
+        throw new HttpError(`Scheduled orders need at least ${MIN_LEAD_MINUTES} minutes notice`);
+    }
+    if (slot.getTime() > now.getTime() + MAX_DAYS_AHEAD * 24 * 3600000) {
+        throw new HttpError(`Orders can be scheduled at most ${MAX_DAYS_AHEAD} days ahead`);
+    }
+    if (!isWithinHours(restaurant, slot)) throw new HttpError('The restaurant is closed at that time');
+
+    // Serialise bookings per restaurant so two checkouts cannot both take the last place
+    await conn.execute('SELECT id FROM restaurants WHERE id = ? FOR UPDATE', [restaurant.id]);
+    const counts = await bookedCounts(restaurant.id, slot, slot, conn);
+    if ((counts.get(slot.getTime()) || 0) >= SLOT_CAPACITY) {
+        throw new HttpError('That slot is fully booked, please pick another', 409);
+    }
+    return slot;
+}
+
+// Bookable slots for the next MAX_DAYS_AHEAD days with remaining capacity
+async function listSlots(restaurant, now = new Date()) {
+    await ensureSchedulingSchema();
+    const step = SLOT_MINUTES * 60000;
+    const first = new Date(Math.ceil((now.getTime() + MIN_LEAD_MINUTES * 60000) / step) * step);
+    const last = new Date(now.getTime() + MAX_DAYS_AHEAD * 24 * 3600000);
+    const counts = await bookedCounts(restaurant.id, first, last);
+    const slots = [];
+    for (let t = first.getTime(); t <= last.getTime(); t += step) {
+        const d = new Date(t);
+        if (d.getMinutes() % SLOT_MINUTES || !isWithinHours(restaurant, d)) continue;
+        const remaining = SLOT_CAPACITY - (counts.get(t) || 0);
+        if (remaining > 0) slots.push({ slot: d.toISOString(), remaining });
+    }
+    return slots;
+}
+
+// Release every scheduled order whose slot is within the lead time
+async function releaseDueOrders(io, now = new Date()) {
+    await ensureSchedulingSchema();
+    const cutoff = new Date(now.getTime() + RELEASE_LEAD_MINUTES * 60000);
+    const [due] = await db.execute(
+        "SELECT id FROM orders WHERE status = 'Scheduled' AND scheduled_for <= ? ORDER BY scheduled_for",
+        [cutoff]
+    );
+    let released = 0;
+    for (const { id } of due) {
+        try {
+            const order = await transitionOrder(id, 'Pending', { role: 'system', id: null }, {
+                io,
+                note: 'Released for scheduled slot',
+                beforeCommit: (conn) => conn.execute('UPDATE orders SET released_at = NOW() WHERE id = ?', [id])
+            });
+            released += 1;
+            if (io) {
+                const payload = { id: order.id, order_code: order.order_code || null, scheduled_for: order.scheduled_for, status: order.status };
+                io.to(partyRoom.restaurant(order.restaurant_id)).emit(`orderForRestaurant_${order.restaurant_id}`, payload);
+                io.to(ADMIN_ROOM).emit('newOrder', payload);
+            }
+        } catch (err) {
+            console.error(`Release of scheduled order ${id} failed:`, err?.message || err);
+        }
+    }
+    return released;
+}
+
+let schedulerTimer = null;
+
+module.exports = {
+    SLOT_MINUTES,
+    SLOT_CAPACITY,
+    RELEASE_LEAD_MINUTES,
+    ensureSchedulingSchema,
+    restaurantHours,
+    isWithinHours,
+    validateSlot,
+    listSlots,
+    releaseDueOrders,
+    // Starts the release job once per process
+    startOrderScheduler: (io) => {
+        if (schedulerTimer) return schedulerTimer;
+        const tick = () => releaseDueOrders(io).catch((err) => console.error('Order scheduler error:', err?.message || err));
+        schedulerTimer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+        tick();
+        return schedulerTimer;
+    }
+};
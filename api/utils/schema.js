@@ -0,0 +1,35 @@
+// Schema helpers — the project has no migration runner, so each module creates
+// the tables/columns it owns the first time it is used.
+const db = require('../config/db');
+
+async function ensureColumn(table, column, definition) {
+    const [rows] = await db.execute(
+        'SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? LIMIT 1',
+        [table, column]
+    );
+    if (!rows.length) await db.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+}
+
+// Wraps a setup function so it runs once per process (retried if it fails)
+function once(setup) {
+    let pending = null;
+    return () => {
+        if (!pending) pending = setup().catch((err) => { pending = null; throw err; });
+        return pending;
+    };
+}
+
+// Express middleware that waits for a schema setup before handling the request
+function schemaGuard(ensure) {
+    return async (req, res, next) => {
+        try {
+            await ensure();
+            next();
+        } catch (err) {
+            console.error('Schema setup failed:', err?.message || err);
+            res.status(500).json({ error: 'Database not ready' });
+        }
+    };
+}
+
+module.exports = { ensureColumn, once, schemaGuard };
@@ -0,0 +1,443 @@
+// Dish and restaurant search. Approved restaurants and their menus are loaded into an in-memory
+// index (rebuilt every INDEX_TTL_MS) and ranked across item name, category, cuisine, restaurant
+// name and description, with prefix and typo matching and transliterations folded by searchText.js.
+// Filters: veg only, price range, rating, distance. Facet counts for each filter are computed with
+// every *other* filter applied, so a selected facet still shows its alternatives.
+// The same index carries a prefix map of dish, restaurant and category names for autocomplete.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { toCoord, haversineKm, restaurantCoords } = require('./geo');
+const { tokenize, canonical, terms, matchQuality } = require('./searchText');
+
+const INDEX_TTL_MS = Number(process.env.SEARCH_INDEX_TTL_MS || 60 * 1000);
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_RESTAURANTS = 10;
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+// Longer prefixes share the entry of their first MAX_PREFIX characters and are checked word by word
+const MAX_PREFIX = 12;
+const SUGGESTION_WEIGHTS = { restaurant: 3, category: 2.5, dish: 2 };
+
+const DISH_WEIGHTS = { name: 5, category: 3, restaurant: 3, cuisine: 2, description: 1 };
+const RESTAURANT_WEIGHTS = { name: 5, cuisine: 3 };
+const NON_VEG_TERMS = new Set(['chicken', 'mutton', 'fish', 'prawn', 'egg', 'keema', 'kheema', 'lamb', 'beef', 'pork', 'crab', 'meat', 'bacon', 'ham', 'salami', 'pepperoni']);
+
+// Bounds are the min_price/max_price a client sends to apply the bucket, so counts match results
+const PRICE_BUCKETS = [
+    { key: 'under_150', label: 'Under ₹150', min_price: null, max_price: 149.99 },
+    { key: '150_300', label: '₹150–300', min_price: 150, max_price: 299.99 },
+    { key: '300_500', label: '₹300–500', min_price: 300, max_price: 499.99 },
+    { key: '500_plus', label: '₹500+', min_price: 500, max_price: null }
+];
+const RATING_BUCKETS = [4.5, 4, 3.5, 3];
+const DISTANCE_BUCKETS = [2, 5, 10];
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'rating', 'distance'];
+
+const ensureSearchSchema = once(async () => {
+    await ensureColumn('menu', 'is_veg', 'TINYINT(1) NULL');
+});
+
+// 'veg' / 'non-veg' / true / 1 from the dashboard form -> 1, 0 or null when not given
+function parseVeg(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const v = String(value).trim().toLowerCase();
+    if (['0', 'false', 'non-veg', 'nonveg', 'non_veg', 'no'].includes(v)) return 0;
+    if (['1', 'true', 'veg', 'yes'].includes(v)) return 1;
+    return null;
+}
+
+// Items saved before is_veg existed are judged by what they are called
+function inferVeg(row, words = terms(`${row.item_name || ''} ${row.category || ''} ${row.description || ''}`)) {
+    if (row.is_veg !== null && row.is_veg !== undefined) return Number(row.is_veg) === 1;
+    const category = String(row.category || '').toLowerCase().replace(/[\s_-]/g, '');
+    if (category.includes('nonveg')) return false;
+    return !words.some((w) => NON_VEG_TERMS.has(w));
+}
+
+let index = null;
+let building = null;
+
+async function buildIndex() {
+    await ensureSearchSchema();
+    const [restaurants] = await db.query("SELECT * FROM restaurants WHERE LOWER(status) = 'approved'");
+    const ids = restaurants.map((r) => r.id);
+    const [menu] = ids.length ? await db.query('SELECT * FROM menu WHERE restaurant_id IN (?)', [ids]) : [[]];
+    const [ratings] = await db.query(
+        'SELECT restaurant_id, ROUND(AVG(rating), 1) AS avg_rating, COUNT(*) AS rating_count FROM restaurant_reviews GROUP BY restaurant_id'
+    );
+    const ratingOf = new Map(ratings.map((r) => [r.restaurant_id, r]));
+
+    const byId = new Map();
+    const restaurantDocs = restaurants.map((r) => {
+        const rating = ratingOf.get(r.id) || {};
+        const doc = {
+            id: r.id,
+            row: r,
+            coords: restaurantCoords(r),
+            rating: rating.avg_rating === null || rating.avg_rating === undefined ? null : Number(rating.avg_rating),
+            rating_count: Number(rating.rating_count || 0),
+            fields: { name: terms(r.name), cuisine: terms(r.cuisine) }
+        };
+        byId.set(r.id, doc);
+        return doc;
+    });
+    const dishes = menu.map((m) => {
+        const restaurant = byId.get(m.restaurant_id);
+        const fields = {
+            name: terms(m.item_name),
+            category: terms(m.category),
+            restaurant: restaurant.fields.name,
+            cuisine: restaurant.fields.cuisine,
+            description: terms(m.description)
+        };
+        return {
+            id: m.id,
+            row: m,
+            restaurant,
+            price: round2(m.price),
+            veg: inferVeg(m, [...fields.name, ...fields.category, ...fields.description]),
+            fields
+        };
+    });
+    // Every distinct term, so each query term is compared with a word once rather than once per dish
+    const vocabulary = new Set();
+    [...dishes, ...restaurantDocs].forEach((d) => Object.values(d.fields).forEach((f) => f.forEach((t) => vocabulary.add(t))));
+    const suggestions = buildSuggestions(restaurantDocs, dishes);
+    return { builtAt: Date.now(), dishes, restaurants: restaurantDocs, vocabulary, suggestions, prefixes: prefixIndex(suggestions) };
+}
+
+// One entry per restaurant, per distinct dish name (counting the restaurants that serve it) and per category
+function buildSuggestions(restaurantDocs, dishes) {
+    const grouped = (type, list, textOf) => {
+        const byKey = new Map();
+        list.forEach((d) => {
+            const text = String(textOf(d) || '').trim();
+            if (!text) return;
+            const key = text.toLowerCase();
+            const entry = byKey.get(key) || { type, text, restaurants: new Set(), dishes: 0 };
+            entry.restaurants.add(d.restaurant.id);
+            entry.dishes += 1;
+            byKey.set(key, entry);
+        });
+        return [...byKey.values()].map(({ restaurants, ...entry }) => ({
+            ...entry,
+            restaurant_count: restaurants.size,
+            restaurant_id: restaurants.size === 1 ? [...restaurants][0] : null,
+            popularity: type === 'dish' ? restaurants.size : entry.dishes
+        }));
+    };
+    const list = [
+        ...restaurantDocs.map((r) => ({
+            type: 'restaurant',
+            text: r.row.name,
+            restaurant_id: r.id,
+            cuisine: r.row.cuisine || null,
+            rating: r.rating,
+            popularity: r.rating_count
+        })),
+        ...grouped('dish', dishes, (d) => d.row.item_name),
+        ...grouped('category', dishes, (d) => d.row.category)
+    ].filter((s) => s.text);
+    // Raw words and their canonical spellings, so "kodi" finds chicken and "biri" finds biriyani
+    return list.map((s) => {
+        const raw = tokenize(s.text);
+        return { ...s, words: [...new Set([...raw, ...raw.map(canonical)])] };
+    });
+}
+
+// Prefix -> indexes into `suggestions`
+function prefixIndex(suggestions) {
+    const prefixes = new Map();
+    suggestions.forEach((s, i) => s.words.forEach((word) => {
+        for (let n = 1; n <= Math.min(word.length, MAX_PREFIX); n += 1) {
+            const key = word.slice(0, n);
+            const ids = prefixes.get(key) || new Set();
+            ids.add(i);
+            prefixes.set(key, ids);
+        }
+    }));
+    return prefixes;
+}
+
+async function getIndex() {
+    if (index && Date.now() - index.builtAt < INDEX_TTL_MS) return index;
+    if (!building) {
+        building = buildIndex()
+            .then((built) => { index = built; return built; })
+            .finally(() => { building = null; });
+    }
+    return building;
+}
+
+// Forget the cached index (after menu edits) so the next search rebuilds it
+function invalidateSearchIndex() {
+    index = null;
+}
+
+// For each query term, the vocabulary words it matches and how well
+function expandQuery(queryTerms, vocabulary) {
+    return queryTerms.map((q) => {
+        const matches = new Map();
+        vocabulary.forEach((word) => {
+            const quality = matchQuality(q, word);
+            if (quality) matches.set(word, quality);
+        });
+        return matches;
+    });
+}
+
+// Sum over query terms of the best weighted field match; null unless every term matched something
+function scoreDoc(doc, expanded, weights) {
+    let score = 0;
+    for (const matches of expanded) {
+        let best = 0;
+        for (const [field, weight] of Object.entries(weights)) {
+            for (const word of doc.fields[field]) {
+                const quality = matches.get(word);
+                if (quality) best = Math.max(best, quality * weight);
+            }
+        }
+        if (!best) return null;
+        score += best;
+    }
+    return score;
+}
+
+// The whole query as a run of words in the dish name ("chicken biryani" over "biryani ... chicken")
+function phraseBonus(doc, queryTerms) {
+    if (queryTerms.length < 2) return 0;
+    return doc.fields.name.join(' ').includes(queryTerms.join(' ')) ? 2 : 0;
+}
+
+const listParam = (value) => String(value || '').split(',').map((v) => v.trim().toLowerCase()).filter(Boolean);
+
+function numberParam(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new HttpError(`${field} must be a non-negative number`);
+    return n;
+}
+
+// Parse and check the query string once; every filter is a named predicate over a scored hit
+function parseFilters(query) {
+    const q = query || {};
+    const lat = toCoord(q.lat);
+    const lng = toCoord(q.lng);
+    const f = {
+        veg_only: ['1', 'true', 'yes'].includes(String(q.veg_only || q.veg || '').toLowerCase()),
+        min_price: numberParam(q.min_price, 'min_price'),
+        max_price: numberParam(q.max_price, 'max_price'),
+        min_rating: numberParam(q.min_rating, 'min_rating'),
+        max_distance_km: numberParam(q.max_distance_km, 'max_distance_km'),
+        categories: listParam(q.category),
+        cuisines: listParam(q.cuisine),
+        location: lat !== null && lng !== null ? { lat, lng } : null
+    };
+    if (f.min_price !== null && f.max_price !== null && f.min_price > f.max_price) throw new HttpError('min_price cannot be above max_price');
+    if (f.max_distance_km !== null && !f.location) throw new HttpError('lat and lng are required to filter by distance');
+    return f;
+}
+
+const inRange = (value, min, max) => (min === null || value >= min) && (max === null || value <= max);
+
+function predicates(f) {
+    const list = {};
+    if (f.veg_only) list.veg = (h) => h.doc.veg;
+    if (f.min_price !== null || f.max_price !== null) {
+        list.price = (h) => inRange(h.doc.price, f.min_price, f.max_price);
+    }
+    if (f.min_rating !== null) list.rating = (h) => h.rating !== null && h.rating >= f.min_rating;
+    if (f.max_distance_km !== null) list.distance = (h) => h.distance_km !== null && h.distance_km <= f.max_distance_km;
+    if (f.categories.length) list.category = (h) => f.categories.includes(String(h.doc.row.category || '').trim().toLowerCase());
+    if (f.cuisines.length) {
+        list.cuisine = (h) => cuisinesOf(h.restaurant.row).some((c) => f.cuisines.includes(c.toLowerCase()));
+    }
+    return list;
+}
+
+// "North Indian, Chinese" -> ['North Indian', 'Chinese']
+const cuisinesOf = (restaurant) => String(restaurant.cuisine || '').split(/[,/|]/).map((c) => c.trim()).filter(Boolean);
+
+const passesAll = (hit, preds, except) => Object.entries(preds).every(([name, test]) => name === except || test(hit));
+
+function countBy(hits, keyOf) {
+    const counts = new Map();
+    hits.forEach((h) => [].concat(keyOf(h)).filter(Boolean).forEach((k) => counts.set(k, (counts.get(k) || 0) + 1)));
+    return [...counts].map(([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+function buildFacets(hits, preds, f) {
+    const others = (except) => hits.filter((h) => passesAll(h, preds, except));
+    const facets = {
+        category: countBy(others('category'), (h) => (h.doc.row.category ? String(h.doc.row.category).trim() : null)),
+        cuisine: countBy(others('cuisine'), (h) => cuisinesOf(h.restaurant.row)),
+        veg: (() => {
+            const pool = others('veg');
+            const veg = pool.filter((h) => h.doc.veg).length;
+            return { veg, non_veg: pool.length - veg };
+        })(),
+        price: (() => {
+            const pool = others('price');
+            return PRICE_BUCKETS.map((b) => ({ ...b, count: pool.filter((h) => inRange(h.doc.price, b.min_price, b.max_price)).length }));
+        })(),
+        rating: (() => {
+            const pool = others('rating');
+            return RATING_BUCKETS.map((min) => ({ min_rating: min, count: pool.filter((h) => h.rating !== null && h.rating >= min).length }));
+        })()
+    };
+    if (f.location) {
+        const pool = others('distance');
+        facets.distance = DISTANCE_BUCKETS.map((km) => ({ max_distance_km: km, count: pool.filter((h) => h.distance_km !== null && h.distance_km <= km).length }));
+    }
+    return facets;
+}
+
+// Ties always fall back to the id, so pages never overlap or skip between requests
+const COMPARATORS = {
+    relevance: (a, b) => b.score - a.score || (b.rating || 0) - (a.rating || 0),
+    price_asc: (a, b) => a.doc.price - b.doc.price,
+    price_desc: (a, b) => b.doc.price - a.doc.price,
+    rating: (a, b) => (b.rating || 0) - (a.rating || 0) || b.score - a.score,
+    distance: (a, b) => (a.distance_km ?? Infinity) - (b.distance_km ?? Infinity) || b.score - a.score
+};
+
+function distanceTo(restaurantDoc, location) {
+    if (!location || !restaurantDoc.coords) return null;
+    return round2(haversineKm(location.lat, location.lng, restaurantDoc.coords.lat, restaurantDoc.coords.lng));
+}
+
+function dishResult(h) {
+    const m = h.doc.row;
+    const r = h.restaurant.row;
+    return {
+        menu_id: m.id,
+        item_name: m.item_name,
+        description: m.description || '',
+        price: h.doc.price,
+        category: m.category || null,
+        is_veg: h.doc.veg,
+        item_image: m.image_url || null,
+        restaurant_id: r.id,
+        restaurant_name: r.name,
+        restaurant_address: r.address || null,
+        restaurant_image: r.image_url || null,
+        restaurant_eta: r.eta || null,
+        cuisine: r.cuisine || null,
+        latitude: h.restaurant.coords ? h.restaurant.coords.lat : null,
+        longitude: h.restaurant.coords ? h.restaurant.coords.lng : null,
+        rating: h.rating,
+        rating_count: h.restaurant.rating_count,
+        distance_km: h.distance_km,
+        score: round2(h.score)
+    };
+}
+
+// GET /api/search: ?q, veg_only, min_price, max_price, min_rating, max_distance_km (+ lat, lng),
+// category, cuisine (comma lists), sort, page, limit (offset also accepted)
+async function search(query = {}) {
+    const f = parseFilters(query);
+    const sort = SORTS.includes(query.sort) ? query.sort : 'relevance';
+    if (sort === 'distance' && !f.location) throw new HttpError('lat and lng are required to sort by distance');
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+    const page = query.offset !== undefined && query.page === undefined
+        ? Math.floor(Math.max(0, parseInt(query.offset, 10) || 0) / limit) + 1
+        : Math.max(1, parseInt(query.page, 10) || 1);
+
+    const idx = await getIndex();
+    const queryTerms = terms(query.q);
+    const expanded = expandQuery(queryTerms, idx.vocabulary);
+
+    const hits = [];
+    for (const doc of idx.dishes) {
+        const score = queryTerms.length ? scoreDoc(doc, expanded, DISH_WEIGHTS) : 0;
+        if (score === null) continue;
+        hits.push({
+            doc,
+            restaurant: doc.restaurant,
+            score: score + phraseBonus(doc, queryTerms),
+            rating: doc.restaurant.rating,
+            distance_km: distanceTo(doc.restaurant, f.location)
+        });
+    }
+    const preds = predicates(f);
+    const matched = hits.filter((h) => passesAll(h, preds));
+    const compare = COMPARATORS[sort];
+    matched.sort((a, b) => compare(a, b) || a.doc.id - b.doc.id);
+
+    // Restaurants whose name or cuisine match, under the same rating/distance/cuisine filters
+    const restaurants = queryTerms.length ? idx.restaurants
+        .map((doc) => ({ doc, restaurant: doc, score: scoreDoc(doc, expanded, RESTAURANT_WEIGHTS), rating: doc.rating, distance_km: distanceTo(doc, f.location) }))
+        .filter((h) => h.score !== null && ['rating', 'distance', 'cuisine'].every((p) => !preds[p] || preds[p](h)))
+        .sort((a, b) => b.score - a.score || (b.rating || 0) - (a.rating || 0) || a.doc.id - b.doc.id)
+        .slice(0, MAX_RESTAURANTS)
+        .map((h) => ({
+            restaurant_id: h.doc.id,
+            name: h.doc.row.name,
+            cuisine: h.doc.row.cuisine || null,
+            image_url: h.doc.row.image_url || null,
+            eta: h.doc.row.eta || null,
+            rating: h.rating,
+            rating_count: h.doc.rating_count,
+            distance_km: h.distance_km,
+            score: round2(h.score)
+        })) : [];
+
+    return {
+        query: String(query.q || ''),
+        terms: queryTerms,
+        sort,
+        total: matched.length,
+        page,
+        limit,
+        pages: Math.ceil(matched.length / limit),
+        results: matched.slice((page - 1) * limit, page * limit).map(dishResult),
+        restaurants,
+        facets: buildFacets(hits, preds, f)
+    };
+}
+
+// Kind of suggestion, how many restaurants/dishes/reviews back it, and whether it starts with the query
+function suggestionScore(s, query) {
+    const text = tokenize(s.text).join(' ');
+    let score = SUGGESTION_WEIGHTS[s.type] + Math.log1p(s.popularity || 0);
+    if (text === query) score += 3;
+    else if (text.startsWith(query)) score += 2;
+    return score - s.words.length * 0.05;
+}
+
+// GET /api/search/suggest: ?q, limit -> mixed dish/restaurant/category suggestions, best first
+async function suggest(q, limitParam) {
+    const limit = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(limitParam, 10) || DEFAULT_SUGGESTIONS));
+    const query = tokenize(q).join(' ');
+    if (!query) return [];
+    const idx = await getIndex();
+    // Each query word with its canonical spelling; candidates come from the longest word
+    const queryWords = tokenize(q).map((w) => [...new Set([w, canonical(w)])]);
+    const longest = queryWords.reduce((a, b) => (b[0].length > a[0].length ? b : a));
+    const candidates = new Set();
+    longest.forEach((w) => (idx.prefixes.get(w.slice(0, MAX_PREFIX)) || []).forEach((i) => candidates.add(i)));
+
+    // Every query word has to start some word of the suggestion; the last one is usually still being typed
+    return [...candidates]
+        .map((i) => idx.suggestions[i])
+        .filter((s) => queryWords.every((alts) => alts.some((a) => s.words.some((word) => word.startsWith(a)))))
+        .map((s) => ({ s, score: suggestionScore(s, query) }))
+        .sort((a, b) => b.score - a.score || a.s.text.localeCompare(b.s.text))
+        .slice(0, limit)
+        .map(({ s }) => {
+            const { words, popularity, ...out } = s;
+            return out;
+        });
+}
+
+module.exports = {
+    ensureSearchSchema,
+    parseVeg,
+    inferVeg,
+    invalidateSearchIndex,
+    search,
+    suggest
+};
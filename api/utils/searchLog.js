@@ -0,0 +1,99 @@
+// Search query log behind autocomplete: trending queries, each customer's recent searches, and the
+// searches that found nothing, so admins can see what customers want that nobody lists yet.
+// Only full searches are logged (page one of /api/search), never the keystrokes sent to suggest.
+const db = require('../config/db');
+const { once } = require('./schema');
+const { tokenize } = require('./searchText');
+
+const TRENDING_DAYS = Number(process.env.SEARCH_TRENDING_DAYS || 7);
+// A query trends once this many different customers (or anonymous searches) have run it
+const TRENDING_MIN_SEARCHES = Number(process.env.SEARCH_TRENDING_MIN || 3);
+const TRENDING_CACHE_MS = 5 * 60 * 1000;
+const MAX_QUERY_LENGTH = 200;
+
+const ensureSearchLogSchema = once(async () => {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS search_queries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            query VARCHAR(200) NOT NULL,
+            normalized VARCHAR(200) NOT NULL,
+            result_count INT NOT NULL DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_search_normalized (normalized),
+            INDEX idx_search_created (created_at),
+            INDEX idx_search_user (user_id, created_at)
+        )
+    `);
+});
+
+// Lowercased words, so "Chicken  Biryani!" and "chicken biryani" count as one query
+const normalizeQuery = (q) => tokenize(q).join(' ').slice(0, MAX_QUERY_LENGTH);
+
+async function logSearch(userId, query, resultCount) {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return;
+    await ensureSearchLogSchema();
+    await db.execute(
+        'INSERT INTO search_queries (user_id, query, normalized, result_count) VALUES (?, ?, ?, ?)',
+        [userId || null, String(query).trim().slice(0, MAX_QUERY_LENGTH), normalized, Number(resultCount) || 0]
+    );
+}
+
+let trending = null;
+
+// Queries that found something, counted once per customer so one person cannot push a query up
+async function trendingQueries(limit = 8) {
+    if (trending && Date.now() - trending.at < TRENDING_CACHE_MS) return trending.rows.slice(0, limit);
+    await ensureSearchLogSchema();
+    const [rows] = await db.query(`
+        SELECT normalized AS query, COUNT(DISTINCT COALESCE(CONCAT('u', user_id), CONCAT('s', id))) AS searches
+        FROM search_queries
+        WHERE result_count > 0 AND created_at >= NOW() - INTERVAL ? DAY
+        GROUP BY normalized
+        HAVING searches >= ?
+        ORDER BY searches DESC, MAX(created_at) DESC
+        LIMIT 20
+    `, [TRENDING_DAYS, TRENDING_MIN_SEARCHES]);
+    trending = { at: Date.now(), rows: rows.map((r) => ({ query: r.query, searches: Number(r.searches) })) };
+    return trending.rows.slice(0, limit);
+}
+
+async function recentSearches(userId, limit = 5) {
+    if (!userId) return [];
+    await ensureSearchLogSchema();
+    const [rows] = await db.query(`
+        SELECT normalized AS query, MAX(created_at) AS searched_at
+        FROM search_queries
+        WHERE user_id = ?
+        GROUP BY normalized
+        ORDER BY searched_at DESC
+        LIMIT ?
+    `, [userId, limit]);
+    return rows;
+}
+
+// Admin report: what customers searched for and got nothing, most asked first
+async function zeroResultQueries(query = {}) {
+    await ensureSearchLogSchema();
+    const days = Math.min(365, Math.max(1, parseInt(query.days, 10) || 30));
+    const limit = Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50));
+    const [rows] = await db.query(`
+        SELECT normalized AS query, COUNT(*) AS searches, COUNT(DISTINCT user_id) AS customers,
+               MAX(created_at) AS last_searched
+        FROM search_queries
+        WHERE result_count = 0 AND created_at >= NOW() - INTERVAL ? DAY
+        GROUP BY normalized
+        ORDER BY searches DESC, last_searched DESC
+        LIMIT ?
+    `, [days, limit]);
+    return { days, queries: rows.map((r) => ({ ...r, searches: Number(r.searches), customers: Number(r.customers) })) };
+}
+
+module.exports = {
+    ensureSearchLogSchema,
+    logSearch,
+    trendingQueries,
+    recentSearches,
+    zeroResultQueries
+};
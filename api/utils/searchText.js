@@ -0,0 +1,94 @@
+// Text helpers for search: tokenizing, folding Telugu/Hindi dish-name transliterations onto one
+// spelling, and typo-tolerant token matching. Pure functions, no database access.
+
+// Each group is one canonical term (first entry) and the spellings customers type for it,
+// romanized Telugu/Hindi and native script included
+const TERM_GROUPS = [
+    ['biryani', 'biriyani', 'biriani', 'briyani', 'biryanee', 'birani', 'బిర్యానీ', 'బిర్యాని', 'बिरयानी', 'बिर्यानी'],
+    ['chicken', 'kodi', 'murgh', 'murg', 'murgi', 'chiken', 'చికెన్', 'కోడి', 'चिकन', 'मुर्ग'],
+    ['mutton', 'gosht', 'ghosht', 'mamsam', 'mamsa', 'maamsam', 'మటన్', 'मटन', 'गोश्त'],
+    ['fish', 'chepa', 'chepala', 'machli', 'machhli', 'meen', 'చేప', 'मछली'],
+    ['prawn', 'prawns', 'royyalu', 'royya', 'jhinga', 'jheenga', 'shrimp', 'రొయ్యలు', 'झींगा'],
+    ['egg', 'eggs', 'anda', 'ande', 'guddu', 'gudlu', 'కోడిగుడ్డు', 'अंडा'],
+    ['paneer', 'panir', 'paner', 'पनीर', 'పనీర్'],
+    ['dal', 'daal', 'dhal', 'pappu', 'పప్పు', 'दाल'],
+    ['rice', 'annam', 'chawal', 'bhaat', 'bhat', 'అన్నం', 'चावल'],
+    ['curry', 'kura', 'koora', 'kurry', 'sabzi', 'sabji', 'subzi', 'కూర', 'सब्ज़ी', 'सब्जी'],
+    ['potato', 'aloo', 'alu', 'aaloo', 'bangaladumpa', 'आलू', 'బంగాళదుంప'],
+    ['spinach', 'palak', 'palakura', 'पालक', 'పాలకూర'],
+    ['okra', 'bhindi', 'bendakaya', 'bendakaaya', 'ladyfinger', 'भिंडी', 'బెండకాయ'],
+    ['brinjal', 'baingan', 'bengan', 'vankaya', 'vankaaya', 'eggplant', 'बैंगन', 'వంకాయ'],
+    ['curd', 'dahi', 'perugu', 'yogurt', 'दही', 'పెరుగు'],
+    ['chutney', 'pachadi', 'chatni', 'పచ్చడి', 'चटनी'],
+    ['pickle', 'achar', 'aachar', 'avakaya', 'ఆవకాయ', 'अचार'],
+    ['roti', 'rotti', 'chapati', 'chapathi', 'phulka', 'रोटी', 'రొట్టె'],
+    ['dosa', 'dosai', 'dosha', 'dose', 'దోస', 'डोसा'],
+    ['idli', 'idly', 'iddli', 'ఇడ్లీ', 'इडली'],
+    ['vada', 'wada', 'vadai', 'vade', 'గారె', 'వడ', 'वड़ा'],
+    ['chilli', 'chili', 'chilly', 'mirchi', 'mirapakaya', 'मिर्च', 'మిర్చి'],
+    ['kebab', 'kabab', 'kabob', 'kebap', 'कबाब', 'కబాబ్'],
+    ['tandoori', 'tanduri', 'tandur', 'तंदूरी'],
+    ['tea', 'chai', 'chaay', 'టీ', 'चाय'],
+    ['sweet', 'sweets', 'mithai', 'mitai', 'theepi', 'मिठाई', 'స్వీట్']
+];
+
+// Lowercase, accents stripped; letters/marks/digits of any script survive (Indic vowel signs are marks)
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+// Keys go through tokenize() too, so composed and decomposed spellings (वड़ा) both hit
+const CANONICAL = new Map();
+TERM_GROUPS.forEach((group) => group.forEach((term) => CANONICAL.set(tokenize(term).join(''), group[0])));
+
+const canonical = (token) => CANONICAL.get(token) || token;
+
+// Canonical tokens of a text, duplicates removed
+const terms = (text) => [...new Set(tokenize(text).map(canonical))];
+
+// Restricted Damerau-Levenshtein distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+            cur.push(d);
+            rowMin = Math.min(rowMin, d);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// Typos allowed for a query token of this length
+const typoBudget = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+// How well a query token matches a document token: 1 exact, 0.8 prefix, 0.6 typo, 0 none
+function matchQuality(queryTerm, docTerm) {
+    if (queryTerm === docTerm) return 1;
+    if (queryTerm.length >= 3 && docTerm.startsWith(queryTerm)) return 0.8;
+    const budget = typoBudget(queryTerm.length);
+    if (budget && editDistance(queryTerm, docTerm, budget) <= budget) return 0.6;
+    return 0;
+}
+
+module.exports = {
+    TERM_GROUPS,
+    tokenize,
+    canonical,
+    terms,
+    editDistance,
+    matchQuality
+};
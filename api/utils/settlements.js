@@ -0,0 +1,405 @@
+// Restaurant settlements: platform commission (+ GST on it) per delivered order, refunds and
+// restaurant-funded discounts netted out, grouped into weekly payout cycles (Monday to Sunday).
+// Settled items are copied into settlement_lines so a statement never changes once generated.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { ensureLifecycleSchema } = require('./orderLifecycle');
+const { ensureRefundSchema } = require('./cancellation');
+const { ensureOrderSchema } = require('./orders');
+const { ensureCouponSchema } = require('./coupons');
+
+const DEFAULT_COMMISSION_RATE = Number(process.env.SETTLEMENT_COMMISSION_RATE ?? 0.18);
+const COMMISSION_GST_RATE = Number(process.env.SETTLEMENT_COMMISSION_GST_RATE ?? 0.18);
+const JOB_INTERVAL_MS = Number(process.env.SETTLEMENT_JOB_INTERVAL_MS || 60 * 60 * 1000);
+// Refund statuses that actually moved money back to the customer ('pending' has not reached the
+// gateway yet; it is deducted in a later cycle once it does)
+const SETTLED_REFUND_STATUSES = ['initiated', 'processed'];
+
+const ensureSettlementSchema = once(async () => {
+    await ensureOrderSchema();
+    await ensureLifecycleSchema();
+    await ensureRefundSchema();
+    // NULL = platform default
+    await ensureColumn('restaurants', 'commission_rate', 'DECIMAL(5,4) NULL');
+    // orders.restaurant_discount
+    await ensureCouponSchema();
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS restaurant_payouts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            restaurant_id INT NOT NULL,
+            cycle_start DATE NOT NULL,
+            cycle_end DATE NOT NULL,
+            order_count INT NOT NULL DEFAULT 0,
+            gross_sales DECIMAL(12,2) NOT NULL DEFAULT 0,
+            discounts DECIMAL(12,2) NOT NULL DEFAULT 0,
+            commission DECIMAL(12,2) NOT NULL DEFAULT 0,
+            commission_gst DECIMAL(12,2) NOT NULL DEFAULT 0,
+            refunds DECIMAL(12,2) NOT NULL DEFAULT 0,
+            net_payout DECIMAL(12,2) NOT NULL DEFAULT 0,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            reference VARCHAR(100) NULL,
+            paid_at DATETIME NULL,
+            paid_by INT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_payout_cycle (restaurant_id, cycle_start),
+            INDEX idx_payout_status (status)
+        )
+    `);
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS settlement_lines (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            payout_id INT NOT NULL,
+            source_key VARCHAR(40) NOT NULL,
+            line_type VARCHAR(20) NOT NULL,
+            order_id INT NOT NULL,
+            refund_id INT NULL,
+            occurred_at DATETIME NOT NULL,
+            gross_sales DECIMAL(10,2) NOT NULL DEFAULT 0,
+            discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            commission_rate DECIMAL(5,4) NOT NULL DEFAULT 0,
+            commission DECIMAL(10,2) NOT NULL DEFAULT 0,
+            commission_gst DECIMAL(10,2) NOT NULL DEFAULT 0,
+            refund DECIMAL(10,2) NOT NULL DEFAULT 0,
+            net_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+            UNIQUE KEY uniq_settlement_source (source_key),
+            INDEX idx_settlement_payout (payout_id)
+        )
+    `);
+});
+
+const commissionRate = (restaurant) => (
+    restaurant && restaurant.commission_rate != null ? Number(restaurant.commission_rate) : DEFAULT_COMMISSION_RATE
+);
+
+// Monday 00:00 (server time) of the week containing `date`
+function weekStart(date) {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+    return d;
+}
+
+const addDays = (date, days) => {
+    const d = new Date(date);
+    d.setDate(d.getDate() + days);
+    return d;
+};
+
+const toDateString = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// The restaurant's share of one delivered order: food value plus packaging. Taxes and the
+// delivery and small-order fees stay with the platform.
+function orderLine(order, rate) {
+    const gross = round2(Number(order.subtotal ?? order.total_price) + Number(order.packaging_charge || 0));
+    const discount = Math.min(gross, round2(order.restaurant_discount));
+    const commission = round2((gross - discount) * rate);
+    const gst = round2(commission * COMMISSION_GST_RATE);
+    return {
+        line_type: 'order',
+        source_key: `order:${order.id}`,
+        order_id: order.id,
+        refund_id: null,
+        occurred_at: order.delivered_at,
+        gross_sales: gross,
+        discount,
+        commission_rate: rate,
+        commission,
+        commission_gst: gst,
+        refund: 0,
+        net_amount: round2(gross - discount - commission - gst)
+    };
+}
+
+// Refunds on delivered orders come out of the restaurant's share, capped at the food value
+function refundLine(refund, order) {
+    const amount = Math.min(round2(refund.amount), round2(order.subtotal ?? order.total_price));
+    return {
+        line_type: 'refund',
+        source_key: `refund:${refund.id}`,
+        order_id: order.id,
+        refund_id: refund.id,
+        occurred_at: refund.created_at > order.delivered_at ? refund.created_at : order.delivered_at,
+        gross_sales: 0,
+        discount: 0,
+        commission_rate: 0,
+        commission: 0,
+        commission_gst: 0,
+        refund: amount,
+        net_amount: -amount
+    };
+}
+
+// Delivered orders (confirmed by the agent or an admin) and their refunds that are not on any statement yet, up to `before`
+async function unsettledLines({ restaurantId = null, before = null } = {}) {
+    const filters = ["o.status = 'Delivered'", "NOT EXISTS (SELECT 1 FROM settlement_lines s WHERE s.source_key = CONCAT('order:', o.id))"];
+    const params = [];
+    if (restaurantId) { filters.push('o.restaurant_id = ?'); params.push(Number(restaurantId)); }
+    const [orders] = await db.query(
+        `SELECT o.id, o.restaurant_id, o.subtotal, o.packaging_charge, o.total_price, o.restaurant_discount, o.created_at,
+                (SELECT MAX(h.created_at) FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'Delivered') AS delivered_at,
+                r.commission_rate
+         FROM orders o LEFT JOIN restaurants r ON r.id = o.restaurant_id
+         WHERE ${filters.join(' AND ')}`,
+        params
+    );
+    const [refunds] = await db.query(
+        `SELECT f.*, o.restaurant_id, o.subtotal, o.total_price, o.created_at AS order_created_at,
+                (SELECT MAX(h.created_at) FROM order_status_history h WHERE h.order_id = o.id AND h.to_status = 'Delivered') AS delivered_at
+         FROM refunds f JOIN orders o ON o.id = f.order_id
+         WHERE o.status = 'Delivered' AND f.amount > 0 AND f.status IN (?)
+           ${restaurantId ? 'AND o.restaurant_id = ?' : ''}
+           AND NOT EXISTS (SELECT 1 FROM settlement_lines s WHERE s.source_key = CONCAT('refund:', f.id))`,
+        restaurantId ? [SETTLED_REFUND_STATUSES, Number(restaurantId)] : [SETTLED_REFUND_STATUSES]
+    );
+
+    const lines = [];
+    orders.forEach((o) => {
+        // Orders delivered before status history existed fall back to their creation time
+        const order = { ...o, delivered_at: new Date(o.delivered_at || o.created_at) };
+        lines.push({ restaurant_id: o.restaurant_id, ...orderLine(order, commissionRate(o)) });
+    });
+    refunds.forEach((f) => {
+        const order = {
+            id: f.order_id, subtotal: f.subtotal, total_price: f.total_price,
+            delivered_at: new Date(f.delivered_at || f.order_created_at)
+        };
+        lines.push({ restaurant_id: f.restaurant_id, ...refundLine({ ...f, created_at: new Date(f.created_at) }, order) });
+    });
+    return before ? lines.filter((l) => l.occurred_at < before) : lines;
+}
+
+function summarize(lines) {
+    const sum = (key) => round2(lines.reduce((s, l) => s + Number(l[key] || 0), 0));
+    return {
+        order_count: lines.filter((l) => l.line_type === 'order').length,
+        gross_sales: sum('gross_sales'),
+        discounts: sum('discount'),
+        commission: sum('commission'),
+        commission_gst: sum('commission_gst'),
+        refunds: sum('refund'),
+        net_payout: sum('net_amount')
+    };
+}
+
+async function refreshPayoutTotals(conn, payoutId) {
+    const [lines] = await conn.execute('SELECT * FROM settlement_lines WHERE payout_id = ?', [payoutId]);
+    const t = summarize(lines);
+    await conn.execute(
+        `UPDATE restaurant_payouts SET order_count = ?, gross_sales = ?, discounts = ?, commission = ?,
+            commission_gst = ?, refunds = ?, net_payout = ? WHERE id = ?`,
+        [t.order_count, t.gross_sales, t.discounts, t.commission, t.commission_gst, t.refunds, t.net_payout, payoutId]
+    );
+}
+
+// Close every finished week: copy its unsettled lines into that week's payout.
+// Anything that turns up for a week already paid goes into the latest finished week instead.
+async function generatePayouts({ restaurantId = null, now = new Date() } = {}) {
+    await ensureSettlementSchema();
+    const currentWeek = weekStart(now);
+    const lastClosedWeek = addDays(currentWeek, -7);
+    const lines = await unsettledLines({ restaurantId, before: currentWeek });
+    if (!lines.length) return { payouts: 0, lines: 0 };
+
+    const groups = new Map();
+    lines.forEach((l) => {
+        const key = `${l.restaurant_id}|${toDateString(weekStart(l.occurred_at))}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(l);
+    });
+
+    const conn = await db.getConnection();
+    const touched = new Set();
+    let inserted = 0;
+    try {
+        await conn.beginTransaction();
+        for (const [key, group] of groups) {
+            const [rid, start] = key.split('|');
+            let cycleStart = start;
+            let [[payout]] = await conn.execute(
+                'SELECT id, status FROM restaurant_payouts WHERE restaurant_id = ? AND cycle_start = ? FOR UPDATE',
+                [rid, cycleStart]
+            );
+            if (payout && payout.status === 'paid') {
+                cycleStart = toDateString(lastClosedWeek);
+                [[payout]] = await conn.execute(
+                    'SELECT id, status FROM restaurant_payouts WHERE restaurant_id = ? AND cycle_start = ? FOR UPDATE',
+                    [rid, cycleStart]
+                );
+                if (payout && payout.status === 'paid') continue; // left for the next cycle
+            }
+            if (!payout) {
+                const [ins] = await conn.execute(
+                    'INSERT INTO restaurant_payouts (restaurant_id, cycle_start, cycle_end) VALUES (?, ?, ?)',
+                    [rid, cycleStart, toDateString(addDays(new Date(`${cycleStart}T00:00:00`), 6))]
+                );
+                payout = { id: ins.insertId };
+            }
+            for (const l of group) {
+                const [res] = await conn.execute(
+                    `INSERT IGNORE INTO settlement_lines
+                       (payout_id, source_key, line_type, order_id, refund_id, occurred_at, gross_sales, discount,
+                        commission_rate, commission, commission_gst, refund, net_amount)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        payout.id, l.source_key, l.line_type, l.order_id, l.refund_id, l.occurred_at, l.gross_sales,
+                        l.discount, l.commission_rate, l.commission, l.commission_gst, l.refund, l.net_amount
+                    ]
+                );
+                inserted += res.affectedRows;
+            }
+            touched.add(payout.id);
+        }
+        for (const id of touched) await refreshPayoutTotals(conn, id);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback().catch(() => {});
+        throw err;
+    } finally {
+        conn.release();
+    }
+    return { payouts: touched.size, lines: inserted };
+}
+
+function canViewRestaurant(actor, restaurantId) {
+    return actor.role === 'admin' || (actor.role === 'restaurant' && Number(actor.restaurantId) === Number(restaurantId));
+}
+
+// Payout history plus what the current (still open) week is worth so far
+async function listPayouts(restaurantId, actor, { page, limit } = {}) {
+    await ensureSettlementSchema();
+    const id = Number(restaurantId) || 0;
+    if (!canViewRestaurant(actor, id)) throw new HttpError('Not allowed to view these payouts', 403);
+    const [restaurants] = await db.execute('SELECT id, name, commission_rate FROM restaurants WHERE id = ? LIMIT 1', [id]);
+    if (!restaurants.length) throw new HttpError('Restaurant not found', 404);
+    const size = Math.min(100, Math.max(1, Number(limit) || 20));
+    const current = Math.max(1, Number(page) || 1);
+
+    const [payouts] = await db.query(
+        'SELECT * FROM restaurant_payouts WHERE restaurant_id = ? ORDER BY cycle_start DESC LIMIT ? OFFSET ?',
+        [id, size, (current - 1) * size]
+    );
+    const open = summarize(await unsettledLines({ restaurantId: id }));
+    const start = weekStart(new Date());
+    return {
+        restaurant_id: id,
+        name: restaurants[0].name,
+        commission_rate: commissionRate(restaurants[0]),
+        commission_gst_rate: COMMISSION_GST_RATE,
+        open_cycle: { cycle_start: toDateString(start), cycle_end: toDateString(addDays(start, 6)), ...open },
+        page: current,
+        limit: size,
+        payouts
+    };
+}
+
+// Admin view of payouts across restaurants (?status=pending|paid)
+async function listAllPayouts(actor, { status, page, limit } = {}) {
+    await ensureSettlementSchema();
+    if (actor.role !== 'admin') throw new HttpError('Only admins can list all payouts', 403);
+    const size = Math.min(200, Math.max(1, Number(limit) || 50));
+    const current = Math.max(1, Number(page) || 1);
+    const where = status ? 'WHERE p.status = ?' : '';
+    const [rows] = await db.query(
+        `SELECT p.*, r.name AS restaurant_name FROM restaurant_payouts p LEFT JOIN restaurants r ON r.id = p.restaurant_id
+         ${where} ORDER BY p.cycle_start DESC, p.id DESC LIMIT ? OFFSET ?`,
+        [...(status ? [String(status)] : []), size, (current - 1) * size]
+    );
+    return { page: current, limit: size, payouts: rows };
+}
+
+async function payoutStatement(payoutId, actor) {
+    await ensureSettlementSchema();
+    const [rows] = await db.execute(
+        `SELECT p.*, r.name AS restaurant_name FROM restaurant_payouts p LEFT JOIN restaurants r ON r.id = p.restaurant_id
+         WHERE p.id = ? LIMIT 1`,
+        [Number(payoutId) || 0]
+    );
+    if (!rows.length) throw new HttpError('Payout not found', 404);
+    const payout = rows[0];
+    if (!canViewRestaurant(actor, payout.restaurant_id)) throw new HttpError('Not allowed to view this payout', 403);
+    const [lines] = await db.execute(
+        `SELECT l.*, o.order_code FROM settlement_lines l LEFT JOIN orders o ON o.id = l.order_id
+         WHERE l.payout_id = ? ORDER BY l.occurred_at, l.id`,
+        [payout.id]
+    );
+    return { ...payout, lines };
+}
+
+const CSV_COLUMNS = [
+    ['occurred_at', 'Date'], ['line_type', 'Type'], ['order_id', 'Order ID'], ['order_code', 'Order Code'],
+    ['gross_sales', 'Gross Sales'], ['discount', 'Restaurant Discount'], ['commission_rate', 'Commission Rate'],
+    ['commission', 'Commission'], ['commission_gst', 'GST on Commission'], ['refund', 'Refund'], ['net_amount', 'Net Amount']
+];
+
+function csvCell(value) {
+    if (value == null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function payoutCsv(payoutId, actor) {
+    const statement = await payoutStatement(payoutId, actor);
+    const rows = [CSV_COLUMNS.map(([, label]) => label)];
+    statement.lines.forEach((l) => rows.push(CSV_COLUMNS.map(([key]) => l[key])));
+    rows.push([]);
+    rows.push(['Total', '', '', '', statement.gross_sales, statement.discounts, '', statement.commission,
+        statement.commission_gst, statement.refunds, statement.net_payout]);
+    return {
+        filename: `payout-${statement.restaurant_id}-${toDateString(new Date(statement.cycle_start))}.csv`,
+        body: rows.map((r) => r.map(csvCell).join(',')).join('\r\n')
+    };
+}
+
+async function markPayoutPaid(payoutId, actor, { reference } = {}) {
+    await ensureSettlementSchema();
+    if (actor.role !== 'admin') throw new HttpError('Only admins can mark payouts as paid', 403);
+    const [rows] = await db.execute('SELECT * FROM restaurant_payouts WHERE id = ? LIMIT 1', [Number(payoutId) || 0]);
+    if (!rows.length) throw new HttpError('Payout not found', 404);
+    if (rows[0].status === 'paid') throw new HttpError('Payout is already marked as paid', 409);
+    await db.execute(
+        "UPDATE restaurant_payouts SET status = 'paid', paid_at = NOW(), paid_by = ?, reference = ? WHERE id = ? AND status <> 'paid'",
+        [actor.id || null, reference ? String(reference).slice(0, 100) : null, rows[0].id]
+    );
+    const [[payout]] = await db.execute('SELECT * FROM restaurant_payouts WHERE id = ?', [rows[0].id]);
+    return payout;
+}
+
+// rate is a fraction (0.15 = 15%); null resets to the platform default. Only affects orders not yet settled.
+async function setCommissionRate(restaurantId, rate, actor) {
+    await ensureSettlementSchema();
+    if (actor.role !== 'admin') throw new HttpError('Only admins can change commission', 403);
+    const value = rate === null || rate === '' ? null : Number(rate);
+    if (value !== null && (!Number.isFinite(value) || value < 0 || value > 1)) {
+        throw new HttpError('commission_rate must be between 0 and 1');
+    }
+    const [res] = await db.execute('UPDATE restaurants SET commission_rate = ? WHERE id = ?', [value, Number(restaurantId) || 0]);
+    if (!res.affectedRows) throw new HttpError('Restaurant not found', 404);
+    return { restaurant_id: Number(restaurantId), commission_rate: value ?? DEFAULT_COMMISSION_RATE, is_default: value === null };
+}
+
+let settlementTimer = null;
+
+module.exports = {
+    DEFAULT_COMMISSION_RATE,
+    COMMISSION_GST_RATE,
+    ensureSettlementSchema,
+    weekStart,
+    generatePayouts,
+    listPayouts,
+    listAllPayouts,
+    payoutStatement,
+    payoutCsv,
+    markPayoutPaid,
+    setCommissionRate,
+    // Closes finished weeks periodically; generatePayouts is idempotent
+    startSettlementJob: () => {
+        if (settlementTimer) return settlementTimer;
+        const tick = () => generatePayouts().catch((err) => console.error('Settlement job error:', err?.message || err));
+        settlementTimer = setInterval(tick, JOB_INTERVAL_MS);
+        tick();
+        return settlementTimer;
+    }
+};
@@ -1,12 +1,127 @@
-// WebSocket Setup (Socket.io)
-const socketIO = require('socket.io');
+// WebSocket setup (Socket.io): per-order tracking rooms and agent location fan-out.
+// Customers/restaurants/agents join `order:<id>` after an ownership check; an agent's
+// location is only forwarded to the rooms of the orders that agent is carrying.
+const db = require('../config/db');
+const { verifyToken } = require('./auth');
+const { resolveActor, ownsOrder, normalizeStatus, partyRoom, ACTIVE_STATUSES } = require('./orderLifecycle');
+
+const ADMIN_ROOM = 'admins';
+const CARRYING_TTL_MS = 10000;
+
+const orderRoom = (orderId) => `order:${orderId}`;
+
+const lastLocations = new Map(); // agentId -> { lat, lng, at }
+const carryingCache = new Map(); // agentId -> { ids, expires }
+
+// Active order ids assigned to an agent (cached briefly — agents ping every few seconds)
+async function ordersCarriedBy(agentId) {
+    const cached = carryingCache.get(agentId);
+    if (cached && cached.expires > Date.now()) return cached.ids;
+    const [rows] = await db.query('SELECT id, status FROM orders WHERE agent_id = ?', [agentId]);
+    const ids = rows.filter((r) => ACTIVE_STATUSES.includes(normalizeStatus(r.status))).map((r) => r.id);
+    carryingCache.set(agentId, { ids, expires: Date.now() + CARRYING_TTL_MS });
+    return ids;
+}
+
+function forgetCarrying(agentId) {
+    if (agentId) carryingCache.delete(Number(agentId));
+}
+
+async function forwardAgentLocation(io, agentId, lat, lng) {
+    const id = Number(agentId);
+    if (!io || !id || !Number.isFinite(lat) || !Number.isFinite(lng)) return;
+    const at = new Date().toISOString();
+    lastLocations.set(id, { lat, lng, at });
+    io.to(ADMIN_ROOM).emit('locationUpdate', { agentId: id, lat, lng });
+    try {
+        const orderIds = await ordersCarriedBy(id);
+        orderIds.forEach((orderId) => io.to(orderRoom(orderId)).emit('orderLocation', { orderId, agentId: id, lat, lng, at }));
+    } catch (err) {
+        console.error('Forward agent location failed:', err?.message || err);
+    }
+}
+
+function socketUser(socket, data) {
+    return verifyToken((data && data.token) || (socket.handshake.auth && socket.handshake.auth.token)) || null;
+}
+
+// A signed-in socket gets its own customer / restaurant / agent room for order notifications
+async function joinPartyRooms(socket) {
+    const user = socketUser(socket);
+    if (!user) return;
+    const actor = await resolveActor(user);
+    if (actor.role === 'restaurant' && actor.restaurantId) socket.join(partyRoom.restaurant(actor.restaurantId));
+    else if (actor.role === 'delivery_agent' && actor.agentId) socket.join(partyRoom.agent(actor.agentId));
+    else if (actor.role === 'customer' && actor.id) socket.join(partyRoom.user(actor.id));
+}
 
 module.exports = {
-    init: (server) => {
-        const io = socketIO(server);
+    ADMIN_ROOM,
+    orderRoom,
+    forgetCarrying,
+    forwardAgentLocation,
+    lastLocationOf: (agentId) => lastLocations.get(Number(agentId)) || null,
+    init: (io, { onAgentLocation } = {}) => {
         io.on('connection', (socket) => {
-            console.log('New WebSocket connection');
-            // Placeholder for WebSocket events
+            console.log('🟢 Socket connected:', socket.id);
+            joinPartyRooms(socket).catch((err) => console.error('Join party rooms failed:', err?.message || err));
+
+            // Customer / restaurant / agent / admin asks for live updates of one order
+            socket.on('trackOrder', async (data, ack) => {
+                const reply = (payload) => { if (typeof ack === 'function') ack(payload); };
+                try {
+                    const orderId = Number(data && data.orderId);
+                    const user = socketUser(socket, data);
+                    if (!orderId) return reply({ ok: false, error: 'orderId is required' });
+                    if (!user) return reply({ ok: false, error: 'Authentication required' });
+
+                    const [rows] = await db.execute('SELECT id, user_id, restaurant_id, agent_id, status FROM orders WHERE id = ? LIMIT 1', [orderId]);
+                    if (!rows.length) return reply({ ok: false, error: 'Order not found' });
+                    const actor = await resolveActor(user);
+                    if (!ownsOrder(actor, rows[0])) return reply({ ok: false, error: 'Not allowed to track this order' });
+
+                    socket.join(orderRoom(orderId));
+                    const order = rows[0];
+                    const location = order.agent_id ? lastLocations.get(Number(order.agent_id)) : null;
+                    reply({ ok: true, orderId, status: order.status, agentId: order.agent_id || null });
+                    if (location) socket.emit('orderLocation', { orderId, agentId: order.agent_id, ...location });
+                } catch (err) {
+                    console.error('trackOrder error:', err?.message || err);
+                    reply({ ok: false, error: 'Failed to track order' });
+                }
+            });
+
+            socket.on('untrackOrder', (data) => {
+                const orderId = Number(data && data.orderId);
+                if (orderId) socket.leave(orderRoom(orderId));
+            });
+
+            // Admin map wants every agent's position
+            socket.on('watchAgents', async (data, ack) => {
+                const user = socketUser(socket, data);
+                const ok = !!user && (await resolveActor(user)).role === 'admin';
+                if (ok) socket.join(ADMIN_ROOM);
+                if (typeof ack === 'function') ack({ ok });
+            });
+
+            // Agent sends live location; only accepted for the agent's own id
+            socket.on('agentLocation', async (data) => {
+                try {
+                    const { agentId, lat, lng } = data || {};
+                    if (!agentId || typeof lat !== 'number' || typeof lng !== 'number') return;
+                    const user = socketUser(socket, data);
+                    const actor = user ? await resolveActor(user) : null;
+                    if (!actor || (actor.role !== 'admin' && Number(actor.agentId) !== Number(agentId))) return;
+                    if (typeof onAgentLocation === 'function') onAgentLocation(agentId, lat, lng);
+                    await forwardAgentLocation(io, agentId, lat, lng);
+                } catch (err) {
+                    console.error('agentLocation handler error:', err?.message || err);
+                }
+            });
+
+            socket.on('disconnect', () => {
+                console.log('🔴 Socket disconnected:', socket.id);
+            });
         });
     }
-};
\ No newline at end of file
+};
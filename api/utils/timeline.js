@@ -0,0 +1,114 @@
+// Order timeline: one chronological list of what happened to an order and who did it.
+// Built from order_status_history plus the refund and review rows that live in their own tables.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureLifecycleSchema, ownsOrder } = require('./orderLifecycle');
+const { ensureRefundSchema } = require('./cancellation');
+
+// to_status of a status event -> timeline type
+const STATUS_EVENTS = {
+    'Pending': 'released',
+    'Accepted': 'accepted',
+    'Rejected': 'rejected',
+    'Ready': 'ready',
+    'Picked Up': 'picked_up',
+    'Delivered': 'delivered',
+    'Cancelled': 'cancelled'
+};
+
+const LABELS = {
+    placed: 'Order placed',
+    scheduled: 'Pre-order placed',
+    released: 'Sent to the restaurant',
+    payment: 'Payment received',
+    payment_failed: 'Payment failed',
+    accepted: 'Accepted by the restaurant',
+    rejected: 'Rejected by the restaurant',
+    ready: 'Ready for pickup',
+    agent_assigned: 'Delivery partner assigned',
+    picked_up: 'Picked up',
+    delivered: 'Delivered',
+    cancelled: 'Cancelled',
+    refund: 'Refund initiated',
+    refund_processed: 'Refund completed',
+    review: 'Reviewed'
+};
+
+// Progress bar steps shown on the tracking page
+const STEPS = ['placed', 'accepted', 'ready', 'picked_up', 'delivered'];
+
+const toIso = (v) => (v ? new Date(v).toISOString() : null);
+
+function historyEvent(row) {
+    let type = row.event;
+    if (row.event === 'status') type = STATUS_EVENTS[row.to_status] || 'status';
+    if (row.event === 'placed' && row.to_status === 'Scheduled') type = 'scheduled';
+    return {
+        type,
+        label: LABELS[type] || row.to_status || row.event,
+        at: toIso(row.created_at),
+        status: row.to_status || null,
+        actor: row.actor_role ? { role: row.actor_role, id: row.actor_id } : null,
+        note: row.note || null
+    };
+}
+
+async function orderTimeline(orderId, actor) {
+    await ensureLifecycleSchema();
+    await ensureRefundSchema();
+    const id = Number(orderId);
+    if (!id) throw new HttpError('order_id is required');
+    const [orders] = await db.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [id]);
+    if (!orders.length) throw new HttpError('Order not found', 404);
+    const order = orders[0];
+    if (!ownsOrder(actor, order)) throw new HttpError('Not allowed to view this order', 403);
+
+    const [history] = await db.execute(
+        'SELECT * FROM order_status_history WHERE order_id = ? ORDER BY created_at, id',
+        [id]
+    );
+    const events = history.map(historyEvent);
+
+    // Orders placed before the history table existed only have created_at
+    if (!events.some((e) => e.type === 'placed' || e.type === 'scheduled')) {
+        events.unshift({
+            type: 'placed', label: LABELS.placed, at: toIso(order.created_at), status: 'Pending',
+            actor: { role: 'customer', id: order.user_id }, note: null
+        });
+    }
+
+    const [refunds] = await db.execute('SELECT * FROM refunds WHERE order_id = ? ORDER BY id', [id]);
+    refunds.filter((r) => Number(r.amount) > 0).forEach((r) => events.push({
+        type: 'refund', label: LABELS.refund, at: toIso(r.created_at), status: null,
+        actor: r.initiated_by ? { role: r.initiated_by, id: null } : null,
+        note: `₹${Number(r.amount)} to ${r.payment_method} (${r.status})`
+    }));
+
+    const [reviews] = await db.execute('SELECT * FROM restaurant_reviews WHERE order_id = ? LIMIT 1', [id]);
+    reviews.forEach((r) => events.push({
+        type: 'review', label: LABELS.review, at: toIso(r.created_at), status: null,
+        actor: { role: 'customer', id: r.user_id }, note: `${r.rating}★${r.comment ? ` — ${r.comment}` : ''}`
+    }));
+
+    // Stable sort keeps history order for events sharing a timestamp; undated events go last
+    events.sort((a, b) => (a.at ? Date.parse(a.at) : Infinity) - (b.at ? Date.parse(b.at) : Infinity));
+
+    const steps = STEPS.map((type) => {
+        const hit = events.find((e) => e.type === type || (type === 'placed' && e.type === 'scheduled'));
+        return { type, label: LABELS[type], done: !!hit, at: hit ? hit.at : null };
+    });
+
+    return {
+        order_id: order.id,
+        order_code: order.order_code || null,
+        status: order.status,
+        scheduled_for: toIso(order.scheduled_for),
+        steps,
+        events
+    };
+}
+
+module.exports = {
+    LABELS,
+    orderTimeline
+};
@@ -1,12 +1,264 @@
-// Reward Points Logic
+// Tindo Tokens: loyalty wallet backed by an append-only ledger (token_ledger).
+// A user's balance is the sum of their entries; expiry is first-in-first-out, so tokens
+// that passed their expires_at only count as expired once redemptions have not used them up.
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+
+const RULES = {
+    earn_per_100: Number(process.env.TOKENS_EARN_PER_100 ?? 2),
+    first_order_bonus: Number(process.env.TOKENS_FIRST_ORDER_BONUS ?? 50),
+    review_bonus: Number(process.env.TOKENS_REVIEW_BONUS ?? 10),
+    // Paid to a referrer when their referee's first order is delivered
+    referral_bonus: Number(process.env.TOKENS_REFERRAL_BONUS ?? 100),
+    // Rupee value of one token at checkout
+    token_value: Number(process.env.TOKENS_VALUE_RUPEES ?? 1),
+    max_redeem_percent: Number(process.env.TOKENS_MAX_REDEEM_PERCENT ?? 20),
+    expiry_days: Number(process.env.TOKENS_EXPIRY_DAYS ?? 180)
+};
+const EXPIRY_INTERVAL_MS = Number(process.env.TOKENS_EXPIRY_INTERVAL_MS || 60 * 60 * 1000);
+
+const ensureTokenSchema = once(async () => {
+    await ensureColumn('orders', 'tokens_redeemed', 'INT NOT NULL DEFAULT 0');
+    await ensureColumn('orders', 'tokens_discount', 'DECIMAL(10,2) NOT NULL DEFAULT 0');
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS token_ledger (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            entry_type VARCHAR(20) NOT NULL,
+            tokens INT NOT NULL,
+            order_id INT NULL,
+            source_key VARCHAR(64) NOT NULL,
+            description VARCHAR(255) NULL,
+            expires_at DATETIME NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uniq_token_source (source_key),
+            INDEX idx_token_user (user_id, created_at),
+            INDEX idx_token_expiry (expires_at)
+        )
+    `);
+});
+
+// source_key makes every award idempotent: the same event never pays out twice
+async function postEntry(conn, userId, entry) {
+    const credit = entry.tokens > 0;
+    const [res] = await conn.execute(
+        `INSERT IGNORE INTO token_ledger (user_id, entry_type, tokens, order_id, source_key, description, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ${credit ? 'DATE_ADD(NOW(), INTERVAL ? DAY)' : 'NULL'})`,
+        [
+            userId, entry.type, entry.tokens, entry.orderId || null, entry.key,
+            entry.description ? String(entry.description).slice(0, 255) : null,
+            ...(credit ? [RULES.expiry_days] : [])
+        ]
+    );
+    return res.affectedRows ? entry.tokens : 0;
+}
+
+// Serialises redemptions and expiry for one user
+const lockUser = (conn, userId) => conn.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [userId]);
+
+// { total, expired_unposted, expiring(by) } for a user; `by` is a Date or null
+async function ledgerState(userId, conn = db, by = null) {
+    const [[row]] = await conn.execute(
+        `SELECT COALESCE(SUM(tokens), 0) AS total,
+                COALESCE(SUM(CASE WHEN tokens < 0 THEN -tokens ELSE 0 END), 0) AS debits,
+                COALESCE(SUM(CASE WHEN tokens > 0 AND expires_at <= NOW() THEN tokens ELSE 0 END), 0) AS lapsed,
+                COALESCE(SUM(CASE WHEN tokens > 0 AND expires_at <= ? THEN tokens ELSE 0 END), 0) AS lapsing
+         FROM token_ledger WHERE user_id = ?`,
+        [by || new Date(), userId]
+    );
+    const debits = Number(row.debits);
+    const expiredUnposted = Math.max(0, Number(row.lapsed) - debits);
+    return {
+        total: Number(row.total),
+        expired_unposted: expiredUnposted,
+        expiring: Math.max(0, Math.max(0, Number(row.lapsing) - debits) - expiredUnposted)
+    };
+}
+
+async function getTokens(userId, conn = db) {
+    await ensureTokenSchema();
+    const state = await ledgerState(userId, conn);
+    return Math.max(0, state.total - state.expired_unposted);
+}
+
+// Manual credit (admin goodwill, campaigns). `key` keeps repeated calls from double-paying.
+async function addTokens(userId, tokens, { type = 'adjustment', description, key, orderId } = {}) {
+    await ensureTokenSchema();
+    const amount = Math.floor(Number(tokens));
+    if (!Number(userId)) throw new HttpError('user_id is required');
+    if (!Number.isInteger(amount) || amount <= 0) throw new HttpError('tokens must be a positive whole number');
+    const added = await postEntry(db, Number(userId), {
+        type, tokens: amount, orderId, description,
+        key: key || `${type}:${userId}:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`
+    });
+    return { user_id: Number(userId), added, balance: await getTokens(userId) };
+}
+
+// How many tokens an order of `orderTotal` can use
+function maxRedeemable(orderTotal) {
+    const cap = (round2(orderTotal) * RULES.max_redeem_percent) / 100;
+    return RULES.token_value > 0 ? Math.max(0, Math.floor(cap / RULES.token_value)) : 0;
+}
+
+// Inside the order's transaction (ensureTokenSchema must already have run).
+// Uses up to `requested` tokens, capped by the balance and max_redeem_percent.
+async function redeemForOrder(conn, userId, orderId, requested, orderTotal) {
+    const wanted = Math.floor(Number(requested) || 0);
+    if (wanted <= 0 || !userId) return { tokens: 0, discount: 0 };
+    await lockUser(conn, userId);
+    const available = await getTokens(userId, conn);
+    const tokens = Math.min(wanted, available, maxRedeemable(orderTotal));
+    if (tokens <= 0) return { tokens: 0, discount: 0 };
+    await postEntry(conn, userId, {
+        type: 'redeem', tokens: -tokens, orderId, key: `redeem:order:${orderId}`,
+        description: `Used on order #${orderId}`
+    });
+    return { tokens, discount: round2(tokens * RULES.token_value) };
+}
+
+// Delivered: tokens for the amount paid, plus the first-order bonus once per user
+async function earnForOrder(conn, order) {
+    if (!order.user_id) return 0;
+    let earned = 0;
+    const tokens = Math.floor((round2(order.total_price) / 100) * RULES.earn_per_100);
+    if (tokens > 0) {
+        earned += await postEntry(conn, order.user_id, {
+            type: 'earn', tokens, orderId: order.id, key: `earn:order:${order.id}`,
+            description: `Order #${order.id} delivered`
+        });
+    }
+    if (RULES.first_order_bonus > 0) {
+        const [[prior]] = await conn.execute(
+            "SELECT COUNT(*) AS cnt FROM orders WHERE user_id = ? AND status = 'Delivered' AND id <> ?",
+            [order.user_id, order.id]
+        );
+        if (!prior.cnt) {
+            earned += await postEntry(conn, order.user_id, {
+                type: 'bonus', tokens: RULES.first_order_bonus, orderId: order.id,
+                key: `bonus:first:${order.user_id}`, description: 'First order bonus'
+            });
+        }
+    }
+    return earned;
+}
+
+// Cancelled / Rejected: give back whatever the order redeemed
+async function restoreForOrder(conn, order) {
+    if (!order.user_id || !Number(order.tokens_redeemed)) return 0;
+    return postEntry(conn, order.user_id, {
+        type: 'reversal', tokens: Number(order.tokens_redeemed), orderId: order.id,
+        key: `reversal:order:${order.id}`, description: `Returned from order #${order.id}`
+    });
+}
+
+async function awardReviewBonus(orderId, userId) {
+    await ensureTokenSchema();
+    if (!userId || RULES.review_bonus <= 0) return 0;
+    const [[order]] = await db.execute('SELECT id, status FROM orders WHERE id = ? AND user_id = ?', [orderId, userId]);
+    if (!order || order.status !== 'Delivered') return 0;
+    return postEntry(db, userId, {
+        type: 'bonus', tokens: RULES.review_bonus, orderId, key: `bonus:review:${orderId}`,
+        description: `Review for order #${orderId}`
+    });
+}
+
+// Inside the referee's Delivered transaction; keyed on the referral so it pays once.
+// No order_id: the order belongs to the referee, not to the wallet being credited.
+async function awardReferralBonus(conn, referrerId, referralId) {
+    if (!referrerId || RULES.referral_bonus <= 0) return 0;
+    return postEntry(conn, referrerId, {
+        type: 'bonus', tokens: RULES.referral_bonus, key: `bonus:referral:${referralId}`,
+        description: 'Referral reward — your friend got their first order'
+    });
+}
+
+// Posts an 'expire' entry for every user with lapsed tokens that were never used
+async function expireTokens() {
+    await ensureTokenSchema();
+    const [users] = await db.execute(
+        'SELECT DISTINCT user_id FROM token_ledger WHERE tokens > 0 AND expires_at <= NOW()'
+    );
+    let expired = 0;
+    for (const { user_id: userId } of users) {
+        const conn = await db.getConnection();
+        try {
+            await conn.beginTransaction();
+            await lockUser(conn, userId);
+            const { expired_unposted: lapsed } = await ledgerState(userId, conn);
+            if (lapsed > 0) {
+                expired += await postEntry(conn, userId, {
+                    type: 'expire', tokens: -lapsed, key: `expire:${userId}:${Date.now()}`, description: 'Tokens expired'
+                }) * -1;
+            }
+            await conn.commit();
+        } catch (err) {
+            await conn.rollback().catch(() => {});
+            throw err;
+        } finally {
+            conn.release();
+        }
+    }
+    return expired;
+}
+
+async function wallet(userId) {
+    await ensureTokenSchema();
+    const soon = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const state = await ledgerState(userId, db, soon);
+    const balance = Math.max(0, state.total - state.expired_unposted);
+    return {
+        user_id: Number(userId),
+        balance,
+        value: round2(balance * RULES.token_value),
+        expiring_in_30_days: Math.min(balance, state.expiring),
+        rules: RULES
+    };
+}
+
+async function transactions(userId, { page, limit } = {}) {
+    await ensureTokenSchema();
+    const size = Math.min(100, Math.max(1, Number(limit) || 20));
+    const current = Math.max(1, Number(page) || 1);
+    const [rows] = await db.query(
+        `SELECT id, entry_type, tokens, order_id, description, expires_at, created_at
+         FROM token_ledger WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [userId, size, (current - 1) * size]
+    );
+    const [[count]] = await db.execute('SELECT COUNT(*) AS total FROM token_ledger WHERE user_id = ?', [userId]);
+    return { page: current, limit: size, total: count.total, transactions: rows };
+}
+
+// What checkout can take off an order of `orderTotal`
+async function redemptionQuote(userId, orderTotal) {
+    const available = await getTokens(userId);
+    const tokens = Math.min(available, maxRedeemable(orderTotal));
+    return { available, max_tokens: tokens, discount: round2(tokens * RULES.token_value), max_redeem_percent: RULES.max_redeem_percent };
+}
+
+let expiryTimer = null;
+
 module.exports = {
-    addTokens: (userId, tokens) => {
-        console.log(`Adding ${tokens} tokens to user ${userId}`);
-        // Placeholder for token addition logic
-    },
-    getTokens: (userId) => {
-        console.log(`Fetching tokens for user ${userId}`);
-        // Placeholder for fetching tokens logic
-        return 100;
-    }
-};
\ No newline at end of file
+    RULES,
+    ensureTokenSchema,
+    addTokens,
+    getTokens,
+    maxRedeemable,
+    redeemForOrder,
+    earnForOrder,
+    restoreForOrder,
+    awardReviewBonus,
+    awardReferralBonus,
+    expireTokens,
+    wallet,
+    transactions,
+    redemptionQuote,
+    startTokenExpiryJob: () => {
+        if (expiryTimer) return expiryTimer;
+        const tick = () => expireTokens().catch((err) => console.error('Token expiry job error:', err?.message || err));
+        expiryTimer = setInterval(tick, EXPIRY_INTERVAL_MS);
+        tick();
+        return expiryTimer;
+    }
+};
@@ -0,0 +1,251 @@
+// Direct UPI collection: a upi://pay intent + QR for the exact order amount, reconciliation
+// of the payer's reference by an admin (or a bank webhook stand-in), and expiry of unpaid requests.
+// Requests are rows in `payments` with gateway 'upi' and our transaction reference as gateway_order_id.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const db = require('../config/db');
+const { HttpError } = require('./errors');
+const { ensureColumn, once } = require('./schema');
+const { round2 } = require('./pricing');
+const { ownsOrder, transitionOrder, normalizeStatus, partyRoom } = require('./orderLifecycle');
+const { ensurePaymentSchema, markCaptured } = require('./payments');
+
+const MERCHANT_VPA = process.env.UPI_MERCHANT_VPA || 'tindo@upi';
+const MERCHANT_NAME = process.env.UPI_MERCHANT_NAME || 'Tindo';
+const TIMEOUT_MINUTES = Number(process.env.UPI_PAYMENT_TIMEOUT_MINUTES || 15);
+const EXPIRY_INTERVAL_MS = Number(process.env.UPI_EXPIRY_INTERVAL_MS || 60000);
+// How long any UPI/online order may wait in 'Awaiting Payment' before it is cancelled
+const PAYMENT_WINDOW_MINUTES = Number(process.env.ORDER_PAYMENT_WINDOW_MINUTES || 30);
+const WEBHOOK_SECRET = process.env.UPI_WEBHOOK_SECRET || '';
+const CAPTURED = ['captured', 'refunded', 'partially_refunded'];
+
+const ensureUpiSchema = once(async () => {
+    await ensurePaymentSchema();
+    await ensureColumn('payments', 'expires_at', 'DATETIME NULL');
+});
+
+// Unique per request; UPI apps echo it back as `tr`
+const newReference = (orderId) => `TND${orderId}U${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+function upiIntent({ reference, amount, note }) {
+    const params = new URLSearchParams({
+        pa: MERCHANT_VPA,
+        pn: MERCHANT_NAME,
+        tr: reference,
+        tn: note,
+        am: round2(amount).toFixed(2),
+        cu: 'INR'
+    });
+    // Some UPI apps reject an encoded '@' in the VPA
+    return `upi://pay?${params.toString().replace(/\+/g, '%20').replace(/%40/g, '@')}`;
+}
+
+function describe(order, payment) {
+    const intent = upiIntent({
+        reference: payment.gateway_order_id,
+        amount: payment.amount,
+        note: `Tindo order ${order.order_code || order.id}`
+    });
+    return {
+        payment_id: payment.id,
+        order_id: order.id,
+        reference: payment.gateway_order_id,
+        amount: round2(payment.amount),
+        vpa: MERCHANT_VPA,
+        intent,
+        status: payment.status,
+        expires_at: payment.expires_at ? new Date(payment.expires_at).toISOString() : null
+    };
+}
+
+// Open (or reuse) a UPI request for the order's stored total
+async function createUpiRequest(orderId, actor) {
+    await ensureUpiSchema();
+    const [rows] = await db.execute('SELECT * FROM orders WHERE id = ? LIMIT 1', [Number(orderId) || 0]);
+    if (!rows.length) throw new HttpError('Order not found', 404);
+    const order = rows[0];
+    if (actor.role !== 'customer' || !ownsOrder(actor, order)) throw new HttpError('Not allowed to pay for this order', 403);
+    if (['Cancelled', 'Rejected', 'Delivered'].includes(normalizeStatus(order.status))) {
+        throw new HttpError(`Order is ${order.status}`, 409);
+    }
+    if (order.payment_status === 'paid') throw new HttpError('This order is already paid', 409);
+
+    const amount = round2(order.total_price);
+    const [open] = await db.execute(
+        `SELECT * FROM payments WHERE order_id = ? AND gateway = 'upi' AND status = 'created'
+           AND amount = ? AND expires_at > NOW() ORDER BY id DESC LIMIT 1`,
+        [order.id, amount]
+    );
+    if (open.length) return describe(order, open[0]);
+
+    const reference = newReference(order.id);
+    const [ins] = await db.execute(
+        `INSERT INTO payments (order_id, gateway, gateway_order_id, amount, currency, method, expires_at)
+         VALUES (?, 'upi', ?, ?, 'INR', 'upi', DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        [order.id, reference, amount, TIMEOUT_MINUTES]
+    );
+    await db.execute("UPDATE orders SET payment_status = 'pending' WHERE id = ? AND payment_status <> 'paid'", [order.id]);
+    const [[payment]] = await db.execute('SELECT * FROM payments WHERE id = ?', [ins.insertId]);
+    return describe(order, payment);
+}
+
+// QR image for a request the actor may see; format 'svg' (default) or 'png'
+async function upiQr(reference, actor, format = 'svg') {
+    await ensureUpiSchema();
+    const [rows] = await db.execute(
+        `SELECT p.*, o.user_id, o.restaurant_id, o.agent_id, o.order_code
+         FROM payments p JOIN orders o ON o.id = p.order_id
+         WHERE p.gateway = 'upi' AND p.gateway_order_id = ? LIMIT 1`,
+        [String(reference || '')]
+    );
+    if (!rows.length) throw new HttpError('Payment request not found', 404);
+    const payment = rows[0];
+    if (!ownsOrder(actor, payment)) throw new HttpError('Not allowed to view this payment', 403);
+    const { intent } = describe({ id: payment.order_id, order_code: payment.order_code }, payment);
+    if (format === 'png') return { type: 'image/png', body: await QRCode.toBuffer(intent, { type: 'png', margin: 2, width: 320 }) };
+    return { type: 'image/svg+xml', body: await QRCode.toString(intent, { type: 'svg', margin: 2 }) };
+}
+
+// Only accepted from an admin or with the shared webhook secret
+function isTrustedConfirmer(actor, secret) {
+    if (actor && actor.role === 'admin') return true;
+    if (!WEBHOOK_SECRET || !secret) return false;
+    const a = Buffer.from(String(secret));
+    const b = Buffer.from(WEBHOOK_SECRET);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Mark a reference as received: { reference, amount, utr }. The amount must match exactly.
+async function confirmUpiPayment({ reference, amount, utr }, actor) {
+    await ensureUpiSchema();
+    if (!reference || !utr) throw new HttpError('reference and utr are required');
+    const [rows] = await db.execute(
+        "SELECT * FROM payments WHERE gateway = 'upi' AND gateway_order_id = ? LIMIT 1",
+        [String(reference)]
+    );
+    if (!rows.length) throw new HttpError('Payment request not found', 404);
+    const payment = rows[0];
+    if (payment.status === 'expired') {
+        throw new HttpError('This payment request has expired; refund the payer manually', 409, { reference: payment.gateway_order_id });
+    }
+    if (CAPTURED.includes(payment.status)) {
+        if (payment.gateway_payment_id === String(utr)) {
+            return { order_id: payment.order_id, reference: payment.gateway_order_id, status: payment.status, duplicate: true };
+        }
+        throw new HttpError('This payment request was already paid with a different UTR', 409, { utr: payment.gateway_payment_id });
+    }
+    // A UTR identifies one bank transfer; it can only settle one request
+    const [reused] = await db.execute(
+        'SELECT id, order_id FROM payments WHERE gateway_payment_id = ? AND id <> ? AND status IN (?, ?, ?) LIMIT 1',
+        [String(utr), payment.id, ...CAPTURED]
+    );
+    if (reused.length) {
+        throw new HttpError('This UTR has already been used for another payment', 409, { order_id: reused[0].order_id });
+    }
+    const received = round2(amount);
+    if (!Number.isFinite(Number(amount)) || received !== round2(payment.amount)) {
+        await db.execute("UPDATE payments SET error_reason = ? WHERE id = ? AND status = 'created'", [`Amount mismatch: received ₹${received}`, payment.id]);
+        throw new HttpError('Received amount does not match the payment request', 422, {
+            expected: round2(payment.amount), received
+        });
+    }
+    const captured = await markCaptured(payment.gateway_order_id, { paymentId: String(utr), method: 'upi' }, {
+        role: actor && actor.role === 'admin' ? 'admin' : 'system', id: actor ? actor.id : null
+    });
+    return { order_id: payment.order_id, reference: payment.gateway_order_id, status: captured.status, duplicate: !!captured.already };
+}
+
+// System-cancel an order nobody paid for; there is nothing to refund
+async function cancelUnpaidOrder(order, io, note) {
+    await db.execute("UPDATE orders SET payment_status = 'expired' WHERE id = ? AND payment_status <> 'paid'", [order.id]);
+    try {
+        const cancelled = await transitionOrder(order.id, 'Cancelled', { role: 'system', id: null }, {
+            io,
+            note,
+            beforeCommit: (conn, locked) => {
+                // Paid in the meantime: leave it to the payment to release the order
+                if (locked.payment_status === 'paid') throw new HttpError('Order was paid', 409);
+                return conn.execute(
+                    `INSERT INTO refunds (order_id, payment_method, order_total, cancellation_fee, amount, status, reason, initiated_by)
+                     VALUES (?, ?, ?, 0, 0, 'not_required', ?, 'system')`,
+                    [locked.id, locked.payment_method || 'UPI', round2(locked.total_price), note]
+                );
+            }
+        });
+        // Only orders from before 'Awaiting Payment' existed were ever shown to the restaurant
+        if (io && cancelled.restaurant_id && normalizeStatus(order.status) !== 'Awaiting Payment') {
+            io.to(partyRoom.restaurant(cancelled.restaurant_id)).emit(`orderCanceledForRestaurant_${cancelled.restaurant_id}`, { id: cancelled.id, reason: 'Payment not received' });
+        }
+        return true;
+    } catch (err) {
+        // Already terminal, paid or picked up; leave the order alone
+        if (!(err instanceof HttpError)) throw err;
+        return false;
+    }
+}
+
+// Expire unpaid requests and cancel their orders if nothing else paid for them
+async function expireUpiRequests(io) {
+    await ensureUpiSchema();
+    const [stale] = await db.execute(
+        "SELECT id, order_id FROM payments WHERE gateway = 'upi' AND status = 'created' AND expires_at < NOW()"
+    );
+    let expired = 0;
+    for (const payment of stale) {
+        const [upd] = await db.execute("UPDATE payments SET status = 'expired' WHERE id = ? AND status = 'created'", [payment.id]);
+        if (!upd.affectedRows) continue;
+        expired += 1;
+        const [[order]] = await db.execute('SELECT id, status, payment_status, payment_method FROM orders WHERE id = ?', [payment.order_id]);
+        if (!order || order.payment_status === 'paid') continue;
+        const [[open]] = await db.execute(
+            "SELECT COUNT(*) AS cnt FROM payments WHERE order_id = ? AND status = 'created' AND (expires_at IS NULL OR expires_at > NOW())",
+            [order.id]
+        );
+        if (open.cnt > 0) continue;
+        await cancelUnpaidOrder(order, io, 'UPI payment not received in time');
+    }
+    return expired;
+}
+
+// Orders still 'Awaiting Payment' past the checkout window (an abandoned Razorpay checkout, or a UPI
+// order whose request was never opened) are cancelled, so their tokens, coupon use and slot come back.
+// A gateway payment that still lands afterwards is refunded (payments.js).
+async function expireUnpaidOrders(io) {
+    await ensureUpiSchema();
+    const [stale] = await db.execute(
+        `SELECT o.id, o.status, o.payment_status, o.payment_method FROM orders o
+         WHERE o.status = 'Awaiting Payment' AND o.payment_status <> 'paid'
+           AND o.created_at < NOW() - INTERVAL ? MINUTE
+           AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.order_id = o.id AND p.gateway = 'upi' AND p.status = 'created' AND p.expires_at > NOW())`,
+        [PAYMENT_WINDOW_MINUTES]
+    );
+    let cancelled = 0;
+    for (const order of stale) {
+        if (await cancelUnpaidOrder(order, io, 'Payment not received in time')) cancelled += 1;
+    }
+    return cancelled;
+}
+
+let expiryTimer = null;
+
+module.exports = {
+    TIMEOUT_MINUTES,
+    ensureUpiSchema,
+    upiIntent,
+    createUpiRequest,
+    upiQr,
+    isTrustedConfirmer,
+    confirmUpiPayment,
+    expireUpiRequests,
+    expireUnpaidOrders,
+    // Starts the expiry job once per process
+    startUpiExpiryJob: (io) => {
+        if (expiryTimer) return expiryTimer;
+        const tick = () => expireUpiRequests(io)
+            .then(() => expireUnpaidOrders(io))
+            .catch((err) => console.error('UPI expiry job error:', err?.message || err));
+        expiryTimer = setInterval(tick, EXPIRY_INTERVAL_MS);
+        tick();
+        return expiryTimer;
+    }
+};
@@ -0,0 +1,77 @@
+// Checkout price breakdown from /api/cart/quote — the same numbers the order is placed at.
+// Provides: TindoQuote.fetch(cart, opts), TindoQuote.applyCoupon(cart, code, opts), TindoQuote.render(el, quote), TindoQuote.rules(), TindoQuote.rupees, TindoQuote.escapeHtml
+(function () {
+    const BASE = "http://localhost:5000";
+
+    const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const rupees = (n) => `${n < 0 ? '−' : ''}₹${Math.abs(Number(n) || 0).toFixed(2).replace(/\.00$/, '')}`;
+
+    // Same choice payment-method.html makes: the selected address, else the last saved one
+    function selectedAddress() {
+        try {
+            const selected = JSON.parse(localStorage.getItem('selectedAddress') || '{}') || {};
+            if (Object.keys(selected).length) return selected;
+            const saved = JSON.parse(localStorage.getItem('addresses') || '[]');
+            return (Array.isArray(saved) && saved[saved.length - 1]) || {};
+        } catch (_) { return {}; }
+    }
+
+    async function post(path, body) {
+        const token = localStorage.getItem('token');
+        const res = await fetch(`${BASE}${path}`, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { Authorization: `Bearer ${token}` } : {}),
+            body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!res.ok) throw Object.assign(new Error(data.error || 'Could not price your cart'), { status: res.status, details: data });
+        return data;
+    }
+
+    // cart: tindo_cart entries. opts: { redeemTokens, couponCode, address } (address defaults to the selected one)
+    function quoteBody(cart, opts) {
+        const items = (cart || []).map(i => ({ menu_id: i.menu_id || null, name: i.name, qty: Number(i.qty) || 1, restaurant_id: i.restaurant_id }));
+        const address = opts.address || selectedAddress();
+        return {
+            restaurant_id: (items[0] && items[0].restaurant_id) || localStorage.getItem('selectedRestaurantId'),
+            items,
+            lat: address.latitude,
+            lng: address.longitude,
+            coupon_code: opts.couponCode || undefined,
+            redeem_tokens: opts.redeemTokens || 0
+        };
+    }
+
+    // An unusable coupon is dropped from the quote and explained in quote.coupon_error
+    const fetchQuote = (cart, opts = {}) => post('/api/cart/quote', quoteBody(cart, opts));
+
+    // Same quote, but an unusable coupon fails with the reason (for the Apply button)
+    const applyCoupon = (cart, code, opts = {}) => post('/api/coupons/apply', { ...quoteBody(cart, opts), code });
+
+    function render(el, quote) {
+        if (!el) return;
+        const rows = quote.breakdown.map(r => `
+            <div class="flex justify-between ${r.amount < 0 || r.key === 'free_item' ? 'text-green-700' : ''}">
+              <span>${escapeHtml(r.label)}</span><span>${r.key === 'free_item' ? 'FREE' : rupees(r.amount)}</span>
+            </div>`);
+        if (quote.tokens && quote.tokens.used) {
+            rows.push(`<div class="flex justify-between text-green-700"><span>Tindo Tokens (${quote.tokens.used})</span><span>${rupees(-quote.tokens.discount)}</span></div>`);
+        }
+        rows.push(`<div class="flex justify-between font-bold text-gray-900 border-t pt-2 mt-2"><span>To pay</span><span>${rupees(quote.payable)}</span></div>`);
+        const d = quote.delivery;
+        if (d.add_for_free_delivery > 0) {
+            rows.push(`<p class="text-xs text-gray-500 mt-1">Add ${rupees(d.add_for_free_delivery)} more for free delivery (orders above ${rupees(d.free_delivery_above)}).</p>`);
+        }
+        el.innerHTML = rows.join('');
+    }
+
+    let rulesCache = null;
+    async function rules() {
+        if (!rulesCache) {
+            rulesCache = fetch(`${BASE}/api/cart/rules`).then(r => r.json()).catch((err) => { rulesCache = null; throw err; });
+        }
+        return rulesCache;
+    }
+
+    window.TindoQuote = { fetch: fetchQuote, applyCoupon, render, rules, rupees, escapeHtml };
+})();
@@ -41,7 +41,7 @@
     const cart = getCart();
     let existing = cart.find(i => i.name === itemName && i.restaurant_id === rest);
     if(existing) { existing.qty = (existing.qty || 0) + 1; }
-    else { cart.push({ name: itemName, price: Number(itemPrice)||0, image_url, restaurant_id: rest, qty: 1 }); }
+    else { cart.push({ menu_id: Number(menuId) || null, name: itemName, price: Number(itemPrice)||0, image_url, restaurant_id: rest, qty: 1 }); }
     setCart(cart);
     // update UI elements if present
     const btn = document.getElementById(`add-btn-${menuId}`);
@@ -59,7 +59,7 @@
     const rest = meta.restaurant_id || null;
     const cart = getCart();
     const idx = cart.findIndex(i => i.name === name && i.restaurant_id === rest);
-    if(idx === -1){ if(delta > 0) cart.push({ name, price: meta.price || 0, image_url: meta.image_url || '', restaurant_id: rest, qty: 1 }); }
+    if(idx === -1){ if(delta > 0) cart.push({ menu_id: Number(menuId) || null, name, price: meta.price || 0, image_url: meta.image_url || '', restaurant_id: rest, qty: 1 }); }
     else { cart[idx].qty = Math.max(0, (cart[idx].qty || 0) + delta); if(cart[idx].qty === 0) cart.splice(idx,1); }
     setCart(cart);
     const qtyRow = document.getElementById(`qty-row-${menuId}`);
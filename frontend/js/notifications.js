@@ -1,8 +1,76 @@
-// AI Coupon Generator
-function generateCoupon() {
-    console.log('Generating AI-powered coupon...');
-    // Placeholder for coupon generation logic
-}
-
-// Example usage
-generateCoupon();
\ No newline at end of file
+// Customer notification feed (personal coupons and other messages) from /api/notifications.
+// Renders a bell with an unread badge into every [data-notifications] element; nothing shows when signed out.
+// Provides: TindoNotifications.refresh()
+(function () {
+    const BASE = "http://localhost:5000";
+
+    const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+    function item(n) {
+        const code = n.type === 'coupon' && n.data && n.data.code;
+        return `
+            <li class="p-3 border-b last:border-0 ${n.read_at ? '' : 'bg-green-50'}">
+              <p class="font-semibold text-gray-800 text-sm">${escapeHtml(n.title)}</p>
+              ${n.body ? `<p class="text-xs text-gray-600 mt-1">${escapeHtml(n.body)}</p>` : ''}
+              ${code ? `<button type="button" data-copy="${escapeHtml(code)}" class="mt-2 text-xs font-mono font-bold border border-dashed border-green-600 text-green-700 rounded px-2 py-1">${escapeHtml(code)} · Copy</button>` : ''}
+              <p class="text-[11px] text-gray-400 mt-1">${new Date(n.created_at).toLocaleString()}</p>
+            </li>`;
+    }
+
+    async function markAllRead(root) {
+        await fetch(`${BASE}/api/notifications/read`, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Type': 'application/json' }, authHeaders()),
+            body: '{}'
+        }).catch(() => {});
+        root.querySelector('.notif-badge').classList.add('hidden');
+    }
+
+    function mount(root) {
+        root.classList.add('relative');
+        root.innerHTML = `
+            <button type="button" class="notif-bell relative text-xl" title="Notifications">🔔
+              <span class="notif-badge hidden absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5"></span>
+            </button>
+            <div class="notif-panel hidden absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-xl shadow-lg border z-50">
+              <ul class="notif-list"><li class="p-3 text-sm text-gray-500">Loading…</li></ul>
+            </div>`;
+        const panel = root.querySelector('.notif-panel');
+        root.querySelector('.notif-bell').addEventListener('click', () => {
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) markAllRead(root);
+        });
+        // Coupon codes copy straight to the clipboard for checkout
+        panel.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-copy]');
+            if (!btn) return;
+            navigator.clipboard && navigator.clipboard.writeText(btn.dataset.copy);
+            btn.textContent = `${btn.dataset.copy} · Copied`;
+        });
+    }
+
+    async function refresh() {
+        const roots = document.querySelectorAll('[data-notifications]');
+        if (!roots.length || !localStorage.getItem('token')) return;
+        try {
+            const res = await fetch(`${BASE}/api/notifications`, { headers: authHeaders() });
+            if (!res.ok) return;
+            const data = await res.json();
+            roots.forEach((root) => {
+                if (!root.querySelector('.notif-bell')) mount(root);
+                const badge = root.querySelector('.notif-badge');
+                badge.textContent = data.unread;
+                badge.classList.toggle('hidden', !data.unread);
+                root.querySelector('.notif-list').innerHTML = data.notifications.length
+                    ? data.notifications.map(item).join('')
+                    : '<li class="p-3 text-sm text-gray-500">No notifications yet</li>';
+            });
+        } catch (err) {
+            console.error('Error loading notifications:', err);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', refresh);
+    window.TindoNotifications = { refresh };
+})();
@@ -71,11 +71,11 @@
       });
       const data = await res.json();
       if(!res.ok){ throw new Error(data.error || 'Review failed'); }
-      // remember reviewed
-      const mem = JSON.parse(localStorage.getItem('reviewedOrders')||'[]');
-      if (!mem.includes(String(orderId))){ mem.push(String(orderId)); localStorage.setItem('reviewedOrders', JSON.stringify(mem)); }
+      // Review state comes from /api/orders/mine (review / can_review), nothing to remember locally
+      localStorage.removeItem('reviewedOrders');
       alert('Thanks for your feedback!');
       hide();
+      document.dispatchEvent(new CustomEvent('tindo:reviewed', { detail: { orderId } }));
     } catch(e){
       alert(e.message);
     }
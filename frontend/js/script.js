@@ -64,24 +64,47 @@ function removeItem(index){
 }
 
 // totals
-function calculateTotals(){
+// Priced by the server (/api/cart/quote) so the page shows what the order will be charged.
+// coords: optional { lat, lng } of the delivery address for the distance-based fee.
+async function calculateTotals(coords){
   const cart = getCart();
-  const subtotal = cart.reduce((s,i)=>s + (i.price * (i.quantity||1)), 0);
-  const deliveryFee = subtotal > 499 ? 0 : 30; // example rule
-  const tax = +(subtotal * 0.05).toFixed(2);
-  const total = +(subtotal + deliveryFee + tax).toFixed(2);
-  return { subtotal, deliveryFee, tax, total };
+  const res = await fetch(`${SERVER}/api/cart/quote`, {
+    method:"POST",
+    headers:{ "Content-Type":"application/json" },
+    body: JSON.stringify({
+      restaurant_id: cart[0] && cart[0].restaurant_id,
+      items: cart.map(i=>({ menu_id:i.menu_item_id, name:i.name, qty:i.quantity||1, restaurant_id:i.restaurant_id })),
+      lat: coords && coords.lat,
+      lng: coords && coords.lng
+    })
+  });
+  const quote = await res.json();
+  if(!res.ok) throw new Error(quote.error || "Could not price your cart");
+  return { subtotal: quote.subtotal, deliveryFee: quote.delivery_fee, tax: quote.tax, total: quote.total, quote };
 }
 
-// Apply promo (simple demo)
-function applyPromo(code){
-  // example: FOOD10 => 10% off
-  const totals = calculateTotals();
-  if(code === "FOOD10"){
-    const discount = +(totals.subtotal * 0.10).toFixed(2);
-    return { success:true, discount };
+// Apply a coupon via /api/coupons/apply; the order re-validates it when placed
+async function applyPromo(code, coords){
+  const cart = getCart();
+  const token = localStorage.getItem("token");
+  try{
+    const res = await fetch(`${SERVER}/api/coupons/apply`, {
+      method:"POST",
+      headers: Object.assign({ "Content-Type":"application/json" }, token ? { Authorization:`Bearer ${token}` } : {}),
+      body: JSON.stringify({
+        code,
+        restaurant_id: cart[0] && cart[0].restaurant_id,
+        items: cart.map(i=>({ menu_id:i.menu_item_id, name:i.name, qty:i.quantity||1, restaurant_id:i.restaurant_id })),
+        lat: coords && coords.lat,
+        lng: coords && coords.lng
+      })
+    });
+    const data = await res.json();
+    if(!res.ok) return { success:false, message: data.error || "Invalid promo" };
+    return { success:true, discount: data.coupon.discount, code: data.coupon.code, quote: data };
+  } catch(e){
+    return { success:false, message:"Network error" };
   }
-  return { success:false, message:"Invalid promo" };
 }
 
 // ---------- Order placement ----------
@@ -0,0 +1,94 @@
+// Search box autocomplete from /api/search/suggest: dishes, restaurants and categories as you type,
+// and the customer's recent searches plus trending ones when the box is empty.
+// Provides: TindoSuggest.attach(input, box, { onSearch })
+(function () {
+    const BASE = "http://localhost:5000";
+
+    const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    const searchPage = (q) => `category.html?q=${encodeURIComponent(q)}`;
+    const LABELS = { restaurant: 'Restaurant', dish: 'Dish', category: 'Category' };
+
+    async function fetchSuggestions(q) {
+        const token = localStorage.getItem('token');
+        const res = await fetch(`${BASE}/api/search/suggest?q=${encodeURIComponent(q)}&limit=8`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        if (!res.ok) throw new Error('Suggestions unavailable');
+        return res.json();
+    }
+
+    // Where a suggestion leads: a restaurant (or a dish only one restaurant serves) opens that restaurant
+    function hrefFor(s) {
+        if (s.restaurant_id && s.type !== 'category') return `restaurant.html?id=${s.restaurant_id}`;
+        return searchPage(s.text);
+    }
+
+    function detail(s) {
+        if (s.type === 'restaurant') return [LABELS.restaurant, s.cuisine, s.rating ? `★ ${s.rating}` : ''].filter(Boolean).join(' · ');
+        if (s.type === 'dish') return s.restaurant_count > 1 ? `Dish · ${s.restaurant_count} restaurants` : LABELS.dish;
+        return `${LABELS.category} · ${s.dishes} dishes`;
+    }
+
+    const row = (href, title, sub) => `
+        <a href="${escapeHtml(href)}" class="suggestion-item block px-4 py-3 hover:bg-green-50 text-left">
+          <div class="text-sm font-medium text-gray-800">${escapeHtml(title)}</div>
+          ${sub ? `<div class="text-xs text-gray-500">${escapeHtml(sub)}</div>` : ''}
+        </a>`;
+
+    const section = (title, html) => `<div class="px-4 pt-3 pb-1 text-xs font-semibold uppercase text-gray-400 text-left">${title}</div>${html}`;
+
+    function render(box, data) {
+        let html = '';
+        if (data.query.trim()) {
+            html = data.suggestions.map((s) => row(hrefFor(s), s.text, detail(s))).join('');
+        } else {
+            if (data.recent.length) html += section('Recent searches', data.recent.map((r) => row(searchPage(r.query), `🕘 ${r.query}`)).join(''));
+            if (data.trending.length) html += section('Trending', data.trending.map((t) => row(searchPage(t.query), `🔥 ${t.query}`)).join(''));
+        }
+        box.innerHTML = html;
+        box.classList.toggle('hidden', !html);
+    }
+
+    function attach(input, box, opts = {}) {
+        if (!input || !box) return;
+        const onSearch = opts.onSearch || ((q) => { window.location.href = searchPage(q); });
+        let timer = null;
+        let seq = 0;
+        let highlighted = -1;
+
+        // Responses can arrive out of order while typing; only the latest one is drawn
+        function update() {
+            const id = ++seq;
+            fetchSuggestions(input.value.trim())
+                .then((data) => { if (id === seq) { highlighted = -1; render(box, data); } })
+                .catch(() => box.classList.add('hidden'));
+        }
+
+        function highlight(step) {
+            const nodes = Array.from(box.querySelectorAll('.suggestion-item'));
+            if (!nodes.length) return;
+            highlighted = Math.max(0, Math.min(nodes.length - 1, highlighted + step));
+            nodes.forEach((n, i) => n.classList.toggle('bg-green-50', i === highlighted));
+        }
+
+        input.addEventListener('input', () => { clearTimeout(timer); timer = setTimeout(update, 150); });
+        input.addEventListener('focus', update);
+        input.addEventListener('keydown', (e) => {
+            const visible = !box.classList.contains('hidden');
+            if (e.key === 'ArrowDown' && visible) { e.preventDefault(); highlight(1); }
+            else if (e.key === 'ArrowUp' && visible) { e.preventDefault(); highlight(-1); }
+            else if (e.key === 'Escape') box.classList.add('hidden');
+            else if (e.key === 'Enter') {
+                e.preventDefault();
+                const nodes = box.querySelectorAll('.suggestion-item');
+                if (visible && nodes[highlighted]) nodes[highlighted].click();
+                else if (input.value.trim()) onSearch(input.value.trim());
+            }
+        });
+        document.addEventListener('click', (ev) => {
+            if (ev.target !== input && !box.contains(ev.target)) box.classList.add('hidden');
+        });
+    }
+
+    window.TindoSuggest = { attach };
+})();
@@ -1,7 +1,102 @@
-// Tindo Tokens Wallet
-function initTindoTokens() {
-    console.log('Initializing Tindo Tokens Wallet...');
-    // Placeholder for wallet functionality
-}
+// Tindo Tokens Wallet — renders tokens.html from /api/tokens/wallet, /api/tokens/transactions and /api/referrals/me
+(function () {
+    const BASE = "http://localhost:5000";
+    const LABELS = {
+        earn: 'Earned',
+        bonus: 'Bonus',
+        redeem: 'Used at checkout',
+        reversal: 'Returned',
+        expire: 'Expired',
+        adjustment: 'Credited'
+    };
+    const REFERRAL_STATUS = {
+        pending: 'Joined — waiting for their first delivery',
+        rewarded: 'Rewarded',
+        rejected: 'Not eligible'
+    };
+    let page = 1;
 
-document.addEventListener('DOMContentLoaded', initTindoTokens);
\ No newline at end of file
+    const $ = (id) => document.getElementById(id);
+    const authHeaders = () => {
+        const token = localStorage.getItem('token');
+        return token ? { Authorization: `Bearer ${token}` } : {};
+    };
+    const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+    async function getJson(path) {
+        const res = await fetch(`${BASE}${path}`, { headers: authHeaders() });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Request failed');
+        return data;
+    }
+
+    async function loadWallet() {
+        const w = await getJson('/api/tokens/wallet');
+        $('tokenBalance').textContent = w.balance;
+        $('tokenValue').textContent = `₹${w.value}`;
+        $('tokenExpiring').textContent = w.expiring_in_30_days;
+        const r = w.rules;
+        $('tokenRules').textContent = `Earn ${r.earn_per_100} tokens per ₹100 on delivered orders, ${r.first_order_bonus} on your first order, ${r.review_bonus} for each review and ${r.referral_bonus} for each friend you refer. ` +
+            `Use them for up to ${r.max_redeem_percent}% of an order; tokens expire after ${r.expiry_days} days.`;
+    }
+
+    async function loadReferrals() {
+        const data = await getJson('/api/referrals/me');
+        const link = `${window.location.origin}/register.html?ref=${encodeURIComponent(data.code)}`;
+        $('referralCode').textContent = data.code;
+        $('referralRewards').textContent = `You get ${data.rewards.referrer_tokens} tokens and your friend gets ₹${data.rewards.referee_discount} off ` +
+            `(orders above ₹${data.rewards.referee_min_order}) once their first order is delivered.`;
+        $('referralCopy').onclick = () => {
+            navigator.clipboard && navigator.clipboard.writeText(link);
+            $('referralCopy').textContent = 'Link copied';
+        };
+        const st = data.stats;
+        $('referralStats').textContent = `${st.invites} joined · ${st.converted} converted (${st.conversion_rate}%) · ${st.tokens_earned} tokens earned`;
+        $('referralList').innerHTML = data.referrals.map(r => `
+            <div class="flex justify-between py-2">
+              <span>${escapeHtml(r.friend)} <span class="text-gray-500">· ${new Date(r.joined_at).toLocaleDateString()}</span></span>
+              <span class="${r.status === 'rewarded' ? 'text-green-700 font-semibold' : 'text-gray-500'}">${REFERRAL_STATUS[r.status] || escapeHtml(r.status)}${r.tokens ? ` · +${r.tokens}` : ''}</span>
+            </div>
+        `).join('');
+        $('referralSection').classList.remove('hidden');
+    }
+
+    async function loadHistory() {
+        const data = await getJson(`/api/tokens/transactions?page=${page}`);
+        $('tokenHistory').innerHTML = data.transactions.length ? data.transactions.map(t => `
+            <div class="flex justify-between items-center py-3">
+              <div>
+                <p class="font-medium">${LABELS[t.entry_type] || escapeHtml(t.entry_type)}</p>
+                <p class="text-sm text-gray-500">${escapeHtml(t.description || '')} · ${new Date(t.created_at).toLocaleDateString()}</p>
+              </div>
+              <span class="font-semibold ${t.tokens < 0 ? 'text-red-600' : 'text-green-700'}">${t.tokens > 0 ? '+' : ''}${t.tokens}</span>
+            </div>
+        `).join('') : '<p class="text-gray-500 py-2">No tokens yet — they arrive when your orders are delivered.</p>';
+        $('tokensPage').textContent = `Page ${data.page}`;
+        $('tokensPrev').disabled = data.page <= 1;
+        $('tokensNext').disabled = data.page * data.limit >= data.total;
+    }
+
+    async function initTindoTokens() {
+        if (!$('tokenBalance')) return;
+        if (!localStorage.getItem('token')) {
+            $('tokenHistory').innerHTML = '<p class="text-gray-500 py-2">Please <a href="login.html" class="text-green-700 underline">log in</a> to see your tokens.</p>';
+            return;
+        }
+        $('tokensPrev').onclick = () => { page -= 1; loadHistory().catch(showError); };
+        $('tokensNext').onclick = () => { page += 1; loadHistory().catch(showError); };
+        try {
+            await Promise.all([loadWallet(), loadHistory()]);
+        } catch (err) {
+            showError(err);
+        }
+        // Optional: the wallet still works if referrals are unavailable
+        loadReferrals().catch((err) => console.error('Error loading referrals:', err));
+    }
+
+    function showError(err) {
+        $('tokenHistory').innerHTML = `<p class="text-red-600 py-2">${escapeHtml(err.message)}</p>`;
+    }
+
+    document.addEventListener('DOMContentLoaded', initTindoTokens);
+})();
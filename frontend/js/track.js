@@ -81,8 +81,13 @@ const timer = setInterval(updateProgress, 60000); // 1 min
 
 // Live updates via Socket.io
 const BASE_URL = "http://localhost:5000"; // Express backend
-const socket = io(BASE_URL);
-socket.emit("trackOrder", { orderId: "ORD123" });
+const orderId = new URLSearchParams(location.search).get("orderId") || localStorage.getItem("last_order_id");
+const socket = io(BASE_URL, { auth: { token: localStorage.getItem("token") } });
+socket.on("connect", () => {
+  socket.emit("trackOrder", { orderId }, (res) => {
+    if (!res || !res.ok) console.warn("Tracking unavailable:", res && res.error);
+  });
+});
 
 socket.on("orderLocation", (data) => {
   agentLoc = [data.lng, data.lat];
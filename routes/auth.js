@@ -0,0 +1,54 @@
+// Auth routes — mounted by server.js at /api/auth; server.js also takes authMiddleware from here
+const path = require("path");
+const express = require("express");
+const multer = require("multer");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { registerUser, loginUser } = require("../api/utils/accounts");
+
+const router = express.Router();
+
+// Same naming as server.js uploads, so the photo is served from /uploads
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: "uploads/",
+    filename: (req, file, cb) => cb(null, Date.now() + path.extname(file.originalname)),
+  }),
+});
+
+// { name, email, phone, password, role, referral_code?, device_id? } -> customers get { token, user, referral }
+router.post("/register", async (req, res) => {
+  try {
+    return res.status(201).json(await registerUser(req.body));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Register error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to register user" });
+  }
+});
+
+// Multipart form from register.html: restaurant sign-up fields plus an optional "photo" file
+router.post("/register-restaurant", upload.single("photo"), async (req, res) => {
+  try {
+    const body = { ...req.body, role: "restaurant" };
+    if (req.file) body.image_url = req.file.filename;
+    return res.status(201).json(await registerUser(body));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Restaurant register error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to register restaurant" });
+  }
+});
+
+// { email, password } -> { token, user }
+router.post("/login", async (req, res) => {
+  try {
+    return res.json(await loginUser(req.body));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Login error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+module.exports = { router, authMiddleware };
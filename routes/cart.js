@@ -0,0 +1,24 @@
+// Cart routes — mounted by server.js at /api/cart
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { optionalAuth } = require("../api/utils/auth");
+const { pricingRules } = require("../api/utils/pricing");
+const { quoteCart } = require("../api/utils/cartQuote");
+
+const router = express.Router();
+
+// Full price breakdown for { restaurant_id, items, lat, lng, redeem_tokens }; orders are placed at these numbers
+router.post("/quote", optionalAuth, async (req, res) => {
+  try {
+    return res.json(await quoteCart(req.body, req.user));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Cart quote error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to price the cart" });
+  }
+});
+
+// Fee rules for banners and help text (free delivery threshold, distance tiers, ...)
+router.get("/rules", (req, res) => res.json(pricingRules()));
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// Category taxonomy routes — mounted by server.js at /api/categories as categoryRoutes(upload)
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const {
+  ensureCategorySchema,
+  listCategories,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require("../api/utils/categories");
+
+module.exports = function categoryRoutes(upload) {
+  const router = express.Router();
+  router.use(schemaGuard(ensureCategorySchema));
+
+  // Home page tiles: active categories with item/restaurant counts (?lat=&lng= for what delivers there)
+  router.get("/", async (req, res) => {
+    try {
+      return res.json(await listCategories(req.query));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Category list error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to fetch categories" });
+    }
+  });
+
+  // Admin: inactive categories included
+  router.get("/all", authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage categories" });
+      return res.json(await listCategories({}, { includeInactive: true }));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Category list error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to fetch categories" });
+    }
+  });
+
+  // Multipart: name, description, synonyms ("biriyani,pulao"), sort_order, is_active, image file
+  router.post("/", authMiddleware, upload.single("image"), async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage categories" });
+      return res.status(201).json(await createCategory(req.body, req.file ? req.file.filename : null));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Category create error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to create category" });
+    }
+  });
+
+  // Any of the create fields
+  router.patch("/:id", authMiddleware, upload.single("image"), async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage categories" });
+      return res.json(await updateCategory(req.params.id, req.body, req.file ? req.file.filename : null));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Category update error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to update category" });
+    }
+  });
+
+  router.delete("/:id", authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage categories" });
+      return res.json(await deleteCategory(req.params.id));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Category delete error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to delete category" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,102 @@
+// Coupon routes — mounted by server.js at /api/coupons
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware, optionalAuth } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const { ensureCouponSchema, createCoupon, listCoupons, updateCoupon, availableCoupons } = require("../api/utils/coupons");
+const { quoteCart } = require("../api/utils/cartQuote");
+const { runCampaigns, campaignStats } = require("../api/utils/couponCampaigns");
+
+const router = express.Router();
+const schemaReady = schemaGuard(ensureCouponSchema);
+
+// Checkout: { code, restaurant_id, items, lat, lng, redeem_tokens } -> the cart quote with the coupon applied,
+// or 422 with the reason it cannot be used
+router.post("/apply", schemaReady, optionalAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (!String(body.code || "").trim()) return res.status(400).json({ error: "code is required" });
+    return res.json(await quoteCart({ ...body, coupon_code: body.code }, req.user, { strictCoupon: true }));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Coupon apply error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to apply coupon" });
+  }
+});
+
+// Live coupons for a restaurant's checkout (?restaurant_id=), plus the signed-in customer's personal ones
+router.get("/available", schemaReady, optionalAuth, async (req, res) => {
+  try {
+    return res.json(await availableCoupons(req.query.restaurant_id, req.user && req.user.id));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Coupon list error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch coupons" });
+  }
+});
+
+// Admin: all coupons; restaurant: its own (?restaurant_id, ?active=1|0)
+router.get("/", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await listCoupons(actor, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Coupon list error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch coupons" });
+  }
+});
+
+// Admin: personalized campaign results per rule (?days=90) and this month's budget
+router.get("/campaigns", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can view campaigns" });
+    return res.json(await campaignStats(req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Campaign stats error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch campaign stats" });
+  }
+});
+
+// Admin: run the campaign job now ({ dry_run: true } only previews who would get a coupon)
+router.post("/campaigns/run", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can run campaigns" });
+    return res.json(await runCampaigns({ dryRun: !!(req.body && req.body.dry_run) }));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Campaign run error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to run campaigns" });
+  }
+});
+
+// Admin or restaurant: { code?, discount_type, discount_value, max_discount, min_order_value, valid_from, valid_until,
+// usage_limit, per_user_limit, first_order_only, scope, restaurant_id, scope_values }
+router.post("/", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.status(201).json(await createCoupon(req.body, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Coupon create error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to create coupon" });
+  }
+});
+
+// { is_active, description, valid_until, usage_limit, per_user_limit }
+router.patch("/:couponId", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await updateCoupon(req.params.couponId, req.body, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Coupon update error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update coupon" });
+  }
+});
+
+module.exports = router;
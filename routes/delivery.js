@@ -0,0 +1,57 @@
+// Delivery agent routes — mounted by server.js at /api/delivery as deliveryRoutes(io)
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { ensureLifecycleSchema, resolveActor, transitionOrder } = require("../api/utils/orderLifecycle");
+const { ensureCodSchema, confirmCollection, agentStatement } = require("../api/utils/codLedger");
+
+module.exports = function deliveryRoutes(io) {
+  const router = express.Router();
+  const schemaReady = schemaGuard(async () => {
+    await ensureLifecycleSchema();
+    await ensureCodSchema();
+  });
+
+  // Picked Up / Delivered from the delivery dashboard
+  router.post("/update-order", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const { order_id, status, note } = req.body || {};
+      const actor = await resolveActor(req.user);
+      const order = await transitionOrder(order_id, status, actor, { io, note });
+      return res.json({ message: `Order ${order.status}`, order_id: order.id, status: order.status });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Delivery status update error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to update order" });
+    }
+  });
+
+  // Agent confirms the cash actually collected for a delivered COD order
+  router.post("/orders/:orderId/cash", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const { collected_amount, note } = req.body || {};
+      const actor = await resolveActor(req.user);
+      return res.json(await confirmCollection(req.params.orderId, collected_amount, actor, note));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("COD confirm error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to record collection" });
+    }
+  });
+
+  // The logged-in agent's own cash ledger
+  router.get("/cod/statement", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      if (!actor.agentId) return res.status(403).json({ error: "Only delivery agents have a cash statement" });
+      return res.json(await agentStatement(actor.agentId, actor, req.query));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("COD statement error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to load statement" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,33 @@
+// Customer notification feed routes — mounted by server.js at /api/notifications
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { ensureNotificationSchema, listNotifications, markRead } = require("../api/utils/notifications");
+
+const router = express.Router();
+const schemaReady = schemaGuard(ensureNotificationSchema);
+
+// Newest first with the unread count (?unread=1)
+router.get("/", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    return res.json(await listNotifications(req.user.id, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Notification feed error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to load notifications" });
+  }
+});
+
+// { ids: [...] } or {} for everything
+router.post("/read", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    return res.json(await markRead(req.user.id, (req.body || {}).ids));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Notification read error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update notifications" });
+  }
+});
+
+module.exports = router;
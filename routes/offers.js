@@ -0,0 +1,78 @@
+// Restaurant offer routes — mounted by server.js at /api/offers
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware, optionalAuth } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const {
+  ensureOfferSchema,
+  createOffer,
+  updateOffer,
+  deleteOffer,
+  restaurantOffers,
+  activeOffers,
+} = require("../api/utils/offers");
+
+const router = express.Router();
+const schemaReady = schemaGuard(ensureOfferSchema);
+
+// Homepage "Best Offers Today": offers running now, nearest first with ?lat=&lng=
+router.get("/active", schemaReady, async (req, res) => {
+  try {
+    return res.json(await activeOffers(req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Active offers error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch offers" });
+  }
+});
+
+// Customers see what is running now; the restaurant itself and admins see every offer
+router.get("/restaurant/:restaurantId", schemaReady, optionalAuth, async (req, res) => {
+  try {
+    const actor = req.user ? await resolveActor(req.user) : null;
+    return res.json(await restaurantOffers(req.params.restaurantId, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Restaurant offers error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch offers" });
+  }
+});
+
+// Restaurant (or admin with restaurant_id): { title, offer_type, menu_id, category, percent, max_discount,
+// min_order_value, starts_at, ends_at, days_of_week, start_time, end_time }
+router.post("/", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.status(201).json(await createOffer(req.body, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Offer create error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to create offer" });
+  }
+});
+
+// { is_active, title, ends_at }
+router.patch("/:offerId", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await updateOffer(req.params.offerId, req.body, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Offer update error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update offer" });
+  }
+});
+
+router.delete("/:offerId", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await deleteOffer(req.params.offerId, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Offer delete error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to delete offer" });
+  }
+});
+
+module.exports = router;
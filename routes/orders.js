@@ -0,0 +1,173 @@
+// Order routes — mounted by server.js at /api/orders as orderRoutes(io)
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { ensureOrderSchema, createOrder } = require("../api/utils/orders");
+const { ensureLifecycleSchema, resolveActor, transitionOrder, partyRoom } = require("../api/utils/orderLifecycle");
+const { ensureRefundSchema, previewCancellation, cancelOrder } = require("../api/utils/cancellation");
+const { loadOrderableRestaurant } = require("../api/utils/pricing");
+const { ensureSchedulingSchema, listSlots, SLOT_MINUTES } = require("../api/utils/scheduling");
+const { orderTimeline } = require("../api/utils/timeline");
+const { idempotent } = require("../api/utils/idempotency");
+const { listCustomerOrders, buildReorder } = require("../api/utils/orderHistory");
+const { ensureInvoiceSchema, getInvoice, renderInvoiceHtml, renderInvoicePdf } = require("../api/utils/invoices");
+
+module.exports = function orderRoutes(io) {
+  const router = express.Router();
+  // Per-route rather than router.use: this router shares /api/orders with handlers in server.js
+  const schemaReady = schemaGuard(async () => {
+    await ensureOrderSchema();
+    await ensureLifecycleSchema();
+    await ensureRefundSchema();
+    await ensureSchedulingSchema();
+  });
+  const invoiceReady = schemaGuard(ensureInvoiceSchema);
+
+  // Delivery slots a customer can pre-order into (?restaurant_id=)
+  router.get("/slots", schemaReady, async (req, res) => {
+    try {
+      const restaurant = await loadOrderableRestaurant(req.query.restaurant_id);
+      const slots = await listSlots(restaurant);
+      return res.json({ restaurant_id: restaurant.id, slot_minutes: SLOT_MINUTES, slots });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Slot list error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to load delivery slots" });
+    }
+  });
+
+  // Place an order from the checkout payload; prices come from the menu table.
+  // Checkout sends an Idempotency-Key so reloading order-success.html cannot place it twice.
+  router.post("/new", schemaReady, authMiddleware, idempotent("orders.new"), async (req, res) => {
+    try {
+      const order = await createOrder(req.body, req.user);
+      // Pre-orders reach the restaurant when the scheduler releases them
+      try {
+        if (io && order.status === "Pending") io.to(partyRoom.restaurant(order.restaurant_id)).emit(`orderForRestaurant_${order.restaurant_id}`, {
+          id: order.order_id,
+          order_code: order.order_code,
+          total_price: order.total,
+          status: order.status,
+        });
+      } catch (_) {}
+      return res.status(201).json({ success: true, ...order, total_price: order.total });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json({ success: false, ...err.toJSON() });
+      console.error("Order create error:", err?.message || err);
+      return res.status(500).json({ success: false, error: "Failed to place order" });
+    }
+  });
+
+  // Status change from the restaurant dashboard (Accepted / Rejected / Ready) or the tracking page
+  router.post("/update", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const { order_id, status, note } = req.body || {};
+      const actor = await resolveActor(req.user);
+      const order = await transitionOrder(order_id, status, actor, { io, note });
+      return res.json({ message: `Order ${order.status}`, order_id: order.id, status: order.status });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Order status update error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to update order" });
+    }
+  });
+
+  // Customer's own orders, newest first (?page=&limit=)
+  async function myOrders(req, res) {
+    try {
+      const actor = await resolveActor(req.user);
+      if (actor.role !== "customer") return res.status(403).json({ error: "Only customers have an order history" });
+      return res.json(await listCustomerOrders(actor.id, req.query));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Order history error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to fetch orders" });
+    }
+  }
+  router.get("/mine", schemaReady, authMiddleware, myOrders);
+  // GET /api/orders for other roles is handled in server.js
+  router.get("/", schemaReady, authMiddleware, (req, res, next) => {
+    const role = String((req.user && req.user.role) || "").toLowerCase();
+    if (["admin", "restaurant", "delivery_agent"].includes(role)) return next();
+    return myOrders(req, res);
+  });
+
+  // Cart rebuilt from a past order at today's prices, with what changed or is gone
+  router.post("/:orderId/reorder", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      return res.json(await buildReorder(req.params.orderId, actor));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Reorder error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to rebuild order" });
+    }
+  });
+
+  // Everything that happened to the order, oldest first, with who did it
+  router.get("/:orderId/timeline", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      return res.json(await orderTimeline(req.params.orderId, actor));
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Order timeline error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to load order timeline" });
+    }
+  });
+
+  // Tax invoice for a delivered order: ?format=html (printable, default) | pdf | json.
+  // Links from the browser pass ?token=
+  router.get("/:orderId/invoice", schemaReady, invoiceReady, authMiddleware, async (req, res) => {
+    const format = ["pdf", "json"].includes(req.query.format) ? req.query.format : "html";
+    try {
+      const actor = await resolveActor(req.user);
+      const invoice = await getInvoice(req.params.orderId, actor);
+      if (format === "json") return res.json(invoice);
+      const filename = `invoice-${invoice.invoice_number.replace(/\//g, "-")}`;
+      if (format === "pdf") {
+        res.set("Content-Disposition", `attachment; filename="${filename}.pdf"`);
+        return res.type("application/pdf").send(await renderInvoicePdf(invoice));
+      }
+      const pdfUrl = `${req.baseUrl}/${invoice.order.id}/invoice?format=pdf${req.query.token ? `&token=${encodeURIComponent(req.query.token)}` : ""}`;
+      return res.type("html").send(renderInvoiceHtml(invoice, { pdfUrl }));
+    } catch (err) {
+      if (err instanceof HttpError) {
+        if (format === "html") return res.status(err.status).type("text").send(err.message);
+        return res.status(err.status).json(err.toJSON());
+      }
+      console.error("Invoice error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to generate invoice" });
+    }
+  });
+
+  // What cancelling right now would cost (shown before the customer confirms)
+  router.get("/:orderId/cancel", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      const { terms } = await previewCancellation(req.params.orderId, actor);
+      return res.json(terms);
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Cancel preview error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to check cancellation" });
+    }
+  });
+
+  // Customer cancellation: free before acceptance, fee after, blocked after pickup
+  router.post("/:orderId/cancel", schemaReady, authMiddleware, async (req, res) => {
+    try {
+      const actor = await resolveActor(req.user);
+      const { reason } = req.body || {};
+      const order = await cancelOrder(req.params.orderId, actor, { io, reason });
+      return res.json({ message: "Order cancelled", order_id: order.id, status: order.status, refund: order.refund });
+    } catch (err) {
+      if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+      console.error("Order cancel error:", err?.message || err);
+      return res.status(500).json({ error: "Failed to cancel order" });
+    }
+  });
+
+  return router;
+};
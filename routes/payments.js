@@ -0,0 +1,124 @@
+// Payment routes — mounted by server.js at /api/payments
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware, optionalAuth } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const {
+  ensurePaymentSchema,
+  createPayment,
+  verifyCheckout,
+  handleWebhook,
+  mockCheckout,
+  paymentStatusForOrder,
+} = require("../api/utils/payments");
+const { ensureUpiSchema, createUpiRequest, upiQr, isTrustedConfirmer, confirmUpiPayment } = require("../api/utils/upi");
+
+const router = express.Router();
+const schemaReady = schemaGuard(async () => {
+  await ensurePaymentSchema();
+  await ensureUpiSchema();
+});
+
+// Open a gateway order for { order_id }; the amount is the order's stored total
+router.post("/create", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.status(201).json(await createPayment((req.body || {}).order_id, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payment create error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to start payment" });
+  }
+});
+
+// Checkout success handler posts the signed ids here
+router.post("/verify", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json({ success: true, ...(await verifyCheckout(req.body, actor)) });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payment verify error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to verify payment" });
+  }
+});
+
+// Razorpay webhooks (payment.captured, payment.failed, refund.processed, ...)
+router.post("/webhook", schemaReady, async (req, res) => {
+  try {
+    const raw = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+    const result = await handleWebhook(raw, req.get("X-Razorpay-Signature"), req.get("X-Razorpay-Event-Id"));
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payment webhook error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+// Offline stand-in for the Razorpay popup: { gateway_order_id, outcome: "success" | "failure" }
+router.post("/mock/checkout", schemaReady, async (req, res) => {
+  try {
+    const { gateway_order_id, outcome } = req.body || {};
+    return res.json(await mockCheckout(gateway_order_id, outcome));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Mock checkout error:", err?.message || err);
+    return res.status(500).json({ error: "Mock checkout failed" });
+  }
+});
+
+router.get("/order/:orderId", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await paymentStatusForOrder(req.params.orderId, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payment status error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch payment" });
+  }
+});
+
+// UPI intent + QR for { order_id }; the order stays payment-pending until confirmed
+router.post("/upi/create", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.status(201).json(await createUpiRequest((req.body || {}).order_id, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("UPI request error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to create UPI request" });
+  }
+});
+
+// QR image (?format=png|svg); <img> tags pass ?token=
+router.get("/upi/:reference/qr", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    const qr = await upiQr(req.params.reference, actor, req.query.format === "png" ? "png" : "svg");
+    res.set("Cache-Control", "no-store");
+    return res.type(qr.type).send(qr.body);
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("UPI QR error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to render QR code" });
+  }
+});
+
+// Reconciliation: { reference, amount, utr } from an admin or the bank webhook stand-in
+router.post("/upi/confirm", schemaReady, optionalAuth, async (req, res) => {
+  try {
+    const actor = req.user ? await resolveActor(req.user) : null;
+    if (!isTrustedConfirmer(actor, req.get("X-UPI-Webhook-Secret"))) {
+      return res.status(403).json({ error: "Only admins can confirm UPI payments" });
+    }
+    return res.json({ success: true, ...(await confirmUpiPayment(req.body || {}, actor)) });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("UPI confirm error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to confirm UPI payment" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// Recommendation routes — mounted by server.js at /api/recommendations
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { optionalAuth } = require("../api/utils/auth");
+const { homeFeed, restaurantRecommendations } = require("../api/utils/recommendations");
+
+const router = express.Router();
+
+// Sections for the home page; personal when signed in with past orders (?lat=&lng= for what delivers there)
+router.get("/home", optionalAuth, async (req, res) => {
+  try {
+    return res.json(await homeFeed(req.user, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Home recommendations error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch recommendations" });
+  }
+});
+
+// "People who ordered X also ordered Y" for a restaurant page; ?items=1,2 with the cart's menu ids
+router.get("/restaurant/:id", optionalAuth, async (req, res) => {
+  try {
+    return res.json(await restaurantRecommendations(req.params.id, req.user, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Restaurant recommendations error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch recommendations" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// Referral routes — mounted by server.js at /api/referrals
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { ensureReferralSchema, referralDashboard } = require("../api/utils/referrals");
+
+const router = express.Router();
+const schemaReady = schemaGuard(ensureReferralSchema);
+
+// The signed-in customer's code, invites, conversions and rewards earned
+router.get("/me", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    return res.json(await referralDashboard(req.user.id));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Referral dashboard error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to load referrals" });
+  }
+});
+
+module.exports = router;
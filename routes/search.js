@@ -0,0 +1,62 @@
+// Search routes — mounted by server.js at /api/search
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware, optionalAuth } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const { ensureSearchSchema, search, suggest } = require("../api/utils/search");
+const { ensureSearchLogSchema, logSearch, trendingQueries, recentSearches, zeroResultQueries } = require("../api/utils/searchLog");
+
+const router = express.Router();
+const schemaReady = schemaGuard(async () => {
+  await ensureSearchSchema();
+  await ensureSearchLogSchema();
+});
+
+// Ranked dishes plus matching restaurants, with facets (see api/utils/search.js for the parameters)
+router.get("/", schemaReady, optionalAuth, async (req, res) => {
+  try {
+    const result = await search(req.query);
+    // Page one only, so paging through results does not count as searching again
+    if (result.query.trim() && result.page === 1) {
+      logSearch(req.user && req.user.id, result.query, result.total + result.restaurants.length)
+        .catch((err) => console.error("Search log error:", err?.message || err));
+    }
+    return res.json(result);
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Search error:", err?.message || err);
+    return res.status(500).json({ error: "Search failed" });
+  }
+});
+
+// As-you-type: ?q=&limit= -> { suggestions, trending, recent }; with an empty q only trending and recent
+router.get("/suggest", schemaReady, optionalAuth, async (req, res) => {
+  try {
+    const [suggestions, trending, recent] = await Promise.all([
+      suggest(req.query.q, req.query.limit),
+      trendingQueries(),
+      recentSearches(req.user && req.user.id),
+    ]);
+    return res.json({ query: String(req.query.q || ""), suggestions, trending, recent });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Search suggest error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch suggestions" });
+  }
+});
+
+// Admin: ?days=30&limit=50 -> searches that found nothing, most asked first
+router.get("/zero-results", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can view search reports" });
+    return res.json(await zeroResultQueries(req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Zero-result report error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch zero-result searches" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+// Restaurant settlement routes — mounted by server.js at /api/settlements
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const {
+  ensureSettlementSchema,
+  generatePayouts,
+  listPayouts,
+  listAllPayouts,
+  payoutStatement,
+  payoutCsv,
+  markPayoutPaid,
+  setCommissionRate,
+} = require("../api/utils/settlements");
+const { setRestaurantGstin } = require("../api/utils/invoices");
+
+const router = express.Router();
+const schemaReady = schemaGuard(ensureSettlementSchema);
+
+// Admin: every restaurant's payouts (?status=pending|paid)
+router.get("/payouts", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await listAllPayouts(actor, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payout list error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch payouts" });
+  }
+});
+
+// Restaurant (own) or admin: payout history and the open week's running totals
+router.get("/restaurant/:restaurantId", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await listPayouts(req.params.restaurantId, actor, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Restaurant payouts error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch payouts" });
+  }
+});
+
+router.get("/payouts/:payoutId", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await payoutStatement(req.params.payoutId, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payout statement error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch statement" });
+  }
+});
+
+// CSV download; links pass ?token=
+router.get("/payouts/:payoutId/csv", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    const csv = await payoutCsv(req.params.payoutId, actor);
+    res.set("Content-Disposition", `attachment; filename="${csv.filename}"`);
+    return res.type("text/csv").send(csv.body);
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payout CSV error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to export statement" });
+  }
+});
+
+// Admin: { reference } of the bank transfer
+router.post("/payouts/:payoutId/pay", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await markPayoutPaid(req.params.payoutId, actor, req.body || {}));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payout update error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to mark payout as paid" });
+  }
+});
+
+// Admin: close finished weeks now instead of waiting for the hourly job
+router.post("/generate", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can generate payouts" });
+    return res.json(await generatePayouts({ restaurantId: (req.body || {}).restaurant_id || null }));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Payout generation error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to generate payouts" });
+  }
+});
+
+// Admin: { commission_rate } as a fraction, null for the platform default
+router.put("/restaurant/:restaurantId/commission", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    const { commission_rate } = req.body || {};
+    return res.json(await setCommissionRate(req.params.restaurantId, commission_rate ?? null, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Commission update error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update commission" });
+  }
+});
+
+// Admin or the restaurant itself: { gstin } printed on its tax invoices
+router.put("/restaurant/:restaurantId/gstin", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    return res.json(await setRestaurantGstin(req.params.restaurantId, (req.body || {}).gstin, actor));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("GSTIN update error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update GSTIN" });
+  }
+});
+
+module.exports = router;
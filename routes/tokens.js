@@ -0,0 +1,58 @@
+// Tindo Tokens wallet routes — mounted by server.js at /api/tokens
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const { ensureTokenSchema, wallet, transactions, redemptionQuote, addTokens } = require("../api/utils/tokenSystem");
+
+const router = express.Router();
+const schemaReady = schemaGuard(ensureTokenSchema);
+
+// Balance, rupee value, what expires soon and the earning rules
+router.get("/wallet", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    return res.json(await wallet(req.user.id));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Token wallet error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to load wallet" });
+  }
+});
+
+router.get("/transactions", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    return res.json(await transactions(req.user.id, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Token history error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to load token history" });
+  }
+});
+
+// Checkout preview: ?total= order amount -> tokens usable and the discount they give
+router.get("/quote", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    return res.json(await redemptionQuote(req.user.id, req.query.total));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Token quote error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to quote tokens" });
+  }
+});
+
+// Admin goodwill credit: { user_id, tokens, description }
+router.post("/credit", schemaReady, authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can credit tokens" });
+    const { user_id, tokens, description } = req.body || {};
+    return res.json(await addTokens(user_id, tokens, { description: description || "Credited by Tindo" }));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Token credit error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to credit tokens" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+// Saved address routes — mounted by server.js at /api/user-addresses
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { ensureAddressSchema, listAddresses, saveAddress, deleteAddress } = require("../api/utils/addresses");
+
+const router = express.Router();
+
+router.use(schemaGuard(ensureAddressSchema), authMiddleware);
+
+router.get("/", async (req, res) => {
+  try {
+    return res.json(await listAddresses(req.user.id));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Address list error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch addresses" });
+  }
+});
+
+// 422 { code: 'not_serviceable' } when the pin is outside every delivery zone
+router.post("/", async (req, res) => {
+  try {
+    return res.status(201).json(await saveAddress(req.user.id, req.body));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Address save error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to save address" });
+  }
+});
+
+router.delete("/:id", async (req, res) => {
+  try {
+    return res.json(await deleteAddress(req.user.id, req.params.id));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Address delete error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to delete address" });
+  }
+});
+
+module.exports = router;
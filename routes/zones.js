@@ -0,0 +1,80 @@
+// Delivery zone routes — mounted by server.js at /api/zones
+const express = require("express");
+const { HttpError } = require("../api/utils/errors");
+const { authMiddleware } = require("../api/utils/auth");
+const { schemaGuard } = require("../api/utils/schema");
+const { resolveActor } = require("../api/utils/orderLifecycle");
+const {
+  ensureDeliveryZoneSchema,
+  listZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  checkPoint,
+} = require("../api/utils/deliveryZones");
+
+const router = express.Router();
+router.use(schemaGuard(ensureDeliveryZoneSchema));
+
+// Address page: ?lat=&lng= -> { serviceable, zone }
+router.get("/check", async (req, res) => {
+  try {
+    return res.json(await checkPoint(req.query.lat, req.query.lng));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Zone check error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to check delivery area" });
+  }
+});
+
+router.get("/", authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage delivery zones" });
+    return res.json(await listZones());
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Zone list error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch delivery zones" });
+  }
+});
+
+// { name, geojson, min_order_value, delivery_tiers: "3:20,6:35", start_time, end_time, is_active }
+router.post("/", authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage delivery zones" });
+    return res.status(201).json(await createZone(req.body));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Zone create error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to create delivery zone" });
+  }
+});
+
+// Any of the create fields
+router.patch("/:id", authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage delivery zones" });
+    return res.json(await updateZone(req.params.id, req.body));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Zone update error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update delivery zone" });
+  }
+});
+
+router.delete("/:id", authMiddleware, async (req, res) => {
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can manage delivery zones" });
+    return res.json(await deleteZone(req.params.id));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Zone delete error:", err?.message || err);
+    return res.status(500).json({ error: "Failed to delete delivery zone" });
+  }
+});
+
+module.exports = router;
@@ -14,6 +14,30 @@ const bcrypt = require("bcryptjs");
 dotenv.config();
 
 const db = require("./db");
+const { attachOrderItems } = require("./api/utils/orders");
+const { assignAgent, resolveActor } = require("./api/utils/orderLifecycle");
+const { HttpError } = require("./api/utils/errors");
+const sockets = require("./api/utils/sockets");
+const { cancelOrder } = require("./api/utils/cancellation");
+const { startOrderScheduler } = require("./api/utils/scheduling");
+const { purgeExpiredKeys } = require("./api/utils/idempotency");
+const { startUpiExpiryJob } = require("./api/utils/upi");
+const { startSettlementJob } = require("./api/utils/settlements");
+const { startTokenExpiryJob, awardReviewBonus } = require("./api/utils/tokenSystem");
+const { startCouponCampaignJob } = require("./api/utils/couponCampaigns");
+const { startRecommendationJob } = require("./api/utils/recommendations");
+const codLedger = require("./api/utils/codLedger");
+const { setSocketServer: setPaymentSocketServer } = require("./api/utils/payments");
+const { ensureSearchSchema, parseVeg, invalidateSearchIndex } = require("./api/utils/search");
+const { assertGatewayConfigured } = require("./api/utils/paymentGateway");
+const { assertAuthConfigured } = require("./api/utils/auth");
+
+// Refuse to start with live payments half-configured (PAYMENT_GATEWAY=mock for local development)
+assertGatewayConfigured();
+// ...or without a JWT signing secret
+assertAuthConfigured();
+const { listRestaurants } = require("./api/utils/restaurantListing");
+const { categoryIdFor, categoryItems } = require("./api/utils/categories");
 // Small helper error type for clearer runtime errors when parsing paths/params
 class PathError extends Error {
   constructor(message, cause) {
@@ -70,7 +94,7 @@ async function getMapplsToken() {
 
 
 // Optional modular routes (if present in repo)
-let authRoutes, authMiddleware, orderRoutes, paymentRoutes, trackingRoutes, userAddressesRoutes, deliveryRoutes;
+let authRoutes, authMiddleware, orderRoutes, paymentRoutes, trackingRoutes, userAddressesRoutes, deliveryRoutes, settlementRoutes, tokenRoutes, cartRoutes, couponRoutes, offerRoutes, notificationRoutes, referralRoutes, searchRoutes, zoneRoutes, categoryRoutes, recommendationRoutes;
 try {
   ({ router: authRoutes, authMiddleware } = require("./routes/auth"));
 } catch (_) {}
@@ -82,6 +106,17 @@ try { paymentRoutes = require("./routes/payments"); } catch (_) {}
 try { trackingRoutes = require("./routes/tracking"); } catch (_) {}
 try { userAddressesRoutes = require("./routes/user-addresses"); } catch (_) {}
 try { deliveryRoutes = require("./routes/delivery"); } catch (_) {}
+try { settlementRoutes = require("./routes/settlements"); } catch (_) {}
+try { tokenRoutes = require("./routes/tokens"); } catch (_) {}
+try { cartRoutes = require("./routes/cart"); } catch (_) {}
+try { couponRoutes = require("./routes/coupons"); } catch (_) {}
+try { offerRoutes = require("./routes/offers"); } catch (_) {}
+try { notificationRoutes = require("./routes/notifications"); } catch (_) {}
+try { referralRoutes = require("./routes/referrals"); } catch (_) {}
+try { searchRoutes = require("./routes/search"); } catch (_) {}
+try { zoneRoutes = require("./routes/zones"); } catch (_) {}
+try { categoryRoutes = require("./routes/categories"); } catch (_) {}
+try { recommendationRoutes = require("./routes/recommendations"); } catch (_) {}
 
 // Ensure authMiddleware is always defined to avoid "not recognised" errors
 if (typeof authMiddleware !== "function") {
@@ -93,7 +128,12 @@ const server = http.createServer(app);
 const io = new Server(server, { cors: { origin: "*" } });
 
 // Body parsing
-app.use(bodyParser.json());
+// Webhook signatures are computed over the exact bytes received
+app.use(bodyParser.json({
+  verify: (req, _res, buf) => {
+    if (req.originalUrl.startsWith("/api/payments/webhook")) req.rawBody = buf;
+  },
+}));
 app.use(express.json());
 
 // ✅ CORS Setup
@@ -242,17 +282,12 @@ app.get("/api/restaurants/top", async (req, res) => {
 });
 
 // ===== Restaurants List =====
+// ?lat&lng limit it to restaurants that deliver there (with distance and ETA); see restaurantListing.js for filters
 app.get("/api/restaurants", async (req, res) => {
   try {
-    const [results] = await db.execute(`
-      SELECT r.*,
-             (SELECT ROUND(AVG(rv.rating),1) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS avg_rating,
-             (SELECT COUNT(*) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS rating_count
-      FROM restaurants r
-      WHERE r.status='approved'
-    `);
-    return res.json(results);
+    return res.json(await listRestaurants(req.query));
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
     console.error("Error fetching restaurants:", err?.message || err);
     try {
       const fb = await fetchFallbackRestaurantCards(20);
@@ -405,7 +440,13 @@ app.post("/api/orders/:orderId/review", async (req, res) => {
   "INSERT INTO restaurant_reviews (order_id, user_id, restaurant_id, rating, comment) VALUES (?,?,?,?,?)",
       [orderId, ord.user_id || null, ord.restaurant_id, Math.round(rating), comment || null]
     );
-    return res.json({ message: "Thanks for your review!" });
+    let tokens = 0;
+    try {
+      tokens = await awardReviewBonus(orderId, ord.user_id);
+    } catch (e) {
+      console.warn("Review bonus failed:", e?.message || e);
+    }
+    return res.json({ message: "Thanks for your review!", tokens_awarded: tokens });
   } catch (err) {
     console.error("Review submit error:", err?.message || err);
     return res.status(500).json({ error: "Failed to submit review" });
@@ -450,6 +491,16 @@ app.get("/api/restaurant/:id/menu", async (req, res) => {
     return res.status(500).json({ message: "Error fetching menu items" });
   }
 });
+// ?category= (id, slug, name or synonym) with optional lat/lng; see categories.js
+app.get("/api/menu", async (req, res) => {
+  try {
+    return res.json(await categoryItems(req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Error fetching category items:", err?.message || err);
+    return res.status(500).json({ error: "Failed to fetch menu items" });
+  }
+});
 app.get("/api/menu/by-restaurant/:id", async (req, res) => {
   try {
     const restaurantId = req.params.id;
@@ -466,13 +517,16 @@ app.post("/api/menu", authMiddleware, upload.single("image"), async (req, res) =
     if (user.role && user.role !== "restaurant")
       return res.status(403).json({ error: "Only restaurants can add menu items" });
     const restaurantId = user.restaurant_id || 1; // fallback for local dev
-    const { item_name, price, description, category } = req.body;
+    const { item_name, price, description, category, is_veg } = req.body;
     const imageUrl = req.file ? req.file.filename : null;
     if (!item_name || !price) return res.status(400).json({ error: "Missing item_name or price" });
+    await ensureSearchSchema();
+    const categoryId = await categoryIdFor(category, item_name);
     const [result] = await db.execute(
-      "INSERT INTO menu (restaurant_id, item_name, description, price, category, image_url, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())",
-      [restaurantId, item_name, description || "", Number(price) || 0, category || null, imageUrl]
+      "INSERT INTO menu (restaurant_id, item_name, description, price, category, category_id, image_url, is_veg, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())",
+      [restaurantId, item_name, description || "", Number(price) || 0, category || null, categoryId, imageUrl, parseVeg(is_veg)]
     );
+    invalidateSearchIndex();
     return res.json({ message: "Dish added", id: result.insertId });
   } catch (err) {
     console.error("Error adding menu item:", err?.message || err);
@@ -486,9 +540,10 @@ app.post("/api/menu/test-add", upload.single("image"), async (req, res) => {
     if (!item_name || !price) return res.status(400).json({ error: "Missing item_name or price" });
     const restaurantId = 1;
     const [result] = await db.execute(
-      "INSERT INTO menu (restaurant_id, item_name, description, price, category, image_url, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())",
-      [restaurantId, item_name, description || "", Number(price) || 0, category || null, imageUrl]
+      "INSERT INTO menu (restaurant_id, item_name, description, price, category, category_id, image_url, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())",
+      [restaurantId, item_name, description || "", Number(price) || 0, category || null, await categoryIdFor(category, item_name), imageUrl]
     );
+    invalidateSearchIndex();
     return res.json({ message: "Test dish added", id: result.insertId });
   } catch (err) {
     console.error("TEST_ADD error:", err?.message || err);
@@ -516,6 +571,7 @@ app.delete("/api/menu/:id", authMiddleware, async (req, res) => {
     if (user.role && user.role !== "admin" && user.restaurant_id !== ownerId)
       return res.status(403).json({ error: "Not authorized" });
     await db.execute("DELETE FROM menu WHERE id = ?", [menuId]);
+    invalidateSearchIndex();
     return res.json({ message: "Deleted" });
   } catch (err) {
     console.error("Error deleting menu item:", err?.message || err);
@@ -532,6 +588,17 @@ if (orderRoutes) {
 if (paymentRoutes) app.use("/api/payments", paymentRoutes);
 if (trackingRoutes) app.use("/api/tracking", trackingRoutes);
 if (userAddressesRoutes) app.use("/api/user-addresses", userAddressesRoutes);
+if (settlementRoutes) app.use("/api/settlements", settlementRoutes);
+if (tokenRoutes) app.use("/api/tokens", tokenRoutes);
+if (cartRoutes) app.use("/api/cart", cartRoutes);
+if (couponRoutes) app.use("/api/coupons", couponRoutes);
+if (offerRoutes) app.use("/api/offers", offerRoutes);
+if (notificationRoutes) app.use("/api/notifications", notificationRoutes);
+if (referralRoutes) app.use("/api/referrals", referralRoutes);
+if (searchRoutes) app.use("/api/search", searchRoutes);
+if (zoneRoutes) app.use("/api/zones", zoneRoutes);
+if (categoryRoutes) app.use("/api/categories", categoryRoutes(upload));
+if (recommendationRoutes) app.use("/api/recommendations", recommendationRoutes);
 if (deliveryRoutes) {
   try {
     const dr = deliveryRoutes(io);
@@ -633,18 +700,6 @@ app.get('/api/top-restaurants', async (req, res) => {
   }
 });
 
-// Restaurants list
-app.get('/api/restaurants', async (req, res) => {
-  try {
-  const [results] = await db.execute(`SELECT r.*, (SELECT ROUND(AVG(rv.rating),1) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS avg_rating, (SELECT COUNT(*) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS rating_count FROM restaurants r WHERE r.status='approved'`);
-    return res.json(results);
-  } catch (err) {
-    console.error('Error fetching restaurants:', err?.message || err);
-    try { const fallback = await fetchFallbackRestaurantCards(20); return res.json(fallback); } catch (e) { console.error('Restaurants fallback failed:', e?.message || e); }
-    return res.status(500).json({ error: 'DB error' });
-  }
-});
-
 // Reverse geocode fallback
 app.get('/api/geocode/reverse', async (req, res) => {
   try {
@@ -693,71 +748,6 @@ app.get('/api/restaurants/:id/reviews/summary', async (req, res) => {
 app.get('/favicon.ico', (req, res) => res.status(204).end());
 
 
-// ✅ Delivery agent assignment route (fixed async + clean logic)
-app.put('/api/orders/:orderId/assign', async (req, res) => {
-  try {
-    const orderId = req.params.orderId;
-    const { rlat, rlng, agents, loadMap, ASSIGN_MAX_KM = 10 } = req.body;
-
-    // If required data missing
-    if (!orderId || !Array.isArray(agents) || !rlat || !rlng) {
-      return res.status(400).json({ error: 'Missing data for assignment' });
-    }
-
-    // Helper functions
-    const toRad = (d) => (d * Math.PI) / 180;
-    const R = 6371; // Earth's radius in km
-    const dist = (aLat, aLng, bLat, bLng) => {
-      const dLat = toRad(bLat - aLat);
-      const dLng = toRad(bLng - aLng);
-      const sa =
-        Math.sin(dLat / 2) ** 2 +
-        Math.cos(toRad(aLat)) *
-          Math.cos(toRad(bLat)) *
-          Math.sin(dLng / 2) ** 2;
-      const c = 2 * Math.atan2(Math.sqrt(sa), Math.sqrt(1 - sa));
-      return R * c;
-    };
-
-    // Prepare candidates list
-    let candidates = agents.map((a) => ({
-      id: a.id,
-      d: dist(rlat, rlng, Number(a.lat), Number(a.lng)),
-      load: loadMap?.[a.id] ?? 0,
-    }));
-
-    // Filter by distance threshold
-    candidates = candidates.filter((c) => c.d <= ASSIGN_MAX_KM);
-    if (!candidates.length) {
-      return res
-        .status(400)
-        .json({ error: `No active agents within ${ASSIGN_MAX_KM} km` });
-    }
-
-    // Sort by current load, then distance
-    candidates.sort((a, b) => a.load - b.load || a.d - b.d);
-    const best = candidates[0];
-
-    // ✅ Fix: await only works inside async (this route is async)
-    await db.execute(
-      'UPDATE orders SET agent_id = ?, status = "Confirmed" WHERE id = ?',
-      [best.id, orderId]
-    );
-
-    res.json({
-      message: 'Agent assigned (nearest)',
-      agent_id: best.id,
-      distance_km: Number(best.d.toFixed(2)),
-    });
-  } catch (err) {
-    console.error('Assign agent failed:', err);
-    res.status(500).json({
-      error: 'Failed to assign agent',
-      details: err.message,
-    });
-  }
-});
-
 app.get('/api/admin/delivery', async (req, res) => {
   try {
     const showAll = String(req.query.all || '').toLowerCase() === 'true';
@@ -959,6 +949,7 @@ app.put("/api/restaurants/approve/:id", async (req, res) => {
       "UPDATE users SET status='approved' WHERE restaurant_id=?",
       [req.params.id]
     );
+    invalidateSearchIndex();
     res.json({ message: "Restaurant approved ✅" });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -977,6 +968,7 @@ app.put("/api/restaurants/reject/:id", async (req, res) => {
     await db.execute("UPDATE users SET status='rejected' WHERE restaurant_id=?", [
       req.params.id,
     ]);
+    invalidateSearchIndex();
 
     res.json({ message: "Restaurant rejected ❌" });
   } catch (err) {
@@ -998,80 +990,6 @@ app.get("/api/admin/restaurants", async (req, res) => {
 });
 
 
-// ✅ Public: List only approved restaurants with ratings
-app.get("/api/restaurants", async (req, res) => {
-  try {
-    const [results] = await db.execute(`
-      SELECT 
-        r.*,
-        (SELECT ROUND(AVG(rv.rating),1) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS avg_rating,
-          (SELECT COUNT(*) FROM restaurant_reviews rv WHERE rv.restaurant_id = r.id) AS rating_count
-      FROM restaurants r
-      WHERE r.status='approved'
-    `);
-    return res.json(results);
-  } catch (err) {
-    console.error("Error fetching restaurants:", err.message);
-    // Graceful fallback (no SQL fragments)
-    try {
-      const fallback = await fetchFallbackRestaurantCards(20);
-
-      // Server-side search endpoint: search menu items and include restaurant metadata
-      app.get('/api/search', async (req, res) => {
-        try {
-          const q = (req.query.q || '').trim();
-          if (!q) return res.json({ results: [], total: 0 });
-
-          // pagination support
-          const limit = Math.min(100, parseInt(req.query.limit) || 50);
-          const offset = Math.max(0, parseInt(req.query.offset) || 0);
-
-          // Use case-insensitive search by lowering input and comparing with LOWER(...) in query
-          const like = `%${q.toLowerCase()}%`;
-
-          const sql = `
-            SELECT m.id as menu_id, m.item_name, m.description, m.price, m.image_url as item_image,
-                   r.id as restaurant_id, r.name as restaurant_name, r.address as restaurant_address,
-                   COALESCE(r.latitude, r.lat) as latitude, COALESCE(r.longitude, r.lng) as longitude,
-                   r.image_url as restaurant_image, r.eta as restaurant_eta
-            FROM menu m
-            JOIN restaurants r ON m.restaurant_id = r.id
-            WHERE LOWER(m.item_name) LIKE ?
-               OR LOWER(m.category) LIKE ?
-               OR LOWER(r.name) LIKE ?
-            ORDER BY m.item_name ASC
-            LIMIT ? OFFSET ?
-          `;
-
-          const [rows] = await db.execute(sql, [like, like, like, limit, offset]);
-
-          // count total (simple count query)
-          const countSql = `
-            SELECT COUNT(*) as total
-            FROM menu m
-            JOIN restaurants r ON m.restaurant_id = r.id
-            WHERE LOWER(m.item_name) LIKE ?
-               OR LOWER(m.category) LIKE ?
-               OR LOWER(r.name) LIKE ?
-          `;
-          const [countRows] = await db.execute(countSql, [like, like, like]);
-          const total = (countRows && countRows[0] && countRows[0].total) || 0;
-
-          res.json({ results: rows, total });
-        } catch (err) {
-          console.error('Search error:', err);
-          res.status(500).json({ error: 'Search failed' });
-        }
-      });
-      return res.json(fallback);
-    } catch (fallbackErr) {
-      console.error("Restaurants fallback failed:", fallbackErr.message);
-    }
-    return res.status(500).json({ error: "DB error" });
-  }
-});
-
-
 // For admin to manage menu
 app.get("/api/admin/menu", async (req, res) => {
   try {
@@ -1104,7 +1022,8 @@ app.get("/api/orders", authMiddleware, async (req, res) => {
       query = "SELECT * FROM orders";
     } else if (role === "restaurant") {
       // ✅ FIXED: use restaurant_id instead of user id
-      query = "SELECT * FROM orders WHERE restaurant_id = ?";
+      // Unpaid UPI/online orders stay out of the restaurant's queue until paid
+      query = "SELECT * FROM orders WHERE restaurant_id = ? AND status <> 'Awaiting Payment'";
       params = [restaurant_id];
     } else {
       return res.status(403).json({ error: "Unauthorized" });
@@ -1124,10 +1043,10 @@ app.get("/api/orders/restaurant/:restaurantId", async (req, res) => {
   const { restaurantId } = req.params;
 
   try {
-    const query = "SELECT * FROM orders WHERE restaurant_id = ?";
+    const query = "SELECT * FROM orders WHERE restaurant_id = ? AND status <> 'Awaiting Payment'";
     const [orders] = await db.execute(query, [restaurantId]);
 
-    res.json(orders);
+    res.json(await attachOrderItems(orders));
   } catch (error) {
     console.error("Error fetching restaurant orders:", error);
     res.status(500).json({ error: "Failed to fetch restaurant orders" });
@@ -1176,15 +1095,18 @@ app.post('/api/menu', authMiddleware, upload.single('image'), async (req, res) =
     if (user.role !== 'restaurant') return res.status(403).json({ error: 'Only restaurants can add menu items' });
 
     const restaurantId = user.restaurant_id;
-    const { item_name, price, description, category } = req.body;
+    const { item_name, price, description, category, is_veg } = req.body;
     const imageUrl = req.file ? req.file.filename : null;
 
     if (!item_name || !price) return res.status(400).json({ error: 'Missing item_name or price' });
 
+    await ensureSearchSchema();
+    const categoryId = await categoryIdFor(category, item_name);
     const [result] = await db.execute(
-      'INSERT INTO menu (restaurant_id, item_name, description, price, category, image_url, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
-      [restaurantId, item_name, description || '', Number(price) || 0, category || null, imageUrl]
+      'INSERT INTO menu (restaurant_id, item_name, description, price, category, category_id, image_url, is_veg, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())',
+      [restaurantId, item_name, description || '', Number(price) || 0, category || null, categoryId, imageUrl, parseVeg(is_veg)]
     );
+    invalidateSearchIndex();
 
     res.json({ message: 'Dish added', id: result.insertId });
   } catch (err) {
@@ -1204,10 +1126,11 @@ app.post('/api/menu/test-add', upload.single('image'), async (req, res) => {
     // Use restaurant_id = 1 for local tests
     const restaurantId = 1;
     const [result] = await db.execute(
-      'INSERT INTO menu (restaurant_id, item_name, description, price, category, image_url, created_at) VALUES (?, ?, ?, ?, ?, ?, NOW())',
-      [restaurantId, item_name, description || '', Number(price) || 0, category || null, imageUrl]
+      'INSERT INTO menu (restaurant_id, item_name, description, price, category, category_id, image_url, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, NOW())',
+      [restaurantId, item_name, description || '', Number(price) || 0, category || null, await categoryIdFor(category, item_name), imageUrl]
     );
     console.log('TEST_ADD DB result:', result);
+    invalidateSearchIndex();
     res.json({ message: 'Test dish added', id: result.insertId });
   } catch (err) {
     console.error('TEST_ADD error:', err);
@@ -1239,6 +1162,7 @@ app.delete('/api/menu/:id', authMiddleware, async (req, res) => {
     if (user.role !== 'admin' && user.restaurant_id !== ownerId) return res.status(403).json({ error: 'Not authorized' });
 
     await db.execute('DELETE FROM menu WHERE id = ?', [menuId]);
+    invalidateSearchIndex();
     res.json({ message: 'Deleted' });
   } catch (err) {
     console.error('Error deleting menu item:', err);
@@ -1633,16 +1557,18 @@ app.get("/api/orders/all", async (req, res) => {
 });
 
 // Assign an agent (placeholder)
-app.post("/api/admin/orders/:orderId/assign", async (req, res) => {
+app.post("/api/admin/orders/:orderId/assign", authMiddleware, async (req, res) => {
   const { orderId } = req.params;
+  if (!req.user) return res.status(401).json({ error: "Authentication required" });
+  if (req.user.role !== "admin") return res.status(403).json({ error: "Only admins can assign agents" });
   try {
     const ASSIGN_MAX_KM = Number(process.env.ASSIGN_MAX_KM) || 10;
-    const ASSIGN_LOAD_STATUSES = (process.env.ASSIGN_LOAD_STATUSES || 'Pending,Confirmed,Picked')
+    const ASSIGN_LOAD_STATUSES = (process.env.ASSIGN_LOAD_STATUSES || 'Pending,Accepted,Confirmed,Ready,Picked,Picked Up')
       .split(',')
       .map(s => s.trim())
       .filter(Boolean);
     // Fetch order including restaurant_id
-    const [orderRows] = await db.execute("SELECT id, restaurant_id FROM orders WHERE id = ?", [orderId]);
+    const [orderRows] = await db.execute("SELECT id, restaurant_id, payment_method, total_price FROM orders WHERE id = ?", [orderId]);
     if (!orderRows.length) {
       return res.status(404).json({ error: "Order not found" });
     }
@@ -1702,21 +1628,79 @@ app.post("/api/admin/orders/:orderId/assign", async (req, res) => {
     if (!candidates.length) {
       return res.status(400).json({ error: `No active agents within ${ASSIGN_MAX_KM} km` });
     }
+    // COD orders skip agents who would go over the cash-in-hand limit
+    if (codLedger.isCashPayment(orderRows[0].payment_method)) {
+      await codLedger.ensureCodSchema();
+      const orderCash = Number(orderRows[0].total_price || 0);
+      const within = [];
+      for (const c of candidates) {
+        const projected = await codLedger.projectedCash(c.id, db, Number(orderId));
+        if (projected === null || projected + orderCash <= codLedger.COD_CASH_LIMIT) within.push(c);
+      }
+      if (!within.length) {
+        return res.status(409).json({ error: `All nearby agents are at the ₹${codLedger.COD_CASH_LIMIT} cash limit` });
+      }
+      candidates = within;
+    }
   candidates.sort((a,b)=> a.load - b.load || a.d - b.d);
   const best = candidates[0];
   const agentId = best.id;
-    await db.execute(
-      "UPDATE orders SET agent_id = ?, status = 'Confirmed' WHERE id = ?",
-      [agentId, orderId]
-    );
+    const actor = await resolveActor(req.user);
+    await assignAgent(Number(orderId), agentId, actor, { io });
 
   res.json({ message: "Agent assigned (nearest)", agent_id: agentId, distance_km: Number(best.d.toFixed(2)) });
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
     console.error("Error assigning agent:", err);
     res.status(500).json({ error: "Failed to assign agent", details: err.message });
   }
 });
 
+// Force-cancel from the Active Orders panel (no fee, allowed until delivery)
+app.post("/api/admin/orders/:orderId/cancel", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: "Authentication required" });
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin") return res.status(403).json({ error: "Only admins can force-cancel orders" });
+    const { reason } = req.body || {};
+    const order = await cancelOrder(req.params.orderId, actor, { io, reason, force: true });
+    res.json({ message: "Order cancelled", order_id: order.id, refund: order.refund });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Error force-cancelling order:", err);
+    res.status(500).json({ error: "Failed to cancel order" });
+  }
+});
+
+// COD settlement: admin records cash an agent handed over
+app.post("/api/admin/agents/:agentId/deposits", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: "Authentication required" });
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Admins only" });
+    const actor = await resolveActor(req.user);
+    const { amount, note } = req.body || {};
+    res.json(await codLedger.recordDeposit(req.params.agentId, amount, actor, note));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Error recording COD deposit:", err);
+    res.status(500).json({ error: "Failed to record deposit" });
+  }
+});
+
+// Per-agent COD statement: balance, collections, adjustments and deposits
+app.get("/api/admin/agents/:agentId/cod-statement", authMiddleware, async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: "Authentication required" });
+    if (req.user.role !== "admin") return res.status(403).json({ error: "Admins only" });
+    const actor = await resolveActor(req.user);
+    res.json(await codLedger.agentStatement(req.params.agentId, actor, req.query));
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json(err.toJSON());
+    console.error("Error fetching COD statement:", err);
+    res.status(500).json({ error: "Failed to fetch statement" });
+  }
+});
+
 // List delivery agents
 app.get("/api/admin/delivery", async (req, res) => {
   try {
@@ -1909,41 +1893,6 @@ app.delete("/api/admin/users/:id", authMiddleware, async (req, res) => {
   }
 });
 
-// ====== Realtime: Delivery agent live locations via Socket.IO ======
-// Track latest agent locations in-memory
-// Alias for compatibility with some client snippets referring to `agents`
-
-io.on("connection", (socket) => {
-  console.log("🟢 Socket connected:", socket.id);
-
-  // Agent sends live location
-  socket.on("agentLocation", (data) => {
-    try {
-      const { agentId, lat, lng } = data || {};
-      if (!agentId || typeof lat !== "number" || typeof lng !== "number") return;
-      // Defensive: ensure in-memory caches exist even if globals were cleared/reloaded
-      if (!global.deliveryAgents) global.deliveryAgents = {};
-      if (!global.agents) global.agents = {};
-      global.deliveryAgents[agentId] = { lat, lng };
-      global.agents[agentId] = { lat, lng };
-      // Mirror local references if they were defined at top-level
-      try { deliveryAgents[agentId] = { lat, lng }; } catch(_) {}
-      try { agents[agentId] = { lat, lng }; } catch(_) {}
-      // Broadcast to all clients (users + admins + other agents)
-      const payload = { agentId, lat, lng };
-      io.emit("locationUpdate", payload);
-      // Backward-compatible event echo
-      io.emit("agentLocation", payload);
-    } catch (e) {
-      console.error("agentLocation handler error:", e.message);
-    }
-  });
-
-  socket.on("disconnect", () => {
-    console.log("🔴 Socket disconnected:", socket.id);
-  });
-});
-
 // ✅ Catch-all route (Express 5 safe): serve SPA index for any unmatched request
 // Static middleware above will handle real files first; this ensures client-side routing works.
 // ========== ADMIN DASHBOARD ROUTES ==========
@@ -2212,14 +2161,15 @@ app.get('/api/delivery/:agentId/orders', async (req, res) => {
   try {
     const { agentId } = req.params;
     const [orders] = await db.query(`
-      SELECT o.id, o.restaurant_id, o.delivery_lat, o.delivery_lng, o.status,
+      SELECT o.id, o.restaurant_id, o.delivery_lat, o.delivery_lng, o.status, o.items,
+             o.payment_method, o.total_price,
              u.phone AS customer_phone, u.name AS customer_name
       FROM orders o
       LEFT JOIN users u ON o.user_id = u.id
       WHERE o.agent_id = ?
       ORDER BY o.id DESC
     `, [agentId]);
-    res.json(orders);
+    res.json(await attachOrderItems(orders));
   } catch (err) {
     console.error('Fetch delivery orders failed:', err);
     res.status(500).json({ error: 'Failed to fetch delivery orders' });
@@ -2229,37 +2179,41 @@ app.get('/api/delivery/:agentId/orders', async (req, res) => {
 // functions like `updateMap`/`drawDeliveryRoute`. Those are client-side and
 // must not be present in the server bundle. If you need server-side socket
 // handlers, wire them using the `io` object created around the HTTP server.
-app.get('/api/restaurants', async (req, res) => {
-  const [rows] = await db.execute(`
-    SELECT id, name, 
-           COALESCE(latitude, lat) AS lat, 
-           COALESCE(longitude, lng) AS lng
-    FROM restaurants
-  `);
-  res.json(rows);
-});
 
 // ====== DELIVERY AGENT LIVE LOCATION ======
 
 let deliveryAgents = {}; // Temporary store { agentId: { lat, lng, updatedAt } }
 
 // REST API: Save agent location from delivery-dashboard
-app.post("/api/delivery/location", (req, res) => {
-  const { agent_id, lat, lng } = req.body;
+// Only accepted for the signed-in agent's own id, as with the socket agentLocation event
+app.post("/api/delivery/location", authMiddleware, async (req, res) => {
+  const { agent_id, lat, lng } = req.body || {};
   if (!agent_id || !lat || !lng)
     return res.status(400).json({ error: "Missing agent_id, lat or lng" });
+  if (!req.user) return res.status(401).json({ error: "Authentication required" });
+  try {
+    const actor = await resolveActor(req.user);
+    if (actor.role !== "admin" && Number(actor.agentId) !== Number(agent_id)) {
+      return res.status(403).json({ error: "You can only report your own location" });
+    }
+  } catch (err) {
+    console.error("Agent location auth failed:", err?.message || err);
+    return res.status(500).json({ error: "Failed to update location" });
+  }
 
   deliveryAgents[agent_id] = { lat, lng, updatedAt: Date.now() };
 
-  // Broadcast live location via Socket.IO
-  io.emit("agentLocation", { agentId: agent_id, lat, lng });
+  // Forward to the admin map and to the rooms of the orders this agent is carrying
+  sockets.forwardAgentLocation(io, agent_id, Number(lat), Number(lng));
   console.log(`📍 Live location updated for Agent ${agent_id}: ${lat}, ${lng}`);
 
   res.json({ success: true });
 });
 
-// REST API: Get all active agents (for dashboard tracking)
-app.get("/api/delivery/active", (req, res) => {
+// REST API: Get all active agents (admin dashboard tracking)
+app.get("/api/delivery/active", authMiddleware, (req, res) => {
+  if (!req.user) return res.status(401).json({ error: "Authentication required" });
+  if (req.user.role !== "admin") return res.status(403).json({ error: "Admins only" });
   const active = Object.entries(deliveryAgents).map(([id, v]) => ({
     agent_id: id,
     lat: v.lat,
@@ -2269,46 +2223,14 @@ app.get("/api/delivery/active", (req, res) => {
   res.json(active);
 });
 
-// SOCKET.IO: Listen for agent location and re-broadcast
-io.on("connection", (socket) => {
-  console.log("🟢 Client connected:", socket.id);
+// Paid UPI/online orders are announced to their restaurant when the payment is captured
+setPaymentSocketServer(io);
 
-  socket.on("agentLocation", (data) => {
-    const { agentId, lat, lng } = data;
+// SOCKET.IO: order tracking rooms (trackOrder) and agent location fan-out
+sockets.init(io, {
+  onAgentLocation: (agentId, lat, lng) => {
     deliveryAgents[agentId] = { lat, lng, updatedAt: Date.now() };
-    io.emit("locationUpdate", { agentId, lat, lng });
-    console.log(`📡 Agent ${agentId} broadcast => ${lat}, ${lng}`);
-  });
-
-  socket.on("disconnect", () =>
-    console.log("🔴 Client disconnected:", socket.id)
-  );
-});
-
-// ✅ Live location socket bridge
-io.on("connection", (socket) => {
-  console.log("🟢 Socket connected:", socket.id);
-
-  socket.on("agentLocation", (data) => {
-    const { agentId, lat, lng } = data;
-    if (!agentId || !lat || !lng) return;
-    console.log(`📍 Agent ${agentId}: ${lat}, ${lng}`);
-
-    // Re-broadcast to all connected clients (for live tracking)
-    io.emit("locationUpdate", { agentId, lat, lng });
-  });
-
-  socket.on("disconnect", () =>
-    console.log("🔴 Socket disconnected:", socket.id)
-  );
-});
-let agentLocations = {};
-
-app.post("/api/delivery/location", (req, res) => {
-  const { agent_id, lat, lng } = req.body;
-  agentLocations[agent_id] = { lat, lng, updatedAt: Date.now() };
-  io.emit("locationUpdate", { agentId: agent_id, lat, lng });
-  res.json({ success: true });
+  },
 });
 
 // Note: PathError-aware handler is registered earlier; no additional generic handler needed here.
@@ -2319,4 +2241,18 @@ server.listen(PORT, () => {
   console.log(`🚀 Tindo backend running successfully on port ${PORT}`);
   console.log(`📦 Serving frontend from ../frontend`);
   console.log(`🖼️  Uploads available at /uploads`);
+  // Releases scheduled pre-orders to restaurants ahead of their slot
+  startOrderScheduler(io);
+  // Cancels orders whose UPI or online payment never arrived
+  startUpiExpiryJob(io);
+  // Closes finished weekly payout cycles for restaurants
+  startSettlementJob();
+  // Posts expiry entries for unused Tindo Tokens
+  startTokenExpiryJob();
+  // Issues personalized coupons from order history within the monthly budget
+  startCouponCampaignJob();
+  // Rebuilds customer affinities and "ordered together" pairs for the recommendation feeds
+  startRecommendationJob();
+  // Idempotency keys are only kept for the retention window
+  setInterval(() => purgeExpiredKeys().catch((e) => console.error("Idempotency purge failed:", e?.message || e)), 60 * 60 * 1000);
 });